@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { WORKFLOW } = require('./config/damageClaimWorkflow');
+const { checkTransition, availableActions, transitionClaim } = require('./utils/claimWorkflow');
+
+const adminPieces = WORKFLOW.actions.approve.escalations[0].over;
+const admin = { id: 'admin-1', role: 'Admin' };
+const manager = { id: 'mlm-1', role: 'Mid-Level Manager' };
+const godown = { id: 'gi-1', role: 'Godown Incharge' };
+const staff = { id: 'ms-1', role: 'Marketing Staff' };
+
+// Stand-in for a DamageClaim document; save() fails like a conditional save that lost the race
+const makeClaim = (fields = {}, saveError = null) => ({
+  status: 'Pending',
+  pieces: 10,
+  history: [],
+  save: async () => { if (saveError) throw saveError; },
+  ...fields
+});
+
+// Test damage claim stage and role checks
+async function testClaimWorkflow() {
+  try {
+    console.log('Stage checks');
+    assert.strictEqual(checkTransition(makeClaim(), 'approve', manager).error, undefined);
+    assert.strictEqual(checkTransition(makeClaim({ status: 'Commented' }), 'reject', manager).error, undefined);
+    assert.deepStrictEqual(checkTransition(makeClaim({ status: 'Approved' }), 'reject', admin),
+      { status: 400, error: 'Cannot reject a claim with status Approved' });
+    assert.strictEqual(checkTransition(makeClaim(), 'escalate', admin).status, 400);
+
+    console.log('Role checks');
+    assert.deepStrictEqual(checkTransition(makeClaim(), 'approve', godown),
+      { status: 403, error: 'Godown Incharge cannot approve damage claims' });
+    assert.strictEqual(checkTransition(makeClaim(), 'comment', godown).error, undefined);
+    assert.strictEqual(checkTransition(makeClaim(), 'comment', staff).status, 403);
+
+    console.log(`Claims over ${adminPieces} pieces need an Admin`);
+    const largeClaim = makeClaim({ pieces: adminPieces + 1 });
+    assert.deepStrictEqual(checkTransition(largeClaim, 'approve', manager),
+      { status: 403, error: `Claims over ${adminPieces} pieces must be decided by an Admin` });
+    assert.strictEqual(checkTransition(largeClaim, 'approve', admin).error, undefined);
+    assert.strictEqual(checkTransition(makeClaim({ pieces: adminPieces }), 'approve', manager).error, undefined);
+    assert.strictEqual(checkTransition(largeClaim, 'comment', manager).error, undefined);
+
+    console.log('Input checks');
+    assert.deepStrictEqual(checkTransition(makeClaim(), 'comment', manager, {}),
+      { status: 400, error: 'A comment is required' });
+    [0, 10, 11, 'abc'].forEach(approvedPieces => {
+      assert.strictEqual(checkTransition(makeClaim(), 'partiallyApprove', manager, { approvedPieces }).status, 400, String(approvedPieces));
+    });
+    assert.strictEqual(checkTransition(makeClaim(), 'partiallyApprove', manager, { approvedPieces: 4 }).error, undefined);
+
+    console.log('Available actions');
+    assert.deepStrictEqual(availableActions(makeClaim(), godown).map(entry => entry.action), ['comment']);
+    assert.deepStrictEqual(availableActions(largeClaim, manager).map(entry => entry.action), ['comment']);
+    assert.deepStrictEqual(availableActions(makeClaim({ status: 'Rejected' }), admin), []);
+
+    console.log('Transitions');
+    const claim = makeClaim();
+    const { claim: decided } = await transitionClaim(claim, 'partiallyApprove', manager, { approvedPieces: 4, comment: 'Two cartons usable' });
+    assert.strictEqual(decided.status, 'Partially Approved');
+    assert.strictEqual(decided.approvedPieces, 4);
+    assert.deepStrictEqual(decided.$where, { status: 'Pending' });
+    assert.strictEqual(decided.history[0].fromStatus, 'Pending');
+    assert.strictEqual(decided.history[0].approvedPieces, 4);
+
+    const lostRace = Object.assign(new Error('No document found'), { name: 'DocumentNotFoundError' });
+    assert.strictEqual((await transitionClaim(makeClaim({}, lostRace), 'reject', admin)).status, 409);
+
+    console.log('Test completed successfully');
+  } catch (error) {
+    console.error('Error in test:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testClaimWorkflow();
@@ -1,11 +1,103 @@
 require('dotenv').config();
 const dbConfig = require('./dbConfig');
 
+// Numeric setting where 0 is meaningful: only a missing or non-numeric value falls back
+const numberFromEnv = (value, defaultValue) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? defaultValue : number;
+};
+
 module.exports = {
   port: process.env.PORT || 5050,
   // Prioritize MongoDB Atlas connection string
   mongoURI: dbConfig.getMongoURI(),
   jwtSecret: process.env.JWT_SECRET || 'sdkfjhs234kj23h4k2jh34kjh2fdsjkfds87238472384sdjfh',
   jwtExpiration: parseInt(process.env.JWT_EXPIRATION, 10) || 7 * 24 * 60 * 60, // 7 days in seconds
-  nodeEnv: process.env.NODE_ENV || 'development'
+  // Refresh tokens slide forward on every use, so active devices stay signed in
+  refreshTokenExpirationDays: parseInt(process.env.REFRESH_TOKEN_EXPIRATION_DAYS, 10) || 60,
+  nodeEnv: process.env.NODE_ENV || 'development',
+  // Geo-fence for marketing staff punch-in/punch-out
+  geoFenceRadiusMeters: numberFromEnv(process.env.GEOFENCE_RADIUS_METERS, 200),
+  geoFenceMode: process.env.GEOFENCE_MODE || 'flag', // 'flag' records out-of-radius punches, 'reject' refuses them
+  // Allowed deviation (percent) of an entered rate from the price list before the line is flagged
+  rateDeviationTolerancePercent: numberFromEnv(process.env.RATE_DEVIATION_TOLERANCE_PERCENT, 10),
+  // Push notification delivery
+  push: {
+    provider: process.env.PUSH_PROVIDER || 'console', // 'fcm', 'file' or 'console'
+    fcmUrl: process.env.FCM_URL || 'https://fcm.googleapis.com/fcm/send',
+    fcmServerKey: process.env.FCM_SERVER_KEY,
+    filePath: process.env.PUSH_FILE_PATH || 'logs/push-notifications.log',
+    maxAttempts: parseInt(process.env.PUSH_MAX_ATTEMPTS, 10) || 5,
+    retryDelaySeconds: parseInt(process.env.PUSH_RETRY_DELAY_SECONDS, 10) || 30,
+    workerIntervalSeconds: parseInt(process.env.PUSH_WORKER_INTERVAL_SECONDS, 10) || 15
+  },
+  // Outbound email/SMS (password reset links and OTPs)
+  messaging: {
+    mailProvider: process.env.MAIL_PROVIDER || 'console', // 'http', 'file' or 'console'
+    smsProvider: process.env.SMS_PROVIDER || 'console',
+    webhookUrl: process.env.MESSAGING_WEBHOOK_URL,
+    webhookKey: process.env.MESSAGING_WEBHOOK_KEY,
+    filePath: process.env.MESSAGING_FILE_PATH || 'logs/outbox.log'
+  },
+  // Account lockout after repeated failed logins. Each consecutive lock doubles
+  // the lock window, up to maxLockMinutes.
+  lockout: {
+    maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10) || 5,
+    baseLockMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15,
+    maxLockMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 24 * 60
+  },
+  // Offline batch sync for the mobile app (/api/mobile/sync)
+  sync: {
+    maxOperations: parseInt(process.env.SYNC_MAX_OPERATIONS, 10) || 50,
+    maxOperationAgeDays: parseInt(process.env.SYNC_MAX_OPERATION_AGE_DAYS, 10) || 7,
+    changeLimit: parseInt(process.env.SYNC_CHANGE_LIMIT, 10) || 200,
+    bodyLimit: process.env.SYNC_BODY_LIMIT || '1mb'
+  },
+  // Attendance derived from punches: a first punch after lateAfter (HH:mm,
+  // server time) is a late start; weekly off days are 0 (Sunday) to 6
+  attendance: {
+    lateAfter: process.env.ATTENDANCE_LATE_AFTER || '10:00',
+    weeklyOffDays: (process.env.ATTENDANCE_WEEKLY_OFF_DAYS || '0').split(',').filter(Boolean).map(Number)
+  },
+  // Sessions still punched in at cutoffTime (HH:mm, server time) on the day they
+  // started are closed by the auto punch-out job, which runs on the cron schedule
+  autoPunchOut: {
+    cutoffTime: process.env.AUTO_PUNCH_OUT_TIME || '23:59',
+    cron: process.env.AUTO_PUNCH_OUT_CRON || '*/15 * * * *'
+  },
+  // Task deadline reminders, sent this many minutes before the deadline (comma-separated)
+  tasks: {
+    reminderOffsetsMinutes: (process.env.TASK_REMINDER_OFFSETS_MINUTES || '1440,60').split(',').filter(Boolean).map(Number),
+    deadlineCron: process.env.TASK_DEADLINE_CRON || '*/5 * * * *',
+    // How often recurring task templates are checked for due occurrences
+    recurringCron: process.env.TASK_RECURRING_CRON || '* * * * *',
+    // Photos the assignee must attach when completing a task
+    minCompletionPhotos: parseInt(process.env.TASK_MIN_COMPLETION_PHOTOS || '1', 10)
+  },
+  // Sequential numbers such as DMG/2026-27/00042, restarting each financial year
+  documentNumbers: {
+    financialYearStartMonth: parseInt(process.env.FINANCIAL_YEAR_START_MONTH || '4', 10),
+    padding: parseInt(process.env.DOCUMENT_NUMBER_PADDING || '5', 10)
+  },
+  // Letterhead printed on challans, claim letters and order confirmations
+  company: {
+    name: process.env.COMPANY_NAME || 'Kallakuri',
+    address: process.env.COMPANY_ADDRESS || '',
+    phone: process.env.COMPANY_PHONE || '',
+    email: process.env.COMPANY_EMAIL || '',
+    gstin: process.env.COMPANY_GSTIN || '',
+    logoPath: process.env.COMPANY_LOGO_PATH || ''
+  },
+  // Persisted job scheduler; every instance polls and jobs are locked so only one runs each
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    pollSeconds: parseInt(process.env.SCHEDULER_POLL_SECONDS, 10) || 30,
+    instanceId: process.env.SCHEDULER_INSTANCE_ID
+  },
+  // How long responses to requests with an Idempotency-Key are kept for replay
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24
+  },
+  // Link emailed for password resets; the token is appended as the last path segment
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password'
 };
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Damage claim approval workflow. Each action moves a claim from one of its
+// `from` stages to its `to` stage and may only be taken by the listed roles.
+// `effect` says which claim fields the action fills in: a comment records the
+// manager's remarks, a decision records the outcome and approved pieces.
+// Escalation rules narrow the roles further for large claims, e.g. claims over
+// DAMAGE_CLAIM_ADMIN_PIECES pieces can only be decided by an Admin.
+// utils/claimWorkflow.js applies this definition; controllers never check
+// stages or roles themselves.
+const ADMINS = ['Admin', 'Administrator'];
+const DECIDERS = [...ADMINS, 'Mid-Level Manager'];
+
+const adminPieces = parseInt(process.env.DAMAGE_CLAIM_ADMIN_PIECES || '100', 10);
+
+const escalations = [
+  {
+    field: 'pieces',
+    over: adminPieces,
+    roles: ADMINS,
+    message: `Claims over ${adminPieces} pieces must be decided by an Admin`
+  }
+];
+
+const WORKFLOW = {
+  initialStage: 'Pending',
+  stages: ['Pending', 'Commented', 'Approved', 'Partially Approved', 'Rejected'],
+  finalStages: ['Approved', 'Partially Approved', 'Rejected'],
+  actions: {
+    comment: {
+      label: 'Comment',
+      from: ['Pending', 'Commented'],
+      to: 'Commented',
+      roles: [...DECIDERS, 'Godown Incharge'],
+      effect: 'comment',
+      requiresComment: true
+    },
+    approve: {
+      label: 'Approve',
+      from: ['Pending', 'Commented'],
+      to: 'Approved',
+      roles: DECIDERS,
+      effect: 'decision',
+      escalations
+    },
+    partiallyApprove: {
+      label: 'Partially Approve',
+      from: ['Pending', 'Commented'],
+      to: 'Partially Approved',
+      roles: DECIDERS,
+      effect: 'decision',
+      requiresApprovedPieces: true,
+      escalations
+    },
+    reject: {
+      label: 'Reject',
+      from: ['Pending', 'Commented'],
+      to: 'Rejected',
+      roles: DECIDERS,
+      effect: 'decision',
+      escalations
+    }
+  }
+};
+
+// Decision endpoints send the target status rather than the action
+const STATUS_ACTIONS = {
+  'Approved': 'approve',
+  'Partially Approved': 'partiallyApprove',
+  'Rejected': 'reject'
+};
+
+module.exports = {
+  WORKFLOW,
+  STATUS_ACTIONS
+};
@@ -0,0 +1,52 @@
+// Admin panel modules a Sub Admin can be granted, and the API routes each one
+// unlocks. Route files enforce these with requirePermission(); this map is
+// what /api/auth/me/permissions reports to the admin panel.
+const PERMISSIONS = {
+  dashboard: {
+    label: 'Dashboard',
+    routes: ['/api/analytics/overview', '/api/staff/dashboard/stats']
+  },
+  staff: {
+    label: 'Staff Management',
+    routes: ['/api/staff', '/api/staff-activity', '/api/staff-assignments', '/api/beat-plans', '/api/attendance']
+  },
+  marketing: {
+    label: 'Marketing Activity',
+    routes: ['/api/marketing-activity', '/api/retailer-shop-activity']
+  },
+  orders: {
+    label: 'Orders',
+    routes: ['/api/orders']
+  },
+  damage: {
+    label: 'Damage Claims',
+    routes: ['/api/damage-claims']
+  },
+  tasks: {
+    label: 'Tasks',
+    routes: ['/api/tasks', '/api/task-templates']
+  },
+  distributors: {
+    label: 'Distributors & Shops',
+    routes: ['/api/distributors', '/api/shops']
+  },
+  godown: {
+    label: 'Godown & Catalog',
+    routes: ['/api/inventory', '/api/supply-estimates', '/api/products', '/api/brands', '/api/variants']
+  },
+  sales: {
+    label: 'Sales Inquiries & Pricing',
+    routes: ['/api/sales-inquiries', '/api/price-lists']
+  },
+  reports: {
+    label: 'Reports & Analytics',
+    routes: ['/api/analytics']
+  }
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS
+};
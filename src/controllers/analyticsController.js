@@ -10,6 +10,7 @@ const Product = require('../models/Product');
 const Shop = require('../models/Shop');
 const logger = require('../utils/logger');
 const StaffDistributorAssignment = require('../models/StaffDistributorAssignment');
+const { getBalances } = require('../utils/stockLedger');
 
 /**
  * Get analytics for damage claims
@@ -1158,6 +1159,41 @@ exports.getDashboardSummary = async (req, res) => {
   }
 };
 
+/**
+ * Aggregation stages that replace the brand/variant/size strings of an unwound
+ * sales order line with the current catalog names when the line carries a SKU,
+ * so renamed variants keep grouping with their history. The SKU join goes
+ * through the variants.sizes.sku index (localField with a pipeline needs
+ * MongoDB 5.0+), so only the matching product is unwound.
+ * @returns {Array} - Pipeline stages
+ */
+const canonicalSalesOrderStages = () => [
+  {
+    $lookup: {
+      from: 'products',
+      localField: 'salesOrders.sku',
+      foreignField: 'variants.sizes.sku',
+      let: { sku: '$salesOrders.sku' },
+      pipeline: [
+        // Lines without a SKU would otherwise match sizes that have none
+        { $match: { $expr: { $ne: [{ $ifNull: ['$$sku', null] }, null] } } },
+        { $unwind: '$variants' },
+        { $unwind: '$variants.sizes' },
+        { $match: { $expr: { $eq: ['$variants.sizes.sku', '$$sku'] } } },
+        { $project: { _id: 0, brandName: 1, variant: '$variants.name', size: '$variants.sizes.name' } }
+      ],
+      as: 'catalogItem'
+    }
+  },
+  {
+    $addFields: {
+      'salesOrders.brandName': { $ifNull: [{ $arrayElemAt: ['$catalogItem.brandName', 0] }, '$salesOrders.brandName'] },
+      'salesOrders.variant': { $ifNull: [{ $arrayElemAt: ['$catalogItem.variant', 0] }, '$salesOrders.variant'] },
+      'salesOrders.size': { $ifNull: [{ $arrayElemAt: ['$catalogItem.size', 0] }, '$salesOrders.size'] }
+    }
+  }
+];
+
 /**
  * Get brand order analytics
  */
@@ -1238,6 +1274,7 @@ exports.getBrandOrderAnalytics = async (req, res) => {
     const brandOrderAnalytics = await RetailerShopActivity.aggregate([
       { $match: combinedFilter },
       { $unwind: { path: '$salesOrders', preserveNullAndEmptyArrays: false } },
+      ...canonicalSalesOrderStages(),
       {
         $lookup: {
           from: 'distributors',
@@ -1362,6 +1399,7 @@ exports.getBrandOrderAnalytics = async (req, res) => {
     const ordersByBrand = await RetailerShopActivity.aggregate([
       { $match: combinedFilter },
       { $unwind: { path: '$salesOrders', preserveNullAndEmptyArrays: false } },
+      ...canonicalSalesOrderStages(),
       {
         $group: {
           _id: '$salesOrders.brandName',
@@ -1399,6 +1437,7 @@ exports.getBrandOrderAnalytics = async (req, res) => {
     const brandVariantData = await RetailerShopActivity.aggregate([
       { $match: combinedFilter },
       { $unwind: { path: '$salesOrders', preserveNullAndEmptyArrays: false } },
+      ...canonicalSalesOrderStages(),
       {
         $group: {
           _id: {
@@ -1698,10 +1737,15 @@ exports.getInventoryAnalysis = async (req, res) => {
       { $sort: { 'latestOrderDate': -1 } }
     ]);
 
+    // Third, get actual stock balances from the inventory ledger. These take
+    // precedence over the opening stock estimates reported by marketing staff.
+    const ledgerBalances = await getBalances({ distributorId });
+
     // Create comprehensive inventory analysis
     const inventoryAnalysis = [];
     const stockMap = new Map();
     const orderMap = new Map();
+    const ledgerMap = new Map();
 
     // Create maps for easier lookup - normalize keys for case-insensitive matching
     stockLevels.forEach(stock => {
@@ -1720,8 +1764,16 @@ exports.getInventoryAnalysis = async (req, res) => {
       orderMap.set(key, order);
     });
 
-    // Get all unique combinations from both stock and orders
-    const allKeys = new Set([...stockMap.keys(), ...orderMap.keys()]);
+    ledgerBalances.forEach(balance => {
+      const key = `${balance.brand}-${balance.variant}-${balance.size}-${balance.distributorId}`
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ');
+      ledgerMap.set(key, balance);
+    });
+
+    // Get all unique combinations from stock, ledger and orders
+    const allKeys = new Set([...stockMap.keys(), ...ledgerMap.keys(), ...orderMap.keys()]);
     
     console.log('Stock levels:', stockLevels.length);
     console.log('Shop orders:', shopOrders.length);
@@ -1739,6 +1791,7 @@ exports.getInventoryAnalysis = async (req, res) => {
       const [brandName, variant, size, distributorId] = key.split('-');
       const stockData = stockMap.get(key);
       const orderData = orderMap.get(key);
+      const ledgerData = ledgerMap.get(key);
 
       // Get distributor name
       let distributorName = 'Unknown';
@@ -1757,9 +1810,13 @@ exports.getInventoryAnalysis = async (req, res) => {
       // Use distributor name from stock data if available
       if (stockData && stockData._id.distributorName) {
         distributorName = stockData._id.distributorName;
+      } else if (ledgerData && ledgerData.distributorName) {
+        distributorName = ledgerData.distributorName;
       }
 
-      const currentStock = stockData?.totalStock || 0;
+      const estimatedStock = stockData?.totalStock || 0;
+      const currentStock = ledgerData ? ledgerData.balance : estimatedStock;
+      const stockSource = ledgerData ? 'ledger' : stockData ? 'estimate' : 'none';
       const totalRequirement = orderData?.totalRequirement || 0;
       const stockDifference = currentStock - totalRequirement;
       
@@ -1792,6 +1849,8 @@ exports.getInventoryAnalysis = async (req, res) => {
         variant: variant || 'Standard',
         size: size || 'N/A',
         currentStock,
+        estimatedStock,
+        stockSource,
         proposedRate: stockData?.averageRate || 0,
         totalRequirement,
         stockDifference,
@@ -1799,7 +1858,7 @@ exports.getInventoryAnalysis = async (req, res) => {
         uniqueShops: orderData?.uniqueShops || [],
         uniqueShopsCount: orderData?.uniqueShops?.length || 0,
         totalOrderValue: orderData?.totalValue || 0,
-        lastStockUpdate: stockData?.lastUpdated || null,
+        lastStockUpdate: ledgerData?.lastMovementDate || stockData?.lastUpdated || null,
         latestOrderDate: orderData?.latestOrderDate || null,
         stockStatus,
         statusColor,
@@ -1877,6 +1936,7 @@ exports.getInventoryAnalysis = async (req, res) => {
           totalShortageQuantity,
           totalSurplusQuantity,
           criticalShortages: shortageProducts.filter(item => item.stockPercentage < 25).length,
+          ledgerBackedProducts: inventoryAnalysis.filter(item => item.stockSource === 'ledger').length,
           averageStockPercentage: totalProducts > 0 
             ? Math.round(inventoryAnalysis.reduce((sum, item) => sum + item.stockPercentage, 0) / totalProducts)
             : 100
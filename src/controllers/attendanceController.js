@@ -0,0 +1,119 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { buildAttendance } = require('../utils/attendance');
+const { generateExcel } = require('../utils/excelGenerator');
+
+// Grid codes used in the Excel export
+const STATUS_CODES = {
+  Present: 'P',
+  Absent: 'A',
+  'Weekly Off': 'WO'
+};
+
+/**
+ * Load the month grid for the staff selected by the request filters
+ * @param {Object} filters - req.query (month, staffId, role)
+ * @returns {Promise<Object>} - { month, days, staff }
+ */
+const loadMonth = async ({ month, staffId, role }) => {
+  const now = new Date();
+  const [year, monthIndex] = month
+    ? month.split('-').map(Number)
+    : [now.getFullYear(), now.getMonth() + 1];
+
+  const from = new Date(year, monthIndex - 1, 1);
+  const to = new Date(year, monthIndex, 0);
+
+  const userQuery = { role: role || 'Marketing Staff' };
+  if (staffId) userQuery._id = staffId;
+
+  const staffMembers = await User.find(userQuery).select('name role createdAt').sort({ name: 1 }).lean();
+  const attendance = await buildAttendance(staffMembers, from, to);
+
+  return {
+    month: `${year}-${String(monthIndex).padStart(2, '0')}`,
+    ...attendance
+  };
+};
+
+/**
+ * @desc    Get the monthly attendance grid built from punch data
+ * @route   GET /api/attendance
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with staff permission)
+ */
+exports.getAttendance = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const data = await loadMonth(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: data.staff.length,
+      data
+    });
+  } catch (error) {
+    logger.error(`Error in getAttendance controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export the monthly attendance grid to Excel
+ * @route   GET /api/attendance/export
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with staff permission)
+ */
+exports.exportAttendance = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { month, days, staff } = await loadMonth(req.query);
+    const dayHeaders = days.map(day => String(Number(day.date.slice(8))));
+
+    // Late starts are marked L instead of P so they stand out in the grid
+    const formattedData = staff.map(member => {
+      const row = { Staff: member.name, Role: member.role };
+      member.days.forEach((day, index) => {
+        row[dayHeaders[index]] = day.status === 'Present' && day.late ? 'L' : (STATUS_CODES[day.status] || '');
+      });
+      row.Present = member.summary.present;
+      row.Absent = member.summary.absent;
+      row.Late = member.summary.late;
+      row['Weekly Off'] = member.summary.weeklyOff;
+      row['Field Hours'] = (member.summary.fieldMinutes / 60).toFixed(1);
+      row['Distributor Visits'] = member.summary.distributorVisits;
+      return row;
+    });
+
+    // Generate Excel file
+    const wb = generateExcel({
+      filename: `Attendance_${month}`,
+      sheetName: `Attendance ${month}`,
+      headers: ['Staff', 'Role', ...dayHeaders, 'Present', 'Absent', 'Late', 'Weekly Off', 'Field Hours', 'Distributor Visits'],
+      data: formattedData
+    });
+
+    // Set headers for Excel download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Attendance_${month}.xlsx"`);
+
+    // Send Excel file
+    wb.write(`Attendance_${month}.xlsx`, res);
+  } catch (error) {
+    logger.error(`Error in exportAttendance controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,176 @@
+const { validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { generateExcel } = require('../utils/excelGenerator');
+
+// Upper bound on rows in a single Excel export
+const EXPORT_LIMIT = 10000;
+
+/**
+ * Build an AuditLog query from request filters
+ * @param {Object} filters - req.query
+ * @returns {Object} - MongoDB query
+ */
+const buildQuery = ({ actor, actorRole, action, targetModel, targetId, route, startDate, endDate }) => {
+  const query = {};
+
+  if (actor) query.actor = actor;
+  if (actorRole) query.actorRole = actorRole;
+  if (action) query.action = action;
+  if (targetModel) query.targetModel = targetModel;
+  if (targetId) query.targetId = targetId;
+  if (route) query.route = { $regex: route.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  return query;
+};
+
+/**
+ * @desc    Get audit log entries with filters
+ * @route   GET /api/audit
+ * @access  Private (Admin)
+ */
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const query = buildQuery(req.query);
+
+    // Pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, logs] = await Promise.all([
+      AuditLog.countDocuments(query),
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        pageSize: limitNum,
+        totalItems: total
+      },
+      data: logs
+    });
+  } catch (error) {
+    logger.error(`Error in getAuditLogs controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single audit log entry
+ * @route   GET /api/audit/:id
+ * @access  Private (Admin)
+ */
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const log = await AuditLog.findById(req.params.id);
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audit log entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    logger.error(`Error in getAuditLog controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export filtered audit log entries to Excel
+ * @route   GET /api/audit/export
+ * @access  Private (Admin)
+ */
+exports.exportAuditLogs = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const logs = await AuditLog.find(buildQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const formattedData = logs.map(log => ({
+      Date: new Date(log.createdAt).toLocaleDateString(),
+      Time: new Date(log.createdAt).toLocaleTimeString(),
+      Actor: log.actorName || 'System',
+      Role: log.actorRole || '',
+      Action: log.action,
+      Method: log.method || '',
+      Route: log.route || '',
+      'Target Model': log.targetModel || '',
+      'Target ID': log.targetId ? log.targetId.toString() : '',
+      Changes: (log.changes || [])
+        .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+        .join('\n'),
+      IP: log.ip || ''
+    }));
+
+    const date = new Date().toISOString().split('T')[0];
+
+    // Generate Excel file
+    const wb = generateExcel({
+      filename: `Audit_Log_${date}`,
+      sheetName: 'Audit Log',
+      headers: ['Date', 'Time', 'Actor', 'Role', 'Action', 'Method', 'Route', 'Target Model', 'Target ID', 'Changes', 'IP'],
+      data: formattedData
+    });
+
+    // Set headers for Excel download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Audit_Log_${date}.xlsx"`);
+
+    // Send Excel file
+    wb.write(`Audit_Log_${date}.xlsx`, res);
+  } catch (error) {
+    logger.error(`Error in exportAuditLogs controller: ${error.message}`);
+    next(error);
+  }
+};
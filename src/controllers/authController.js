@@ -3,18 +3,30 @@ const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const config = require('../config/config');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { createSession, rotateRefreshToken, revokeSession, findSessionByRefreshToken } = require('../utils/sessions');
+const { sendMail, sendSms } = require('../utils/messaging');
+const { recordAuditEvent } = require('../utils/audit');
+const { PERMISSIONS, PERMISSION_KEYS } = require('../config/permissions');
 const logger = require('../utils/logger');
 
+// Minimum gap between reset codes for one account (per-IP limits are in server.js)
+const RESET_RESEND_INTERVAL_MS = 60 * 1000;
+// Wrong OTP guesses allowed before the code is discarded
+const MAX_RESET_OTP_ATTEMPTS = 5;
+
 /**
  * Generate JWT token
  * @param {Object} user - User object
+ * @param {String} [sessionId] - Session the token belongs to; revoking it invalidates the token
  * @returns {String} - JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   return jwt.sign(
     { 
       id: user._id, 
       role: user.role,
+      sid: sessionId,
       iat: Math.floor(Date.now() / 1000) // Issued at time
     },
     config.jwtSecret,
@@ -26,19 +38,11 @@ const generateToken = (user) => {
 };
 
 /**
- * Create and send JWT token with secure options
- * @param {Object} user - User object
- * @param {Number} statusCode - HTTP status code
+ * Set token as HTTP-Only secure cookie in production
  * @param {Object} res - Response object
+ * @param {String} token - JWT token
  */
-const createSendToken = async (user, statusCode, res) => {
-  // Generate token
-  const token = generateToken(user);
-  
-  // Remove password from output
-  user.password = undefined;
-  
-  // Set token as HTTP-Only secure cookie in production
+const setTokenCookie = (res, token) => {
   if (config.nodeEnv === 'production') {
     const cookieOptions = {
       expires: new Date(Date.now() + config.jwtExpiration * 1000),
@@ -49,6 +53,24 @@ const createSendToken = async (user, statusCode, res) => {
     
     res.cookie('jwt', token, cookieOptions);
   }
+};
+
+/**
+ * Start a device session and send JWT and refresh tokens with secure options
+ * @param {Object} user - User object
+ * @param {Number} statusCode - HTTP status code
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createSendToken = async (user, statusCode, req, res) => {
+  // Start a session for this device and generate tokens
+  const { session, refreshToken } = await createSession(user, req);
+  const token = generateToken(user, session._id);
+  
+  // Remove password from output
+  user.password = undefined;
+  
+  setTokenCookie(res, token);
   
   // Update user's last login time
   await User.findByIdAndUpdate(user._id, { 
@@ -59,6 +81,9 @@ const createSendToken = async (user, statusCode, res) => {
   res.status(statusCode).json({
     success: true,
     token,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id,
     user: {
       id: user._id,
       name: user.name,
@@ -123,7 +148,7 @@ exports.register = async (req, res, next) => {
     });
 
     // Send token
-    await createSendToken(user, 201, res);
+    await createSendToken(user, 201, req, res);
     
     // Log successful registration
     logger.info(`New user registered: ${user.email} with role ${user.role}`);
@@ -133,6 +158,21 @@ exports.register = async (req, res, next) => {
   }
 };
 
+/**
+ * Respond to a login attempt on a locked account
+ * @param {Object} res - Express response
+ * @param {Object} user - Locked user
+ */
+const sendLockedResponse = (res, user) => {
+  const remainingTimeMinutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+  return res.status(401).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    error: `Account is temporarily locked. Please try again in ${remainingTimeMinutes} minutes.`,
+    lockUntil: user.lockUntil
+  });
+};
+
 /**
  * @desc    Login a user
  * @route   POST /api/auth/login
@@ -159,37 +199,35 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Build query conditions - include role if provided (for mobile app login)
-    const queryConditions = { email };
-    
     // If checking for admin login specifically (from admin panel)
     const isAdminPanelLogin = req.headers['x-admin-panel'] === 'true';
-    
-    if (isAdminPanelLogin) {
+
+    // Look the account up by email alone so the lockout applies to the admin
+    // panel, the mobile app and role-specific logins alike
+    const account = await User.findOne({ email })
+      .select('+password +accountLocked +lockUntil +loginAttempts +lockCount');
+
+    // Check if account is locked
+    if (account && account.isLocked()) {
+      logger.warn(`Login attempt for locked account: ${email}`);
+      return sendLockedResponse(res, account);
+    }
+
+    let user = account;
+    if (account && isAdminPanelLogin) {
       // Only allow Admin or Sub Admin roles for admin panel login
-      queryConditions.$or = [
-        { role: 'Admin' },
-        { isSubAdmin: true }
-      ];
-    } else if (role) {
+      user = account.role === 'Admin' || account.isSubAdmin ? account : null;
+    } else if (account && role) {
       // For specific role requests (e.g. mobile app)
-      queryConditions.role = role;
+      user = account.role === role ? account : null;
     }
-
-    // Find user and include password and account lock fields
-    const user = await User.findOne(queryConditions)
-      .select('+password +accountLocked +lockUntil +loginAttempts');
     
     // If no user found, return generic error (to prevent user enumeration)
     if (!user) {
       let errorMessage = 'Invalid credentials';
       // Provide more specific message for role mismatch if role was specified
-      if (role) {
-        // Check if user exists with that email but different role
-        const userExists = await User.findOne({ email });
-        if (userExists) {
-          errorMessage = `No user with role '${role}' found for this email`;
-        }
+      if (role && account) {
+        errorMessage = `No user with role '${role}' found for this email`;
       } else if (isAdminPanelLogin) {
         // For admin panel logins that fail
         errorMessage = 'You do not have permission to access the admin panel';
@@ -202,19 +240,9 @@ exports.login = async (req, res, next) => {
       });
     }
     
-    // Check if account is locked
-    if (user.accountLocked && user.lockUntil > Date.now()) {
-      const remainingTimeMinutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
-      return res.status(401).json({
-        success: false,
-        error: `Account is temporarily locked. Please try again in ${remainingTimeMinutes} minutes.`
-      });
-    }
-    
-    // Reset account lock if lockUntil time has passed
-    if (user.accountLocked && user.lockUntil <= Date.now()) {
-      user.accountLocked = false;
-      user.loginAttempts = 0;
+    // Clear an expired lock; the backoff level is kept until a successful login
+    if (user.accountLocked) {
+      user.unlockAccount({ resetBackoff: false });
       await user.save();
     }
 
@@ -222,9 +250,25 @@ exports.login = async (req, res, next) => {
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
       // Handle failed login attempt
-      await user.handleFailedLogin();
+      const locked = await user.handleFailedLogin();
       
       logger.warn(`Failed login attempt for user: ${email}`);
+
+      if (locked) {
+        logger.warn(`Account ${email} locked until ${new Date(user.lockUntil).toISOString()} (lock #${user.lockCount})`);
+        recordAuditEvent({
+          action: 'Lock',
+          targetModel: 'User',
+          targetId: user._id,
+          changes: [
+            { field: 'accountLocked', before: false, after: true },
+            { field: 'lockUntil', before: null, after: user.lockUntil },
+            { field: 'lockCount', before: user.lockCount - 1, after: user.lockCount }
+          ]
+        });
+        return sendLockedResponse(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
@@ -235,7 +279,7 @@ exports.login = async (req, res, next) => {
     await user.resetLoginAttempts();
     
     // Send token
-    await createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
     
     // Log successful login
     logger.info(`User logged in: ${user.email} with role ${user.role}`);
@@ -272,6 +316,46 @@ exports.getMe = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the admin panel modules the current user can access
+ * @route   GET /api/auth/me/permissions
+ * @access  Private
+ */
+exports.getMyPermissions = async (req, res, next) => {
+  try {
+    const { role } = req.user;
+    const isAdmin = role === 'Admin';
+    const isSubAdmin = role === 'Sub Admin';
+
+    // Admins have every module; Sub Admins have what they were granted.
+    // Other roles are governed by role checks only.
+    const granted = isAdmin
+      ? PERMISSION_KEYS
+      : isSubAdmin
+        ? PERMISSION_KEYS.filter(key => (req.user.permissions || []).includes(key))
+        : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        role,
+        isSubAdmin,
+        fullAccess: isAdmin,
+        permissions: granted,
+        modules: PERMISSION_KEYS.map(key => ({
+          key,
+          label: PERMISSIONS[key].label,
+          routes: PERMISSIONS[key].routes,
+          granted: granted.includes(key)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getMyPermissions controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Update password
  * @route   PATCH /api/auth/update-password
@@ -321,9 +405,15 @@ exports.updatePassword = async (req, res, next) => {
     // Update password
     user.password = newPassword;
     await user.save();
+
+    // Sign out every device; this one gets a fresh session below
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'Password changed' }
+    );
     
     // Send token
-    await createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
     
     logger.info(`Password updated for user: ${user.email}`);
   } catch (error) {
@@ -333,21 +423,311 @@ exports.updatePassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user
- * @route   GET /api/auth/logout
+ * @desc    Logout user and revoke the current session
+ * @route   POST /api/auth/logout (GET is kept for older clients)
+ * @access  Public (identifies the session by refresh token or access token)
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    let session = null;
+
+    if (req.body && req.body.refreshToken) {
+      session = await findSessionByRefreshToken(req.body.refreshToken);
+    } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      // An expired access token is still good enough to end its own session
+      try {
+        const decoded = jwt.verify(req.headers.authorization.split(' ')[1], config.jwtSecret, {
+          algorithms: ['HS256'],
+          ignoreExpiration: true
+        });
+        if (decoded.sid) {
+          session = await Session.findOne({ _id: decoded.sid, revokedAt: null });
+        }
+      } catch (error) {
+        logger.warn(`Logout with invalid token: ${error.message}`);
+      }
+    }
+
+    if (session) {
+      await revokeSession(session, 'Logged out');
+    }
+
+    // Clear JWT cookie if it exists
+    res.cookie('jwt', 'loggedout', {
+      expires: new Date(Date.now() + 10 * 1000),
+      httpOnly: true
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error(`Error in logout controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's active sessions (one per signed-in device)
+ * @route   GET /api/auth/sessions
  * @access  Private
  */
-exports.logout = (req, res) => {
-  // Clear JWT cookie if it exists
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
-  
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: req.sessionId ? session._id.toString() === req.sessionId.toString() : false
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error in getSessions controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a session (sign out a device remotely)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private (own sessions; Admin can revoke any session)
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const query = { _id: req.params.id, revokedAt: null };
+    if (req.user.role !== 'Admin') query.user = req.user.id;
+
+    const session = await Session.findOne(query);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, session.user.toString() === req.user.id ? 'Revoked by user' : `Revoked by admin ${req.user.id}`);
+
+    logger.info(`User ${req.user.id} revoked session ${session._id} of user ${session.user}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error in revokeSession controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a password reset link by email, or a reset OTP by SMS
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, channel = 'email' } = req.body;
+
+    // Same answer whether or not the account exists, to prevent user enumeration
+    const sendGenericResponse = () => res.status(200).json({
+      success: true,
+      message: channel === 'sms'
+        ? 'If an account with a phone number exists for this email, a reset code has been sent by SMS'
+        : 'If an account exists for this email, a password reset link has been sent'
+    });
+
+    const user = await User.findOne({ email }).select('+passwordResetRequestedAt');
+
+    if (!user || (channel === 'sms' && !user.phone)) {
+      logger.warn(`Password reset requested for ${email} via ${channel}: no matching account`);
+      return sendGenericResponse();
+    }
+
+    if (user.passwordResetRequestedAt && Date.now() - user.passwordResetRequestedAt < RESET_RESEND_INTERVAL_MS) {
+      logger.warn(`Password reset for ${email} requested again within a minute; not resent`);
+      return sendGenericResponse();
+    }
+
+    const code = channel === 'sms' ? user.createPasswordResetOtp() : user.createPasswordResetToken();
+    user.passwordResetRequestedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      if (channel === 'sms') {
+        await sendSms({
+          to: user.phone,
+          body: `Your Kallakuri password reset code is ${code}. It expires in 10 minutes.`
+        });
+      } else {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your Kallakuri password',
+          body: `Hi ${user.name},\n\nUse the link below to set a new password. It expires in 10 minutes.\n\n${config.passwordResetUrl}/${code}\n\nIf you did not request this, you can ignore this message.`
+        });
+      }
+    } catch (error) {
+      // Don't leave a code behind that the user never received
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      user.passwordResetRequestedAt = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      logger.error(`Failed to send password reset ${channel} to user ${user._id}: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        error: 'Could not send the reset message. Please try again later.'
+      });
+    }
+
+    logger.info(`Password reset ${channel === 'sms' ? 'OTP' : 'link'} sent to user ${user._id}`);
+    sendGenericResponse();
+  } catch (error) {
+    logger.error(`Error in forgotPassword controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a new password using a reset link token, or an SMS OTP plus email
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token } = req.params;
+    const { email, password } = req.body;
+    const isOtp = /^\d{6}$/.test(token);
+    const invalidResponse = () => res.status(400).json({
+      success: false,
+      error: isOtp ? 'Reset code is invalid or has expired' : 'Reset link is invalid or has expired'
+    });
+
+    // OTPs are short enough to guess, so they are only checked against one
+    // account (by email) with a limited number of attempts
+    if (isOtp && !email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required when resetting with a code'
+      });
+    }
+    if (!isOtp && !/^[a-f\d]{64}$/i.test(token)) {
+      return invalidResponse();
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    let user;
+
+    if (isOtp) {
+      user = await User.findOne({ email, passwordResetExpires: { $gt: Date.now() } })
+        .select('+passwordResetToken +passwordResetAttempts +accountLocked +lockUntil');
+
+      if (!user || !user.passwordResetToken) {
+        return invalidResponse();
+      }
+
+      if (user.passwordResetToken !== hashedToken) {
+        user.passwordResetAttempts += 1;
+        if (user.passwordResetAttempts >= MAX_RESET_OTP_ATTEMPTS) {
+          user.passwordResetToken = undefined;
+          user.passwordResetExpires = undefined;
+          logger.warn(`Password reset OTP for user ${user._id} discarded after ${MAX_RESET_OTP_ATTEMPTS} wrong attempts`);
+        }
+        await user.save({ validateBeforeSave: false });
+        return invalidResponse();
+      }
+    } else {
+      user = await User.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: Date.now() }
+      }).select('+accountLocked +lockUntil');
+
+      if (!user) {
+        return invalidResponse();
+      }
+    }
+
+    // Password complexity check
+    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+    if (!passwordRegex.test(password)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must include at least one uppercase letter, one lowercase letter, one number, and one special character'
+      });
+    }
+
+    // Update password and clear the reset code
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetAttempts = 0;
+    user.passwordResetRequestedAt = undefined;
+
+    // A successful reset also lifts any lockout
+    const wasLocked = user.isLocked();
+    user.unlockAccount();
+
+    await user.save();
+
+    if (wasLocked) {
+      recordAuditEvent({
+        action: 'Unlock',
+        targetModel: 'User',
+        targetId: user._id,
+        changes: [{ field: 'accountLocked', before: true, after: false }]
+      });
+    }
+
+    // Sign out every device that used the old password
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'Password reset' }
+    );
+
+    logger.info(`Password reset completed for user ${user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    logger.error(`Error in resetPassword controller: ${error.message}`);
+    next(error);
+  }
 };
 
 /**
@@ -395,12 +775,7 @@ exports.createSubAdmin = async (req, res, next) => {
     }
 
     // Validate permissions
-    const validPermissions = [
-      'dashboard', 'staff', 'marketing', 'orders', 'damage', 
-      'tasks', 'distributors', 'godown', 'sales', 'reports'
-    ];
-    
-    if (permissions && !permissions.every(perm => validPermissions.includes(perm))) {
+    if (permissions && !permissions.every(perm => PERMISSION_KEYS.includes(perm))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid permission(s) specified'
@@ -506,12 +881,7 @@ exports.updateSubAdmin = async (req, res, next) => {
     const { name, email, permissions } = req.body;
 
     // Validate permissions
-    const validPermissions = [
-      'dashboard', 'staff', 'marketing', 'orders', 'damage', 
-      'tasks', 'distributors', 'godown', 'sales', 'reports'
-    ];
-    
-    if (permissions && !permissions.every(perm => validPermissions.includes(perm))) {
+    if (permissions && !permissions.every(perm => PERMISSION_KEYS.includes(perm))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid permission(s) specified'
@@ -602,15 +972,40 @@ exports.deleteSubAdmin = async (req, res, next) => {
 };
 
 /**
- * @desc    Refresh JWT token
+ * @desc    Refresh JWT token. With a refresh token in the body the token is
+ *          rotated and no access token is needed; older clients without one
+ *          refresh with their still-valid access token.
  * @route   POST /api/auth/refresh-token
- * @access  Private
+ * @access  Public with refresh token, otherwise Private
  */
 exports.refreshToken = async (req, res, next) => {
   try {
-    // Token validation is already done in protect middleware
-    // So if we reach here, the token was valid (but might be close to expiry)
-    
+    if (req.body && req.body.refreshToken) {
+      const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+      if (result.error) {
+        return res.status(401).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+      const { session, refreshToken } = result;
+      const token = generateToken(session.user, session._id);
+      setTokenCookie(res, token);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        token,
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt,
+        sessionId: session._id
+      });
+    }
+
+    // Legacy flow: token validation is already done in protect middleware
     // Get user from db to ensure it still exists and is active
     const user = await User.findById(req.user.id);
     
@@ -621,20 +1016,10 @@ exports.refreshToken = async (req, res, next) => {
       });
     }
     
-    // Generate a new token
-    const token = generateToken(user);
+    // Generate a new token for the same session
+    const token = generateToken(user, req.sessionId);
     
-    // Set token as HTTP-Only secure cookie in production
-    if (config.nodeEnv === 'production') {
-      const cookieOptions = {
-        expires: new Date(Date.now() + config.jwtExpiration * 1000),
-        httpOnly: true,
-        secure: true,
-        sameSite: 'strict'
-      };
-      
-      res.cookie('jwt', token, cookieOptions);
-    }
+    setTokenCookie(res, token);
     
     res.status(200).json({
       success: true,
@@ -0,0 +1,570 @@
+const { validationResult } = require('express-validator');
+const BeatPlan = require('../models/BeatPlan');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+const StaffDistributorAssignment = require('../models/StaffDistributorAssignment');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const logger = require('../utils/logger');
+const { startOfDay, addDays, dayKey } = require('../utils/dates');
+
+// Longest period one adherence report may cover
+const MAX_ADHERENCE_DAYS = 31;
+
+/**
+ * Check the staff member and turn the ordered shop list into plan stops.
+ * Every shop must sit under one of the staff member's assigned distributors.
+ * @param {String} staffId - Marketing staff the plan is for
+ * @param {Array} stops - Ordered [{ shopId, notes }]
+ * @returns {Promise<Object>} - { stops } or { status, error }
+ */
+const buildStops = async (staffId, stops) => {
+  const staff = await User.findById(staffId).select('role');
+  if (!staff) {
+    return { status: 404, error: 'Staff not found' };
+  }
+  if (staff.role !== 'Marketing Staff') {
+    return { status: 400, error: 'Beat plans can only be created for marketing staff' };
+  }
+
+  const shopIds = stops.map(stop => String(stop.shopId));
+  if (new Set(shopIds).size !== shopIds.length) {
+    return { status: 400, error: 'A shop can only appear once in a beat plan' };
+  }
+
+  const assignment = await StaffDistributorAssignment.findOne({ staffId, isActive: true }).select('distributorIds');
+  const assignedDistributors = new Set((assignment ? assignment.distributorIds : []).map(String));
+
+  const shops = await Shop.find({ _id: { $in: shopIds } }).select('distributorId isActive approvalStatus');
+  const shopsById = new Map(shops.map(shop => [String(shop._id), shop]));
+
+  const problems = [];
+  shopIds.forEach(shopId => {
+    const shop = shopsById.get(shopId);
+    if (!shop) {
+      problems.push(`Shop ${shopId} not found`);
+    } else if (shop.isActive === false || shop.approvalStatus === 'Rejected') {
+      problems.push(`Shop ${shopId} is not active`);
+    } else if (!assignedDistributors.has(String(shop.distributorId))) {
+      problems.push(`Shop ${shopId} is not under a distributor assigned to this staff member`);
+    }
+  });
+  if (problems.length > 0) {
+    return { status: 400, error: problems.join('; ') };
+  }
+
+  return {
+    stops: stops.map((stop, index) => ({
+      shopId: stop.shopId,
+      distributorId: shopsById.get(String(stop.shopId)).distributorId,
+      sequence: index + 1,
+      notes: stop.notes
+    }))
+  };
+};
+
+/**
+ * Look for another active plan covering the same day
+ * @param {Object} plan - { staffId, dayOfWeek, date }
+ * @param {String} [excludeId] - Plan being updated
+ * @returns {Promise<Object|null>}
+ */
+const findOverlappingPlan = (plan, excludeId) => {
+  const query = { staffId: plan.staffId, isActive: true };
+  if (plan.date) {
+    query.date = startOfDay(plan.date);
+  } else {
+    query.dayOfWeek = plan.dayOfWeek;
+  }
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return BeatPlan.findOne(query).select('_id');
+};
+
+/**
+ * Find the plan that applies to a staff member on a day: a plan for that
+ * date if there is one, otherwise the weekly plan for that weekday
+ * @param {String} staffId - Marketing staff
+ * @param {Date} date - Day to plan for
+ * @returns {Promise<Object|null>}
+ */
+const findPlanForDate = async (staffId, date) => {
+  const day = startOfDay(date);
+  const datedPlan = await BeatPlan.findOne({ staffId, isActive: true, date: day });
+  if (datedPlan) return datedPlan;
+  return BeatPlan.findOne({ staffId, isActive: true, dayOfWeek: day.getDay() });
+};
+
+/**
+ * @desc    Create a beat plan
+ * @route   POST /api/beat-plans
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with staff permission)
+ */
+exports.createBeatPlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffId, name, dayOfWeek, date, stops } = req.body;
+
+    if ((dayOfWeek === undefined) === (date === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either dayOfWeek or date'
+      });
+    }
+
+    const built = await buildStops(staffId, stops);
+    if (built.error) {
+      return res.status(built.status).json({
+        success: false,
+        error: built.error
+      });
+    }
+
+    if (await findOverlappingPlan({ staffId, dayOfWeek, date })) {
+      return res.status(400).json({
+        success: false,
+        error: 'This staff member already has an active beat plan for that day'
+      });
+    }
+
+    const beatPlan = await BeatPlan.create({
+      staffId,
+      name,
+      dayOfWeek,
+      date: date ? startOfDay(date) : undefined,
+      stops: built.stops,
+      createdBy: req.user.id,
+      lastUpdatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: beatPlan
+    });
+
+    logger.info(`User ${req.user.id} created beat plan ${beatPlan._id} for staff ${staffId}`);
+  } catch (error) {
+    logger.error(`Error in createBeatPlan controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get beat plans
+ * @route   GET /api/beat-plans
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with staff permission)
+ */
+exports.getBeatPlans = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffId, dayOfWeek, date, active, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = {};
+    if (staffId) query.staffId = staffId;
+    if (dayOfWeek !== undefined) query.dayOfWeek = parseInt(dayOfWeek, 10);
+    if (date) query.date = startOfDay(date);
+    if (active !== undefined) query.isActive = active === 'true';
+
+    // Pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, beatPlans] = await Promise.all([
+      BeatPlan.countDocuments(query),
+      BeatPlan.find(query)
+        .populate('staffId', 'name email')
+        .populate('stops.shopId', 'name address type')
+        .populate('createdBy', 'name')
+        .sort({ staffId: 1, date: 1, dayOfWeek: 1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: beatPlans.length,
+      total,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        pageSize: limitNum,
+        totalItems: total
+      },
+      data: beatPlans
+    });
+  } catch (error) {
+    logger.error(`Error in getBeatPlans controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a beat plan
+ * @route   GET /api/beat-plans/:id
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with staff permission)
+ */
+exports.getBeatPlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const beatPlan = await BeatPlan.findById(req.params.id)
+      .populate('staffId', 'name email')
+      .populate('stops.shopId', 'name ownerName address type location')
+      .populate('stops.distributorId', 'name shopName address')
+      .populate('createdBy', 'name')
+      .populate('lastUpdatedBy', 'name');
+
+    if (!beatPlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Beat plan not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: beatPlan
+    });
+  } catch (error) {
+    logger.error(`Error in getBeatPlan controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a beat plan
+ * @route   PUT /api/beat-plans/:id
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with staff permission)
+ */
+exports.updateBeatPlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const beatPlan = await BeatPlan.findById(req.params.id);
+    if (!beatPlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Beat plan not found'
+      });
+    }
+
+    const { name, dayOfWeek, date, stops, isActive } = req.body;
+
+    if (dayOfWeek !== undefined && date !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either dayOfWeek or date'
+      });
+    }
+
+    // Switching between a weekly and a dated plan clears the other field
+    if (dayOfWeek !== undefined) {
+      beatPlan.dayOfWeek = dayOfWeek;
+      beatPlan.date = undefined;
+    }
+    if (date !== undefined) {
+      beatPlan.date = startOfDay(date);
+      beatPlan.dayOfWeek = undefined;
+    }
+    if (name !== undefined) beatPlan.name = name;
+    if (isActive !== undefined) beatPlan.isActive = isActive;
+
+    if (stops !== undefined) {
+      const built = await buildStops(beatPlan.staffId, stops);
+      if (built.error) {
+        return res.status(built.status).json({
+          success: false,
+          error: built.error
+        });
+      }
+      beatPlan.stops = built.stops;
+    }
+
+    if (beatPlan.isActive && await findOverlappingPlan(beatPlan, beatPlan._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This staff member already has an active beat plan for that day'
+      });
+    }
+
+    beatPlan.lastUpdatedBy = req.user.id;
+    await beatPlan.save();
+
+    res.status(200).json({
+      success: true,
+      data: beatPlan
+    });
+
+    logger.info(`User ${req.user.id} updated beat plan ${beatPlan._id}`);
+  } catch (error) {
+    logger.error(`Error in updateBeatPlan controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a beat plan
+ * @route   DELETE /api/beat-plans/:id
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with staff permission)
+ */
+exports.deleteBeatPlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const beatPlan = await BeatPlan.findById(req.params.id);
+    if (!beatPlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Beat plan not found'
+      });
+    }
+
+    await beatPlan.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Beat plan deleted successfully'
+    });
+
+    logger.info(`User ${req.user.id} deleted beat plan ${req.params.id}`);
+  } catch (error) {
+    logger.error(`Error in deleteBeatPlan controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get today's beat for the logged-in marketing staff, with visit status per shop
+ * @route   GET /api/mobile/beat/today
+ * @access  Private (Marketing Staff)
+ */
+exports.getTodayBeat = async (req, res, next) => {
+  try {
+    const today = startOfDay(new Date());
+    const beatPlan = await findPlanForDate(req.user.id, today);
+
+    if (!beatPlan) {
+      return res.status(200).json({
+        success: true,
+        data: null,
+        message: 'No beat plan for today'
+      });
+    }
+
+    await beatPlan.populate([
+      { path: 'stops.shopId', select: 'name ownerName address type location' },
+      { path: 'stops.distributorId', select: 'name shopName address' }
+    ]);
+
+    // A shop counts as visited once any visit to it was logged today
+    const visits = await RetailerShopActivity.find({
+      marketingStaffId: req.user.id,
+      shopId: { $in: beatPlan.stops.map(stop => stop.shopId && stop.shopId._id) },
+      visitStartTime: { $gte: today, $lt: addDays(today, 1) },
+      status: { $ne: 'Cancelled' }
+    }).select('shopId visitStartTime').sort({ visitStartTime: 1 });
+
+    const visitedAt = new Map();
+    visits.forEach(visit => {
+      if (!visitedAt.has(String(visit.shopId))) {
+        visitedAt.set(String(visit.shopId), visit.visitStartTime);
+      }
+    });
+
+    const stops = beatPlan.stops.map(stop => {
+      const shopId = stop.shopId ? String(stop.shopId._id) : null;
+      return {
+        sequence: stop.sequence,
+        shop: stop.shopId,
+        distributor: stop.distributorId,
+        notes: stop.notes,
+        visited: visitedAt.has(shopId),
+        visitedAt: visitedAt.get(shopId) || null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        planId: beatPlan._id,
+        name: beatPlan.name,
+        date: today,
+        planType: beatPlan.date ? 'Dated' : 'Weekly',
+        plannedCount: stops.length,
+        visitedCount: stops.filter(stop => stop.visited).length,
+        stops
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getTodayBeat controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare planned shops against logged retailer shop visits
+ * @route   GET /api/beat-plans/adherence
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with staff permission)
+ */
+exports.getBeatAdherence = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffId } = req.query;
+    const today = startOfDay(new Date());
+    const end = req.query.endDate ? startOfDay(req.query.endDate) : today;
+    const start = req.query.startDate ? startOfDay(req.query.startDate) : addDays(end, -6);
+
+    if (start > end) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate must be on or before endDate'
+      });
+    }
+    if ((end - start) / (24 * 60 * 60 * 1000) >= MAX_ADHERENCE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `The report can cover at most ${MAX_ADHERENCE_DAYS} days`
+      });
+    }
+
+    // Plans are evaluated as they are now; days after today have nothing to compare yet
+    const lastDay = end > today ? today : end;
+    const planQuery = {
+      isActive: true,
+      $or: [{ date: null }, { date: { $gte: start, $lte: lastDay } }]
+    };
+    if (staffId) planQuery.staffId = staffId;
+
+    const plans = await BeatPlan.find(planQuery).select('staffId dayOfWeek date stops.shopId').lean();
+
+    // staffId -> { weekly: { dayOfWeek: plan }, dated: { dayKey: plan } }
+    const plansByStaff = new Map();
+    plans.forEach(plan => {
+      const key = String(plan.staffId);
+      if (!plansByStaff.has(key)) plansByStaff.set(key, { weekly: {}, dated: {} });
+      const entry = plansByStaff.get(key);
+      if (plan.date) {
+        entry.dated[dayKey(new Date(plan.date))] = plan;
+      } else {
+        entry.weekly[plan.dayOfWeek] = plan;
+      }
+    });
+
+    const staffIds = [...plansByStaff.keys()];
+    const [staffMembers, visits] = await Promise.all([
+      User.find({ _id: { $in: staffIds } }).select('name email'),
+      RetailerShopActivity.find({
+        marketingStaffId: { $in: staffIds },
+        visitStartTime: { $gte: start, $lt: addDays(lastDay, 1) },
+        status: { $ne: 'Cancelled' }
+      }).select('marketingStaffId shopId visitStartTime').lean()
+    ]);
+
+    // staffId|dayKey -> Set of visited shop ids
+    const visitedShops = new Map();
+    visits.forEach(visit => {
+      const key = `${visit.marketingStaffId}|${dayKey(new Date(visit.visitStartTime))}`;
+      if (!visitedShops.has(key)) visitedShops.set(key, new Set());
+      visitedShops.get(key).add(String(visit.shopId));
+    });
+
+    const staffById = new Map(staffMembers.map(staff => [String(staff._id), staff]));
+    const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+    const report = staffIds.map(id => {
+      const { weekly, dated } = plansByStaff.get(id);
+      const totals = { planned: 0, visited: 0, missed: 0, unplanned: 0 };
+      const days = [];
+
+      for (let day = new Date(start); day <= lastDay; day = addDays(day, 1)) {
+        const key = dayKey(day);
+        const plan = dated[key] || weekly[day.getDay()];
+        if (!plan) continue;
+
+        const planned = plan.stops.map(stop => String(stop.shopId));
+        const visited = visitedShops.get(`${id}|${key}`) || new Set();
+        const missed = planned.filter(shopId => !visited.has(shopId));
+        const unplanned = [...visited].filter(shopId => !planned.includes(shopId));
+
+        totals.planned += planned.length;
+        totals.visited += planned.length - missed.length;
+        totals.missed += missed.length;
+        totals.unplanned += unplanned.length;
+
+        days.push({
+          date: key,
+          planId: plan._id,
+          planned: planned.length,
+          visited: planned.length - missed.length,
+          missedShopIds: missed,
+          unplannedVisits: unplanned.length,
+          adherencePercent: percent(planned.length - missed.length, planned.length)
+        });
+      }
+
+      const staff = staffById.get(id);
+      return {
+        staffId: id,
+        staffName: staff ? staff.name : undefined,
+        email: staff ? staff.email : undefined,
+        ...totals,
+        adherencePercent: percent(totals.visited, totals.planned),
+        days
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: report.length,
+      data: {
+        startDate: dayKey(start),
+        endDate: dayKey(end),
+        staff: report
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getBeatAdherence controller: ${error.message}`);
+    next(error);
+  }
+};
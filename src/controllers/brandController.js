@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const Brand = require('../models/Brand');
+const { syncBrand } = require('../utils/catalog');
 const logger = require('../utils/logger');
 
 /**
@@ -27,6 +28,9 @@ exports.createBrand = async (req, res, next) => {
       createdBy: req.user.id
     });
 
+    // Keep the canonical catalog in sync
+    await syncBrand(brand, null, req.user.id);
+
     res.status(201).json({
       success: true,
       data: brand
@@ -109,6 +113,8 @@ exports.updateBrand = async (req, res, next) => {
 
     const { name, description, isActive } = req.body;
 
+    const previousBrand = await Brand.findById(req.params.id).select('name');
+
     const brand = await Brand.findByIdAndUpdate(
       req.params.id,
       { name, description, isActive },
@@ -122,6 +128,9 @@ exports.updateBrand = async (req, res, next) => {
       });
     }
 
+    // Keep the canonical catalog in sync
+    await syncBrand(brand, previousBrand.name, req.user.id);
+
     res.status(200).json({
       success: true,
       data: brand
@@ -160,6 +169,9 @@ exports.deleteBrand = async (req, res, next) => {
       });
     }
 
+    // Keep the canonical catalog in sync
+    await syncBrand(brand, null, req.user.id);
+
     res.status(200).json({
       success: true,
       data: {}
@@ -6,6 +6,12 @@ const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const { uploadImage } = require('../utils/imageUpload');
+const { postDamageReplacement } = require('../utils/stockLedger');
+const { validateItems, attachSkus } = require('../utils/catalog');
+const { notificationEvents, EVENTS } = require('../utils/notifications');
+const { availableActions, submissionEntry, transitionClaim } = require('../utils/claimWorkflow');
+const { STATUS_ACTIONS } = require('../config/damageClaimWorkflow');
+const { generatePdf, pdfFilename, formatDate } = require('../utils/pdfGenerator');
 
 /**
  * @desc    Create a new damage claim
@@ -45,6 +51,17 @@ exports.createDamageClaim = async (req, res, next) => {
       });
     }
 
+    // Brand/variant/size must be an active catalog item
+    const catalogErrors = await validateItems([{ brand, variant, size }]);
+    if (catalogErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: catalogErrors.join('; ')
+      });
+    }
+
+    const [catalogItem] = await attachSkus([{ brand, variant, size }]);
+
     // Create damage claim object
     const damageClaimData = {
       distributorId,
@@ -52,13 +69,16 @@ exports.createDamageClaim = async (req, res, next) => {
       brand,
       variant,
       size,
+      productId: catalogItem.productId,
+      sku: catalogItem.sku,
       pieces,
       manufacturingDate,
       batchDetails,
       damageType,
       reason,
       createdBy: req.user.id,
-      images: []
+      images: [],
+      history: [submissionEntry(req.user)]
     };
 
     // Handle image upload if present
@@ -223,7 +243,7 @@ exports.updateDamageClaimStatus = async (req, res, next) => {
     const { status, approvedPieces, comment } = req.body;
 
     // Validate status
-    if (!['Approved', 'Partially Approved', 'Rejected'].includes(status)) {
+    if (!STATUS_ACTIONS[status]) {
       return res.status(400).json({
         success: false,
         error: 'Status must be Approved, Partially Approved, or Rejected'
@@ -239,67 +259,17 @@ exports.updateDamageClaimStatus = async (req, res, next) => {
         error: 'Damage claim not found'
       });
     }
-    
-    // Check if user is authorized to update status
-    if (req.user.role !== 'Administrator' && req.user.role !== 'Admin' && req.user.role !== 'Mid-Level Manager') {
-      return res.status(403).json({
+
+    // The workflow decides who may move the claim from its current stage
+    const outcome = await transitionClaim(damageClaim, STATUS_ACTIONS[status], req.user, { comment, approvedPieces });
+    if (outcome.error) {
+      return res.status(outcome.status).json({
         success: false,
-        error: 'Not authorized to update damage claim status'
+        error: outcome.error
       });
     }
-    
-    // Validate approvedPieces for Partially Approved status
-    if (status === 'Partially Approved') {
-      if (!approvedPieces || approvedPieces <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Approved pieces must be greater than 0 for Partially Approved status'
-        });
-      }
-      
-      if (approvedPieces >= damageClaim.pieces) {
-        return res.status(400).json({
-          success: false,
-          error: 'For partial approval, approved pieces must be less than total pieces'
-        });
-      }
-    }
-    
-    // Generate tracking ID for approved or partially approved claims
-    let trackingId = null;
-    if (status === 'Approved' || status === 'Partially Approved') {
-      const datePrefix = new Date().toISOString().slice(2, 10).replace(/-/g, '');
-      const randomSuffix = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-      trackingId = `DMG${datePrefix}${randomSuffix}`;
-      console.log(`Generated tracking ID: ${trackingId} for claim ${req.params.id}`);
-    }
-    
-    // Update damage claim
-    const updateData = {
-      status,
-      approvedBy: req.user.id,
-      comment: comment || '',
-      approvedDate: new Date()
-    };
-    
-    // Add approvedPieces for Approved and Partially Approved status
-    if (status === 'Approved') {
-      updateData.approvedPieces = damageClaim.pieces;
-    } else if (status === 'Partially Approved') {
-      updateData.approvedPieces = approvedPieces;
-    }
-    
-    // Add tracking ID if generated
-    if (trackingId) {
-      updateData.trackingId = trackingId;
-    }
-    
-    // Update the damage claim
-    damageClaim = await DamageClaim.findByIdAndUpdate(
-      req.params.id, 
-      updateData,
-      { new: true, runValidators: true }
-    )
+
+    damageClaim = await DamageClaim.findById(damageClaim._id)
       .populate('distributorId', 'name contact address')
       .populate('createdBy', 'name role')
       .populate('approvedBy', 'name role');
@@ -318,6 +288,9 @@ exports.updateDamageClaimStatus = async (req, res, next) => {
       onModel: 'DamageClaim'
     });
 
+    // Let the claimant know the outcome
+    notificationEvents.emit(EVENTS.DAMAGE_CLAIM_PROCESSED, { damageClaim, actorId: req.user.id });
+
     res.status(200).json({
       success: true,
       data: damageClaim
@@ -416,8 +389,7 @@ exports.addMLMComment = async (req, res, next) => {
     const { comment } = req.body;
 
     // Find damage claim
-    let damageClaim = await DamageClaim.findById(req.params.id)
-      .populate('distributorId', 'name');
+    let damageClaim = await DamageClaim.findById(req.params.id);
     
     if (!damageClaim) {
       return res.status(404).json({
@@ -425,25 +397,16 @@ exports.addMLMComment = async (req, res, next) => {
         error: 'Damage claim not found'
       });
     }
-    
-    // Check if claim is in the correct state
-    if (damageClaim.status !== 'Pending' && damageClaim.status !== 'Commented') {
-      return res.status(400).json({
+
+    const outcome = await transitionClaim(damageClaim, 'comment', req.user, { comment });
+    if (outcome.error) {
+      return res.status(outcome.status).json({
         success: false,
-        error: `Cannot add comment to a claim with status ${damageClaim.status}`
+        error: outcome.error
       });
     }
 
-    // Update damage claim
-    damageClaim = await DamageClaim.findByIdAndUpdate(
-      req.params.id,
-      {
-        mlmComment: comment,
-        status: 'Commented',
-        mlmId: req.user.id
-      },
-      { new: true, runValidators: true }
-    )
+    damageClaim = await DamageClaim.findById(damageClaim._id)
       .populate('distributorId', 'name contact address')
       .populate('createdBy', 'name role')
       .populate('mlmId', 'name role');
@@ -487,8 +450,7 @@ exports.processDamageClaim = async (req, res, next) => {
     const { status, adminComment, approvedPieces } = req.body;
     
     // Find damage claim
-    let damageClaim = await DamageClaim.findById(req.params.id)
-      .populate('distributorId', 'name');
+    let damageClaim = await DamageClaim.findById(req.params.id);
     
     if (!damageClaim) {
       return res.status(404).json({
@@ -498,55 +460,25 @@ exports.processDamageClaim = async (req, res, next) => {
     }
     
     // Validate the action based on status
-    if (status !== 'Approved' && status !== 'Partially Approved' && status !== 'Rejected') {
+    if (!STATUS_ACTIONS[status]) {
       return res.status(400).json({
         success: false,
         error: 'Status must be Approved, Partially Approved, or Rejected'
       });
     }
-    
-    // If partially approved, approvedPieces must be provided and valid
-    if (status === 'Partially Approved') {
-      if (!approvedPieces || approvedPieces <= 0 || approvedPieces >= damageClaim.pieces) {
-        return res.status(400).json({
-          success: false,
-          error: 'Approved pieces must be greater than zero and less than the damaged pieces'
-        });
-      }
-    }
-    
-    // If approved, set approvedPieces to damagedPieces
-    const finalApprovedPieces = status === 'Approved' 
-      ? damageClaim.pieces 
-      : (status === 'Partially Approved' ? approvedPieces : 0);
-    
-    // Generate tracking ID for approved or partially approved claims
-    let trackingId = null;
-    if (status === 'Approved' || status === 'Partially Approved') {
-      const datePrefix = new Date().toISOString().slice(2, 10).replace(/-/g, '');
-      const randomSuffix = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-      trackingId = `DMG${datePrefix}${randomSuffix}`;
-      console.log(`Generated tracking ID: ${trackingId} for claim ${req.params.id}`);
-    }
-    
-    // Update damage claim
-    const updateData = {
-      status,
-      adminComment,
-      adminId: req.user.id,
-      approvedPieces: finalApprovedPieces
-    };
-    
-    // Add tracking ID if generated
-    if (trackingId) {
-      updateData.trackingId = trackingId;
+
+    const outcome = await transitionClaim(damageClaim, STATUS_ACTIONS[status], req.user, {
+      comment: adminComment,
+      approvedPieces
+    });
+    if (outcome.error) {
+      return res.status(outcome.status).json({
+        success: false,
+        error: outcome.error
+      });
     }
-    
-    damageClaim = await DamageClaim.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    )
+
+    damageClaim = await DamageClaim.findById(damageClaim._id)
       .populate('distributorId', 'name contact address')
       .populate('createdBy', 'name role')
       .populate('mlmId', 'name role')
@@ -566,6 +498,9 @@ exports.processDamageClaim = async (req, res, next) => {
       onModel: 'DamageClaim'
     });
 
+    // Let the claimant know the outcome
+    notificationEvents.emit(EVENTS.DAMAGE_CLAIM_PROCESSED, { damageClaim, actorId: req.user.id });
+
     res.status(200).json({
       success: true,
       data: damageClaim
@@ -576,6 +511,177 @@ exports.processDamageClaim = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the workflow history of a damage claim
+ * @route   GET /api/damage-claims/:id/history
+ * @access  Private (Claimant, Admin, MLM)
+ */
+exports.getDamageClaimHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const damageClaim = await DamageClaim.findById(req.params.id)
+      .select('status pieces approvedPieces createdBy history')
+      .populate('history.actor', 'name role');
+
+    if (!damageClaim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Damage claim not found'
+      });
+    }
+
+    // Same visibility as the claim itself
+    const isAdmin = req.user.role === 'Administrator' || req.user.role === 'Admin';
+    const isMLM = req.user.role === 'Mid-Level Manager';
+    const isCreator = damageClaim.createdBy.toString() === req.user.id;
+
+    if (!isAdmin && !isMLM && !isCreator) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this damage claim'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        claimId: damageClaim._id,
+        status: damageClaim.status,
+        pieces: damageClaim.pieces,
+        approvedPieces: damageClaim.approvedPieces,
+        history: damageClaim.history,
+        availableActions: availableActions(damageClaim, req.user)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getDamageClaimHistory controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the approval letter or replacement challan of a claim as PDF
+ * @route   GET /api/damage-claims/:id/pdf
+ * @access  Private (Claimant, Admin, MLM, Godown Incharge)
+ */
+exports.getDamageClaimPdf = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const damageClaim = await DamageClaim.findById(req.params.id)
+      .populate('distributorId', 'name shopName contact address')
+      .populate('createdBy', 'name')
+      .populate('approvedBy', 'name role');
+
+    if (!damageClaim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Damage claim not found'
+      });
+    }
+
+    // Godown Incharge hands the replacement over, so they can print it too
+    const isAdmin = req.user.role === 'Administrator' || req.user.role === 'Admin';
+    const isMLM = req.user.role === 'Mid-Level Manager';
+    const isGodown = req.user.role === 'Godown Incharge';
+    const isCreator = damageClaim.createdBy._id.toString() === req.user.id;
+
+    if (!isAdmin && !isMLM && !isGodown && !isCreator) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this damage claim'
+      });
+    }
+
+    if (damageClaim.status !== 'Approved' && damageClaim.status !== 'Partially Approved') {
+      return res.status(400).json({
+        success: false,
+        error: `Documents are only available for approved or partially approved claims (current status: ${damageClaim.status})`
+      });
+    }
+
+    // Claims with a completed replacement default to the challan
+    const replacement = damageClaim.replacementDetails;
+    const document = req.query.document || (damageClaim.replacementStatus === 'Completed' ? 'replacement' : 'approval');
+    if (document === 'replacement' && (damageClaim.replacementStatus !== 'Completed' || !replacement)) {
+      return res.status(400).json({
+        success: false,
+        error: 'No replacement has been dispatched for this claim yet'
+      });
+    }
+
+    const distributor = damageClaim.distributorId || {};
+    const product = [damageClaim.brand, damageClaim.variant, damageClaim.size].filter(Boolean).join(' ');
+    const isReplacement = document === 'replacement';
+
+    const doc = generatePdf({
+      title: isReplacement ? 'REPLACEMENT DISPATCH CHALLAN' : 'DAMAGE CLAIM APPROVAL LETTER',
+      recipient: {
+        heading: isReplacement ? 'Deliver to' : 'To',
+        lines: [
+          distributor.name || damageClaim.distributorName,
+          distributor.shopName,
+          distributor.address,
+          distributor.contact && `Contact: ${distributor.contact}`
+        ]
+      },
+      details: [
+        ['Tracking ID', damageClaim.trackingId],
+        ['Claim Date', formatDate(damageClaim.createdAt)],
+        ['Status', damageClaim.status],
+        ['Approved on', formatDate(damageClaim.approvedDate)],
+        ['Approved by', damageClaim.approvedBy && damageClaim.approvedBy.name],
+        ['Dispatch Date', isReplacement ? formatDate(replacement.dispatchDate) : ''],
+        ['Reference No.', isReplacement ? replacement.referenceNumber : ''],
+        ['Channelled to', isReplacement ? replacement.channelledTo : '']
+      ],
+      paragraphs: isReplacement
+        ? [`Replacement against damage claim ${damageClaim.trackingId}, authorised by ${replacement.approvedBy}.`]
+        : [
+          `Your damage claim for ${damageClaim.pieces} piece(s) of ${product} (batch ${damageClaim.batchDetails}) has been ${damageClaim.status.toLowerCase()}.`,
+          `${damageClaim.approvedPieces} piece(s) will be replaced. Please quote tracking ID ${damageClaim.trackingId} when receiving the replacement.`
+        ],
+      columns: [
+        { header: 'Product', key: 'product', width: 0.3 },
+        { header: 'SKU', key: 'sku', width: 0.2 },
+        { header: 'Batch', key: 'batch', width: 0.16 },
+        { header: 'Claimed', key: 'pieces', width: 0.14, align: 'right' },
+        { header: 'Approved', key: 'approvedPieces', width: 0.14, align: 'right' }
+      ],
+      rows: [{
+        product,
+        sku: damageClaim.sku,
+        batch: damageClaim.batchDetails,
+        pieces: damageClaim.pieces,
+        approvedPieces: damageClaim.approvedPieces
+      }],
+      notes: damageClaim.comment,
+      signatures: isReplacement ? ['Dispatched by', 'Driver', 'Received by'] : ['Authorised Signatory']
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfFilename(isReplacement ? 'Replacement_Challan' : 'Claim_Approval', damageClaim.trackingId || damageClaim._id)}"`);
+
+    doc.pipe(res);
+  } catch (error) {
+    logger.error(`Error in getDamageClaimPdf controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get a damage claim by tracking ID
  * @route   GET /api/damage-claims/tracking/:trackingId
@@ -913,6 +1019,9 @@ exports.createReplacement = async (req, res, next) => {
     .populate('distributorId', 'name contact address')
     .populate('createdBy', 'name role')
     .populate('approvedBy', 'name role');
+
+    // Write off the damaged pieces and receive the replacement in the stock ledger
+    await postDamageReplacement(updatedClaim, req.user.id);
     
     // Convert to plain object and add full image URLs
     const result = updatedClaim.toObject();
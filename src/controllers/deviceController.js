@@ -0,0 +1,108 @@
+const { validationResult } = require('express-validator');
+const DeviceToken = require('../models/DeviceToken');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Register (or refresh) a push token for the current user's device
+ * @route   POST /api/mobile/devices
+ * @access  Private
+ */
+exports.registerDevice = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, platform, deviceId, appVersion } = req.body;
+
+    const existing = await DeviceToken.findOne({ token });
+
+    const update = {
+      user: req.user.id,
+      isActive: true,
+      lastSeenAt: new Date()
+    };
+    if (platform) update.platform = platform;
+    if (deviceId) update.deviceId = deviceId;
+    if (appVersion) update.appVersion = appVersion;
+
+    // A token belongs to one app install; if another user logs in on the
+    // same device the token moves to them
+    const device = await DeviceToken.findOneAndUpdate(
+      { token },
+      { $set: update, $unset: { invalidatedAt: '', invalidReason: '' } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    // One active token per physical device: drop tokens the app replaced
+    if (deviceId) {
+      await DeviceToken.updateMany(
+        { user: req.user.id, deviceId, _id: { $ne: device._id }, isActive: true },
+        { isActive: false, invalidatedAt: new Date(), invalidReason: 'Replaced by a newer token' }
+      );
+    }
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: device
+    });
+  } catch (error) {
+    logger.error(`Error in registerDevice controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's registered devices
+ * @route   GET /api/mobile/devices
+ * @access  Private
+ */
+exports.getMyDevices = async (req, res, next) => {
+  try {
+    const devices = await DeviceToken.find({ user: req.user.id, isActive: true })
+      .sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices
+    });
+  } catch (error) {
+    logger.error(`Error in getMyDevices controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unregister a push token (e.g. on logout or when notifications are disabled)
+ * @route   DELETE /api/mobile/devices/:token
+ * @access  Private
+ */
+exports.unregisterDevice = async (req, res, next) => {
+  try {
+    const device = await DeviceToken.findOneAndUpdate(
+      { token: req.params.token, user: req.user.id, isActive: true },
+      { isActive: false, invalidatedAt: new Date(), invalidReason: 'Unregistered by user' },
+      { new: true }
+    );
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error in unregisterDevice controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const Distributor = require('../models/Distributor');
 const logger = require('../utils/logger');
+const { toGeoPoint } = require('../utils/geo');
 
 /**
  * @desc    Create a new distributor
@@ -18,7 +19,10 @@ exports.createDistributor = async (req, res, next) => {
       });
     }
 
-    const { name, shopName, contact, address, phoneNumber } = req.body;
+    const { name, shopName, contact, address, phoneNumber, location } = req.body;
+
+    // Stored location is used to geo-fence staff punch-ins
+    const point = toGeoPoint(location);
 
     // Create distributor
     const distributor = await Distributor.create({
@@ -27,6 +31,7 @@ exports.createDistributor = async (req, res, next) => {
       contact,
       address,
       phoneNumber,
+      location: point ? { type: 'Point', coordinates: point.coordinates } : undefined,
       retailShops: [],
       wholesaleShops: []
     });
@@ -231,7 +236,15 @@ exports.updateDistributor = async (req, res, next) => {
       });
     }
 
-    const { name, shopName, contact, address, phoneNumber } = req.body;
+    const { name, shopName, contact, address, phoneNumber, location } = req.body;
+
+    const updateData = { name, shopName, contact, address, phoneNumber };
+
+    // Only touch the stored location when valid coordinates are sent
+    const point = toGeoPoint(location);
+    if (point) {
+      updateData.location = { type: 'Point', coordinates: point.coordinates };
+    }
 
     // Find and update distributor
     let distributor = await Distributor.findById(req.params.id);
@@ -245,7 +258,7 @@ exports.updateDistributor = async (req, res, next) => {
 
     distributor = await Distributor.findByIdAndUpdate(
       req.params.id,
-      { name, shopName, contact, address, phoneNumber },
+      updateData,
       { new: true, runValidators: true }
     );
 
@@ -2,6 +2,8 @@ const RetailerShopActivity = require('../models/RetailerShopActivity');
 const mongoose = require('mongoose');
 const Shop = require('../models/Shop');
 const Distributor = require('../models/Distributor');
+const { applyPriceList } = require('../utils/priceList');
+const { attachSkus } = require('../utils/catalog');
 
 /**
  * @desc    Create fresh sales orders for a shop by a marketing staff
@@ -9,12 +11,14 @@ const Distributor = require('../models/Distributor');
  * @access  Private (Marketing Staff)
  * @body    distributorId: ObjectId (required)
  * @body    shopId: ObjectId (required)
- * @body    orders: Array of { brandName, quantity, size, variant } (required)
+ * @body    orders: Array of { brandName, quantity, size, variant, rate? } (required)
  */
 exports.createFreshOrder = async (req, res, next) => {
   try {
     const { distributorId, shopId, orders } = req.body;
     const staffId = req.user && req.user.id;
+    // Orders queued offline and replayed by /api/mobile/sync carry their device time
+    const orderedAt = req.clientTimestamp || new Date();
     const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
     if (!distributorId || !shopId || !Array.isArray(orders) || orders.length === 0) {
       return res.status(400).json({ success: false, error: 'distributorId, shopId, and orders array are required' });
@@ -26,18 +30,29 @@ exports.createFreshOrder = async (req, res, next) => {
       return res.status(401).json({ success: false, error: 'Unauthorized: No staff user found' });
     }
 
-    // Prepare sales order objects
-    const salesOrders = orders.map(order => ({
-      brandName: order.brandName,
-      quantity: order.quantity,
-      size: order.size,
-      variant: order.variant,
-      createdAt: new Date(),
-      createdBy: staffId
-    }));
+    // Prepare sales order objects linked to catalog SKUs, defaulting rates from the
+    // price list in effect when the order was taken
+    const shopForPricing = await Shop.findById(shopId).select('type');
+    const catalogOrders = await attachSkus(
+      orders.map(order => ({
+        brandName: order.brandName,
+        quantity: order.quantity,
+        size: order.size,
+        variant: order.variant,
+        rate: order.rate,
+        sku: order.sku,
+        createdAt: orderedAt,
+        createdBy: staffId
+      })),
+      { brand: 'brandName' }
+    );
+    const salesOrders = await applyPriceList(
+      catalogOrders,
+      { distributorId, shopType: shopForPricing ? shopForPricing.type : undefined, date: orderedAt }
+    );
 
-    // Find or create RetailerShopActivity for today, staff, distributor, shop
-    const today = new Date();
+    // Find or create RetailerShopActivity for the order day, staff, distributor, shop
+    const today = new Date(orderedAt);
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
     tomorrow.setDate(today.getDate() + 1);
@@ -55,8 +70,10 @@ exports.createFreshOrder = async (req, res, next) => {
         distributorId: distributorId,
         shopId: shopId,
         salesOrders: salesOrders,
-        punchInTime: new Date(),
-        isPunchedIn: true
+        punchInTime: orderedAt,
+        isPunchedIn: true,
+        // Dated by the order so later orders from the same day find this activity
+        createdAt: orderedAt
       });
     } else {
       activity.salesOrders = salesOrders; // Only keep the new fresh orders
@@ -0,0 +1,170 @@
+const { validationResult } = require('express-validator');
+const StockMovement = require('../models/StockMovement');
+const Distributor = require('../models/Distributor');
+const StaffActivity = require('../models/StaffActivity');
+const { getBalances } = require('../utils/stockLedger');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get current stock balances per distributor × brand/variant/size
+ * @route   GET /api/inventory/balances
+ * @access  Private (Admin, Mid-Level Manager, Godown Incharge)
+ */
+exports.getStockBalances = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { distributorId, brand, variant, size, asOf } = req.query;
+
+    const balances = await getBalances({ distributorId, brand, variant, size, asOf });
+
+    res.status(200).json({
+      success: true,
+      count: balances.length,
+      data: balances
+    });
+  } catch (error) {
+    logger.error(`Error in getStockBalances controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get stock movement history
+ * @route   GET /api/inventory/movements
+ * @access  Private (Admin, Mid-Level Manager, Godown Incharge)
+ */
+exports.getStockMovements = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      distributorId,
+      brand,
+      variant,
+      size,
+      movementType,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    // Build query
+    const query = {};
+    if (distributorId) query.distributorId = distributorId;
+    if (brand) query.brand = brand;
+    if (variant) query.variant = variant;
+    if (size) query.size = size;
+    if (movementType) query.movementType = movementType;
+
+    if (startDate || endDate) {
+      query.movementDate = {};
+      if (startDate) query.movementDate.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.movementDate.$lte = end;
+      }
+    }
+
+    // Pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await StockMovement.countDocuments(query);
+
+    const movements = await StockMovement.find(query)
+      .populate('distributorId', 'name shopName')
+      .populate('createdBy', 'name role')
+      .sort({ movementDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: movements.length,
+      total,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        pageSize: limitNum,
+        totalItems: total
+      },
+      data: movements
+    });
+  } catch (error) {
+    logger.error(`Error in getStockMovements controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a manual stock adjustment (e.g. physical count correction)
+ * @route   POST /api/inventory/adjustments
+ * @access  Private (Admin, Godown Incharge)
+ */
+exports.createStockAdjustment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { distributorId, brand, variant, size, unit, direction, quantity, referenceNumber, notes } = req.body;
+
+    const distributor = await Distributor.findById(distributorId);
+    if (!distributor) {
+      return res.status(404).json({
+        success: false,
+        error: 'Distributor not found'
+      });
+    }
+
+    const movement = await StockMovement.create({
+      distributorId,
+      brand,
+      variant,
+      size,
+      unit,
+      direction,
+      quantity,
+      movementType: 'Adjustment',
+      referenceNumber,
+      notes,
+      createdBy: req.user.id
+    });
+
+    // Log staff activity
+    await StaffActivity.create({
+      staffId: req.user.id,
+      activityType: 'Other',
+      details: `Stock adjustment (${direction} ${quantity}) for ${brand} at ${distributor.name}`,
+      status: 'Completed'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: movement
+    });
+  } catch (error) {
+    logger.error(`Error in createStockAdjustment controller: ${error.message}`);
+    next(error);
+  }
+};
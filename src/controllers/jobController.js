@@ -0,0 +1,216 @@
+const { validationResult } = require('express-validator');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const logger = require('../utils/logger');
+const { isDefined, triggerJob } = require('../utils/scheduler');
+const { nextCronDate } = require('../utils/cron');
+
+/**
+ * Add fields that describe the job's current state
+ * @param {Object} job - Lean ScheduledJob
+ * @returns {Object}
+ */
+const describeJob = (job) => ({
+  ...job,
+  // Jobs removed from the code stay in the collection but never run
+  isDefined: isDefined(job.name),
+  isRunning: Boolean(job.lockedUntil && new Date(job.lockedUntil) > new Date())
+});
+
+/**
+ * @desc    List scheduled jobs with their schedule and last outcome
+ * @route   GET /api/jobs
+ * @access  Private (Admin)
+ */
+exports.getJobs = async (req, res, next) => {
+  try {
+    const jobs = await ScheduledJob.find().sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs.map(describeJob)
+    });
+  } catch (error) {
+    logger.error(`Error in getJobs controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the run history of a job
+ * @route   GET /api/jobs/:name/runs
+ * @access  Private (Admin)
+ */
+exports.getJobRuns = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, trigger, page = 1, limit = 20 } = req.query;
+
+    const query = { job: req.params.name };
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    // Pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, runs] = await Promise.all([
+      JobRun.countDocuments(query),
+      JobRun.find(query)
+        .populate('triggeredBy', 'name email')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      total,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        pageSize: limitNum,
+        totalItems: total
+      },
+      data: runs
+    });
+  } catch (error) {
+    logger.error(`Error in getJobRuns controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Run a job now, outside its schedule
+ * @route   POST /api/jobs/:name/run
+ * @access  Private (Admin)
+ */
+exports.runJob = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    if (!isDefined(name) || !(await ScheduledJob.exists({ name }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const run = await triggerJob(name, req.user.id);
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running'
+      });
+    }
+
+    // The job runs in the background; poll the run history for the outcome
+    res.status(202).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    logger.error(`Error in runJob controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pause a job so it no longer runs on its schedule
+ * @route   POST /api/jobs/:name/pause
+ * @access  Private (Admin)
+ */
+exports.pauseJob = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await ScheduledJob.findOne({ name: req.params.name });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!job.isPaused) {
+      job.isPaused = true;
+      job.pausedBy = req.user.id;
+      job.pausedAt = new Date();
+      await job.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: describeJob(job.toObject())
+    });
+  } catch (error) {
+    logger.error(`Error in pauseJob controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resume a paused job from its next cron time
+ * @route   POST /api/jobs/:name/resume
+ * @access  Private (Admin)
+ */
+exports.resumeJob = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await ScheduledJob.findOne({ name: req.params.name });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (job.isPaused) {
+      // Runs missed while paused are skipped rather than caught up
+      job.isPaused = false;
+      job.pausedBy = undefined;
+      job.pausedAt = undefined;
+      job.failedAttempts = 0;
+      job.nextRunAt = nextCronDate(job.cronExpression);
+      await job.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: describeJob(job.toObject())
+    });
+  } catch (error) {
+    logger.error(`Error in resumeJob controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -9,6 +9,50 @@ const fs = require('fs');
 const mongoose = require('mongoose');
 const StaffDistributorAssignment = require('../models/StaffDistributorAssignment');
 const Shop = require('../models/Shop'); // Added missing import for Shop
+const config = require('../config/config');
+const { toGeoPoint, hasCoordinates, distanceInMeters } = require('../utils/geo');
+const { calculateSalesTotals, closeStaleSessions } = require('../utils/punchSessions');
+
+// Most recent flagged punches returned alongside the activity list; the full
+// list is paginated with ?flagged=true
+const FLAGGED_PUNCH_PREVIEW_LIMIT = 20;
+
+/**
+ * Check a punch location against the distributor's stored location
+ * @param {Object} location - Location payload from the app ({ latitude, longitude, accuracy })
+ * @param {Object} distributor - Distributor document (with location)
+ * @param {String} label - 'Punch-in' or 'Punch-out', used in flag messages
+ * @returns {Object} - { point, distance, flags, isOutside, isImprecise }
+ */
+const evaluatePunchLocation = (location, distributor, label) => {
+  const radius = config.geoFenceRadiusMeters;
+  const point = toGeoPoint(location);
+  const result = { point, distance: null, flags: [], isOutside: false, isImprecise: false };
+
+  if (!point) {
+    result.flags.push(`${label}: location not provided`);
+    return result;
+  }
+
+  // Nothing to compare against until the distributor's location has been recorded
+  if (!hasCoordinates(distributor.location)) {
+    return result;
+  }
+
+  result.distance = Math.round(distanceInMeters(point, distributor.location));
+
+  // Give the benefit of the doubt within the reported GPS accuracy
+  if (result.distance - (point.accuracy || 0) > radius) {
+    result.isOutside = true;
+    result.flags.push(`${label}: ${result.distance}m from distributor (allowed ${radius}m)`);
+  } else if (point.accuracy && point.accuracy > radius) {
+    // The accuracy comes from the app, so a fix this loose cannot show the punch was inside
+    result.isImprecise = true;
+    result.flags.push(`${label}: GPS accuracy ${Math.round(point.accuracy)}m exceeds allowed ${radius}m`);
+  }
+
+  return result;
+};
 
 /**
  * @desc    Create a marketing staff activity with punch-in
@@ -35,9 +79,13 @@ exports.punchIn = async (req, res, next) => {
       selfieImage,
       shopTypes,
       shops,
-      brandSupplyEstimates
+      brandSupplyEstimates,
+      location
     } = req.body;
 
+    // A session left open past the cutoff is closed now rather than blocking this punch-in
+    await closeStaleSessions({ staffId: req.user.id });
+
     // Check if already punched in
     const existingActivity = await MarketingStaffActivity.findOne({
       marketingStaffId: req.user.id,
@@ -61,6 +109,34 @@ exports.punchIn = async (req, res, next) => {
       });
     }
 
+    // Verify the staff member is at the distributor
+    const geoCheck = evaluatePunchLocation(location, distributorExists, 'Punch-in');
+    if (config.geoFenceMode === 'reject') {
+      if (!geoCheck.point) {
+        return res.status(400).json({
+          success: false,
+          error: 'Location is required to punch in',
+          code: 'LOCATION_REQUIRED'
+        });
+      }
+      if (geoCheck.isOutside) {
+        return res.status(403).json({
+          success: false,
+          error: `You are ${geoCheck.distance}m away from the distributor. Punch in is allowed within ${config.geoFenceRadiusMeters}m.`,
+          code: 'OUTSIDE_GEOFENCE',
+          distanceMeters: geoCheck.distance
+        });
+      }
+      if (geoCheck.isImprecise) {
+        return res.status(403).json({
+          success: false,
+          error: `GPS accuracy is ${Math.round(geoCheck.point.accuracy)}m. Punch in needs a location accurate to ${config.geoFenceRadiusMeters}m; wait for a better GPS signal and try again.`,
+          code: 'LOCATION_TOO_IMPRECISE',
+          distanceMeters: geoCheck.distance
+        });
+      }
+    }
+
     // Process shops array - create temporary IDs for planned shops
     const processedShops = shops.map(shop => ({
       _id: new mongoose.Types.ObjectId(),
@@ -97,8 +173,13 @@ exports.punchIn = async (req, res, next) => {
       selfieImage,
       shops: processedShops,
       brandSupplyEstimates: cleanedBrandSupplyEstimates,
-      meetingStartTime: new Date(),
-      status: 'Punched In'
+      // Punches replayed by /api/mobile/sync keep the time they happened on the device
+      meetingStartTime: req.clientTimestamp || new Date(),
+      status: 'Punched In',
+      punchInLocation: geoCheck.point || undefined,
+      punchInDistanceMeters: geoCheck.distance,
+      isLocationFlagged: geoCheck.flags.length > 0,
+      locationFlags: geoCheck.flags
     });
 
     await marketingActivity.save();
@@ -135,7 +216,7 @@ exports.punchOut = async (req, res, next) => {
       });
     }
 
-    const { voiceNotes } = req.body;
+    const { voiceNotes, location } = req.body;
 
     // Find the active marketing activity
     const marketingActivity = await MarketingStaffActivity.findOne({
@@ -151,8 +232,52 @@ exports.punchOut = async (req, res, next) => {
       });
     }
 
+    // Verify the staff member is still at the distributor
+    const distributor = await Distributor.findById(marketingActivity.distributorId).select('location');
+    const geoCheck = evaluatePunchLocation(location, distributor || {}, 'Punch-out');
+    if (config.geoFenceMode === 'reject') {
+      if (!geoCheck.point) {
+        return res.status(400).json({
+          success: false,
+          error: 'Location is required to punch out',
+          code: 'LOCATION_REQUIRED'
+        });
+      }
+      if (geoCheck.isOutside) {
+        return res.status(403).json({
+          success: false,
+          error: `You are ${geoCheck.distance}m away from the distributor. Punch out is allowed within ${config.geoFenceRadiusMeters}m.`,
+          code: 'OUTSIDE_GEOFENCE',
+          distanceMeters: geoCheck.distance
+        });
+      }
+      if (geoCheck.isImprecise) {
+        return res.status(403).json({
+          success: false,
+          error: `GPS accuracy is ${Math.round(geoCheck.point.accuracy)}m. Punch out needs a location accurate to ${config.geoFenceRadiusMeters}m; wait for a better GPS signal and try again.`,
+          code: 'LOCATION_TOO_IMPRECISE',
+          distanceMeters: geoCheck.distance
+        });
+      }
+    }
+
+    marketingActivity.punchOutLocation = geoCheck.point || undefined;
+    marketingActivity.punchOutDistanceMeters = geoCheck.distance;
+    if (geoCheck.flags.length > 0) {
+      marketingActivity.isLocationFlagged = true;
+      marketingActivity.locationFlags.push(...geoCheck.flags);
+    }
+
+    // A queued punch-out cannot be earlier than the punch-in it closes
+    if (req.clientTimestamp && req.clientTimestamp < marketingActivity.meetingStartTime) {
+      return res.status(409).json({
+        success: false,
+        error: 'Punch-out time is before the punch-in time of the active activity'
+      });
+    }
+
     // Update the activity with punch-out details
-    marketingActivity.meetingEndTime = new Date();
+    marketingActivity.meetingEndTime = req.clientTimestamp || new Date();
     marketingActivity.status = 'Punched Out';
     marketingActivity.voiceNotes = voiceNotes || [];
 
@@ -161,37 +286,8 @@ exports.punchOut = async (req, res, next) => {
     const endTime = new Date(marketingActivity.meetingEndTime);
     marketingActivity.durationMinutes = Math.round((endTime - startTime) / (1000 * 60));
 
-    // Get all retailer shop activities for this marketing activity
-    const retailerActivities = await RetailerShopActivity.find({
-      marketingActivityId: marketingActivity._id
-    });
-
-    // Calculate totals
-    let totalSalesOrders = 0;
-    let totalSalesValue = 0;
-    const salesOrders = [];
-
-    retailerActivities.forEach(activity => {
-      if (activity.salesOrders && activity.salesOrders.length > 0) {
-        totalSalesOrders += activity.salesOrders.length;
-        activity.salesOrders.forEach(order => {
-          const orderValue = (order.quantity || 0) * (order.rate || 0);
-          totalSalesValue += orderValue;
-          salesOrders.push({
-            ...order,
-            shopName: activity.shopName,
-            shopId: activity.shopId,
-            totalValue: orderValue
-          });
-        });
-      }
-    });
-
-    // Update marketing activity with aggregated data
-    marketingActivity.salesOrders = salesOrders;
-    marketingActivity.totalSalesOrders = totalSalesOrders;
-    marketingActivity.totalSalesValue = totalSalesValue;
-    marketingActivity.totalShopsVisited = retailerActivities.length;
+    // Update marketing activity with data aggregated from its retailer shop activities
+    Object.assign(marketingActivity, await calculateSalesTotals(marketingActivity._id));
 
     await marketingActivity.save();
 
@@ -444,7 +540,7 @@ exports.getMyActivities = async (req, res, next) => {
  */
 exports.getAllStaffActivities = async (req, res, next) => {
   try {
-    const { distributorId, staffId, date, status, page = 1, limit = 20 } = req.query;
+    const { distributorId, staffId, date, status, flagged, page = 1, limit = 20 } = req.query;
     
     // Check if user has manager or admin role
     if (req.user.role !== 'Mid-Level Manager' && req.user.role !== 'Admin') {
@@ -496,6 +592,11 @@ exports.getAllStaffActivities = async (req, res, next) => {
       query.status = status;
     }
     
+    // Filter to geo-fence flagged punches only
+    if (flagged === 'true') {
+      query.isLocationFlagged = true;
+    }
+    
     // Get activities with time limit applied (only show activities within 7 days for managers)
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -518,6 +619,29 @@ exports.getAllStaffActivities = async (req, res, next) => {
       .limit(limitNum)
       .lean();
     
+    // Flagged punches within the same filters, for the manager's review list
+    const flaggedQuery = { ...query, isLocationFlagged: true };
+    const flaggedCount = await MarketingStaffActivity.countDocuments(flaggedQuery);
+    const flaggedActivities = await MarketingStaffActivity.find(flaggedQuery)
+      .select('marketingStaffId distributorId meetingStartTime meetingEndTime status punchInDistanceMeters punchOutDistanceMeters locationFlags')
+      .populate('marketingStaffId', 'name email')
+      .populate('distributorId', 'name shopName')
+      .sort({ createdAt: -1 })
+      .limit(FLAGGED_PUNCH_PREVIEW_LIMIT)
+      .lean();
+    
+    const flaggedPunches = flaggedActivities.map(activity => ({
+      activityId: activity._id,
+      staff: activity.marketingStaffId,
+      distributor: activity.distributorId,
+      meetingStartTime: activity.meetingStartTime,
+      meetingEndTime: activity.meetingEndTime,
+      status: activity.status,
+      punchInDistanceMeters: activity.punchInDistanceMeters,
+      punchOutDistanceMeters: activity.punchOutDistanceMeters,
+      reasons: activity.locationFlags
+    }));
+    
     // Enhanced activities with detailed shop visit data
     const enhancedActivities = await Promise.all(activities.map(async (activity) => {
       const activityObj = { ...activity };
@@ -611,6 +735,8 @@ exports.getAllStaffActivities = async (req, res, next) => {
       count: enhancedActivities.length,
       totalCount,
       data: enhancedActivities,
+      flaggedCount,
+      flaggedPunches,
       pagination: {
         currentPage: pageNum,
         totalPages: Math.ceil(totalCount / limitNum),
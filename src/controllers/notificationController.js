@@ -0,0 +1,140 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get notifications for the current user
+ * @route   GET /api/mobile/notifications
+ * @access  Private
+ */
+exports.getMyNotifications = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = { recipient: req.user.id };
+    if (unread === 'true') query.isRead = false;
+    if (type) query.type = type;
+
+    // Pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, unreadCount, notifications] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipient: req.user.id, isRead: false }),
+      Notification.find(query)
+        .populate('createdBy', 'name role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        pageSize: limitNum,
+        totalItems: total
+      },
+      data: notifications
+    });
+  } catch (error) {
+    logger.error(`Error in getMyNotifications controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get unread notification count for the current user
+ * @route   GET /api/mobile/notifications/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user.id, isRead: false });
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    logger.error(`Error in getUnreadCount controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/mobile/notifications/:id/read
+ * @access  Private
+ */
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    logger.error(`Error in markAsRead controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all notifications of the current user as read
+ * @route   PATCH /api/mobile/notifications/read-all
+ * @access  Private
+ */
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    logger.error(`Error in markAllAsRead controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -2,6 +2,9 @@ const { validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Distributor = require('../models/Distributor');
 const StaffActivity = require('../models/StaffActivity');
+const { postOrderDispatch } = require('../utils/stockLedger');
+const { attachSkus } = require('../utils/catalog');
+const { generatePdf, pdfFilename, formatDate } = require('../utils/pdfGenerator');
 const logger = require('../utils/logger');
 
 /**
@@ -31,10 +34,10 @@ exports.createOrder = async (req, res, next) => {
       });
     }
 
-    // Create order
+    // Create order, linking each item to its catalog SKU where it resolves
     const order = await Order.create({
       distributorId,
-      items,
+      items: await attachSkus(items, { brand: 'productName', variant: null, size: null }),
       status: 'Requested',
       createdBy: req.user.id
     });
@@ -109,13 +112,15 @@ exports.getOrders = async (req, res, next) => {
 };
 
 /**
- * @desc    Get a single order
+ * @desc    Get a single order by ID or by order number
  * @route   GET /api/orders/:orderId
+ * @route   GET /api/orders/number/:orderNumber
  * @access  Private
  */
 exports.getOrder = async (req, res, next) => {
   try {
-    const order = await Order.findById(req.params.orderId)
+    const { orderId, orderNumber } = req.params;
+    const order = await Order.findOne(orderNumber ? { orderNumber } : { _id: orderId })
       .populate('distributorId', 'name contact address')
       .populate('createdBy', 'name')
       .populate('approvedBy', 'name')
@@ -129,7 +134,7 @@ exports.getOrder = async (req, res, next) => {
     }
 
     // For Marketing Staff, only allow viewing their own orders
-    if (req.user.role === 'Marketing Staff' && order.createdBy._id.toString() !== req.user.id) {
+    if (req.user.role === 'Marketing Staff' && (!order.createdBy || order.createdBy._id.toString() !== req.user.id)) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this order'
@@ -146,6 +151,95 @@ exports.getOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Download an order confirmation or dispatch challan as PDF
+ * @route   GET /api/orders/:orderId/pdf
+ * @access  Private (Mid-Level Manager, Marketing Staff, Godown Incharge)
+ */
+exports.getOrderPdf = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId)
+      .populate('distributorId', 'name shopName contact address')
+      .populate('createdBy', 'name')
+      .populate('approvedBy', 'name')
+      .populate('dispatchedBy', 'name');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    // For Marketing Staff, only allow their own orders
+    if (req.user.role === 'Marketing Staff' && (!order.createdBy || order.createdBy._id.toString() !== req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this order'
+      });
+    }
+
+    // Dispatched orders default to the challan, approved ones to the confirmation
+    const document = req.query.document || (order.status === 'Dispatched' ? 'challan' : 'confirmation');
+    const allowedStatuses = document === 'challan' ? ['Dispatched'] : ['Approved', 'Dispatched'];
+    if (!allowedStatuses.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `A ${document === 'challan' ? 'dispatch challan' : 'confirmation'} is not available for an order with status ${order.status}`
+      });
+    }
+
+    const distributor = order.distributorId || {};
+    const isChallan = document === 'challan';
+
+    const doc = generatePdf({
+      title: isChallan ? 'DISPATCH CHALLAN' : 'ORDER CONFIRMATION',
+      recipient: {
+        heading: isChallan ? 'Deliver to' : 'To',
+        lines: [distributor.name, distributor.shopName, distributor.address, distributor.contact && `Contact: ${distributor.contact}`]
+      },
+      details: [
+        ['Order No.', order.orderNumber],
+        ['Order Date', formatDate(order.createdAt)],
+        ['Status', order.status],
+        ['Ordered by', order.createdBy && order.createdBy.name],
+        ['Approved by', order.approvedBy && order.approvedBy.name],
+        ['Dispatch Date', isChallan ? formatDate(order.dispatchedAt) : ''],
+        ['Dispatched by', isChallan && order.dispatchedBy ? order.dispatchedBy.name : '']
+      ],
+      paragraphs: isChallan
+        ? []
+        : [`We confirm that your order ${order.orderNumber} has been approved and will be dispatched with the items below.`],
+      columns: [
+        { header: 'Product', key: 'productName', width: 0.46 },
+        { header: 'SKU', key: 'sku', width: 0.24 },
+        { header: 'Quantity', key: 'quantity', width: 0.12, align: 'right' },
+        { header: 'Unit', key: 'unit', width: 0.12 }
+      ],
+      rows: order.items,
+      notes: order.comments,
+      signatures: isChallan ? ['Dispatched by', 'Driver', 'Received by'] : ['Authorised Signatory']
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfFilename(isChallan ? 'Dispatch_Challan' : 'Order_Confirmation', order.orderNumber || order._id)}"`);
+
+    doc.pipe(res);
+  } catch (error) {
+    logger.error(`Error in getOrderPdf controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Approve or reject an order
  * @route   PATCH /api/orders/:orderId/approve
@@ -254,7 +348,8 @@ exports.dispatchOrder = async (req, res, next) => {
       req.params.orderId,
       {
         status: 'Dispatched',
-        dispatchedBy: req.user.id
+        dispatchedBy: req.user.id,
+        dispatchedAt: new Date()
       },
       { new: true, runValidators: true }
     )
@@ -263,6 +358,9 @@ exports.dispatchOrder = async (req, res, next) => {
       .populate('approvedBy', 'name')
       .populate('dispatchedBy', 'name');
 
+    // Post dispatched quantities to the distributor's stock ledger
+    await postOrderDispatch(order, req.user.id);
+
     // Log staff activity
     await StaffActivity.create({
       staffId: req.user.id,
@@ -0,0 +1,302 @@
+const { validationResult } = require('express-validator');
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Distributor = require('../models/Distributor');
+const { resolveRate } = require('../utils/priceList');
+const logger = require('../utils/logger');
+
+const sameName = (a, b) => a && b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * @desc    Create a price list entry
+ * @route   POST /api/price-lists
+ * @access  Private (Admin)
+ */
+exports.createPriceList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      productId,
+      variant,
+      size,
+      rate,
+      mrp,
+      effectiveFrom,
+      effectiveTo,
+      distributorId,
+      shopType,
+      notes
+    } = req.body;
+
+    // Resolve the brand/variant/size against the product tree
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const productVariant = product.variants.find(v => sameName(v.name, variant));
+    if (!productVariant) {
+      return res.status(400).json({
+        success: false,
+        error: `Variant '${variant}' does not exist for ${product.brandName}`
+      });
+    }
+
+    const productSize = productVariant.sizes.find(s => sameName(s.name, size));
+    if (!productSize) {
+      return res.status(400).json({
+        success: false,
+        error: `Size '${size}' does not exist for ${product.brandName} ${productVariant.name}`
+      });
+    }
+
+    if (distributorId) {
+      const distributor = await Distributor.findById(distributorId);
+      if (!distributor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+    }
+
+    const priceList = await PriceList.create({
+      productId: product._id,
+      brandName: product.brandName,
+      variant: productVariant.name,
+      size: productSize.name,
+      rate,
+      mrp,
+      effectiveFrom: effectiveFrom || new Date(),
+      effectiveTo,
+      distributorId: distributorId || null,
+      shopType: shopType || null,
+      notes,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    logger.error(`Error in createPriceList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get price list entries
+ * @route   GET /api/price-lists
+ * @access  Private (Admin)
+ */
+exports.getPriceLists = async (req, res, next) => {
+  try {
+    const { productId, brandName, distributorId, shopType, activeOn, includeInactive } = req.query;
+
+    // Build query
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (productId) query.productId = productId;
+    if (brandName) query.brandName = brandName;
+    if (distributorId) query.distributorId = distributorId === 'none' ? null : distributorId;
+    if (shopType) query.shopType = shopType === 'none' ? null : shopType;
+
+    if (activeOn) {
+      const date = new Date(activeOn);
+      query.effectiveFrom = { $lte: date };
+      query.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: date } }];
+    }
+
+    const priceLists = await PriceList.find(query)
+      .populate('distributorId', 'name')
+      .populate('updatedBy', 'name')
+      .sort({ brandName: 1, variant: 1, size: 1, effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: priceLists.length,
+      data: priceLists
+    });
+  } catch (error) {
+    logger.error(`Error in getPriceLists controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resolve the applicable rate for a product
+ * @route   GET /api/price-lists/resolve
+ * @access  Private
+ */
+exports.resolvePriceList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { brandName, variant, size, distributorId, shopType, date } = req.query;
+
+    const entry = await resolveRate({
+      brandName,
+      variant,
+      size,
+      distributorId,
+      shopType,
+      date: date ? new Date(date) : new Date()
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'No price list entry applies to this product'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error(`Error in resolvePriceList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single price list entry
+ * @route   GET /api/price-lists/:id
+ * @access  Private (Admin)
+ */
+exports.getPriceList = async (req, res, next) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id)
+      .populate('productId', 'brandName')
+      .populate('distributorId', 'name')
+      .populate('createdBy', 'name')
+      .populate('updatedBy', 'name');
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price list entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    logger.error(`Error in getPriceList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a price list entry
+ * @route   PUT /api/price-lists/:id
+ * @access  Private (Admin)
+ */
+exports.updatePriceList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const priceList = await PriceList.findById(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price list entry not found'
+      });
+    }
+
+    const { rate, mrp, effectiveFrom, effectiveTo, distributorId, shopType, notes, isActive } = req.body;
+
+    if (distributorId) {
+      const distributor = await Distributor.findById(distributorId);
+      if (!distributor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+    }
+
+    // Brand/variant/size are fixed; create a new entry to price a different product
+    if (rate !== undefined) priceList.rate = rate;
+    if (mrp !== undefined) priceList.mrp = mrp;
+    if (effectiveFrom !== undefined) priceList.effectiveFrom = effectiveFrom;
+    if (effectiveTo !== undefined) priceList.effectiveTo = effectiveTo || null;
+    if (distributorId !== undefined) priceList.distributorId = distributorId || null;
+    if (shopType !== undefined) priceList.shopType = shopType || null;
+    if (notes !== undefined) priceList.notes = notes;
+    if (isActive !== undefined) priceList.isActive = isActive;
+    priceList.updatedBy = req.user.id;
+
+    await priceList.save();
+
+    res.status(200).json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    logger.error(`Error in updatePriceList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a price list entry
+ * @route   DELETE /api/price-lists/:id
+ * @access  Private (Admin)
+ */
+exports.deletePriceList = async (req, res, next) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price list entry not found'
+      });
+    }
+
+    // Soft delete by setting isActive to false
+    priceList.isActive = false;
+    priceList.updatedBy = req.user.id;
+    await priceList.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error in deletePriceList controller: ${error.message}`);
+    next(error);
+  }
+};
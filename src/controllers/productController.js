@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const Product = require('../models/Product');
+const { findProductByBrand } = require('../utils/catalog');
 const logger = require('../utils/logger');
 
 /**
@@ -20,6 +21,15 @@ exports.createProduct = async (req, res, next) => {
 
     const { brandName, variants } = req.body;
 
+    // Brand names must be unique across the catalog
+    const existingProduct = await findProductByBrand(brandName);
+    if (existingProduct && existingProduct.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'A product with that brand name already exists'
+      });
+    }
+
     // Create product
     const product = await Product.create({
       brandName,
@@ -116,6 +126,17 @@ exports.updateProduct = async (req, res, next) => {
       });
     }
 
+    // Brand names must stay unique across the catalog
+    if (brandName) {
+      const existingProduct = await findProductByBrand(brandName);
+      if (existingProduct && existingProduct.isActive && !existingProduct._id.equals(product._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A product with that brand name already exists'
+        });
+      }
+    }
+
     // Update product
     product = await Product.findByIdAndUpdate(
       req.params.id,
@@ -239,21 +260,11 @@ exports.addSize = async (req, res, next) => {
     // Log the add size operation
     logger.info(`Adding size '${name}' to product: ${req.params.id}, variant: ${req.params.variantId}`);
 
-    // Use direct MongoDB update to push to nested array
-    const result = await Product.findOneAndUpdate(
-      { 
-        _id: req.params.id, 
-        'variants._id': req.params.variantId 
-      },
-      { 
-        $push: { 'variants.$.sizes': { name, isActive: true } },
-        $set: { updatedBy: req.user.id }
-      },
-      { 
-        new: true,  // Return the modified document
-        runValidators: true  // Run model validators
-      }
-    );
+    // Push through the document so the size is written with its SKU id
+    const result = await Product.findOne({
+      _id: req.params.id,
+      'variants._id': req.params.variantId
+    });
 
     if (!result) {
       logger.error(`Variant not found: product=${req.params.id}, variant=${req.params.variantId}`);
@@ -263,9 +274,12 @@ exports.addSize = async (req, res, next) => {
       });
     }
 
-    // Get the updated variant to verify changes
-    const variant = result.variants.find(v => v._id.toString() === req.params.variantId);
-    logger.info(`Size added successfully. Variant now has ${variant?.sizes?.length || 0} sizes`);
+    const variant = result.variants.id(req.params.variantId);
+    variant.sizes.push({ name, isActive: true });
+    result.updatedBy = req.user.id;
+    await result.save();
+
+    logger.info(`Size added successfully. Variant now has ${variant.sizes.length} sizes`);
 
     res.status(200).json({
       success: true,
@@ -425,7 +439,8 @@ exports.getBrandsWithVariants = async (req, res, next) => {
           name: variant.name,
           sizes: activeSizes.map(size => ({
             _id: size._id,
-            name: size.name
+            name: size.name,
+            sku: size.sku
           }))
         };
       });
@@ -5,6 +5,8 @@ const Shop = require('../models/Shop');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { applyPriceList } = require('../utils/priceList');
+const { attachSkus } = require('../utils/catalog');
 const path = require('path');
 const fs = require('fs');
 
@@ -130,6 +132,15 @@ exports.createOrUpdateActivity = async (req, res, next) => {
       visitDurationMinutes = Math.round((endTime - startTime) / (1000 * 60));
     }
 
+    // Link lines to catalog SKUs, then default missing rates from the price
+    // list and flag deviating ones. Synced visits are priced as of the device time.
+    const pricedSalesOrders = salesOrders
+      ? await applyPriceList(
+        await attachSkus(salesOrders, { brand: 'brandName' }),
+        { distributorId, shopType: shopDetails.type, date: req.clientTimestamp || new Date() }
+      )
+      : salesOrders;
+
     // Find existing activity or create new one
     let activity = await RetailerShopActivity.findOne({
       marketingStaffId: req.user.id,
@@ -143,7 +154,7 @@ exports.createOrUpdateActivity = async (req, res, next) => {
       activity.visitStartTime = visitStartTime || activity.visitStartTime;
       activity.visitEndTime = visitEndTime || activity.visitEndTime;
       activity.visitDurationMinutes = visitDurationMinutes || activity.visitDurationMinutes;
-      activity.salesOrders = salesOrders || activity.salesOrders;
+      activity.salesOrders = pricedSalesOrders || activity.salesOrders;
       activity.alternateProviders = alternateProviders || activity.alternateProviders;
       activity.complaint = complaint !== undefined ? complaint : activity.complaint;
       activity.marketInsight = marketInsight !== undefined ? marketInsight : activity.marketInsight;
@@ -171,7 +182,7 @@ exports.createOrUpdateActivity = async (req, res, next) => {
         visitStartTime: visitStartTime || new Date(),
         visitEndTime: visitEndTime,
         visitDurationMinutes: visitDurationMinutes,
-        salesOrders: salesOrders || [],
+        salesOrders: pricedSalesOrders || [],
         alternateProviders: alternateProviders || [],
         complaint: complaint || '',
         marketInsight: marketInsight || '',
@@ -2,6 +2,9 @@ const { validationResult } = require('express-validator');
 const SalesInquiry = require('../models/SalesInquiry');
 const Distributor = require('../models/Distributor');
 const StaffActivity = require('../models/StaffActivity');
+const { postSalesInquiryDispatch } = require('../utils/stockLedger');
+const { validateItems, attachSkus } = require('../utils/catalog');
+const { generatePdf, pdfFilename, formatDate } = require('../utils/pdfGenerator');
 const logger = require('../utils/logger');
 
 /**
@@ -39,6 +42,15 @@ exports.createSalesInquiry = async (req, res, next) => {
       });
     }
 
+    // Every product must be an active catalog item
+    const catalogErrors = await validateItems(products);
+    if (catalogErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: catalogErrors.join('; ')
+      });
+    }
+
     // Get shop name from distributor
     const shopName = distributor.shopName || '';
 
@@ -47,7 +59,7 @@ exports.createSalesInquiry = async (req, res, next) => {
       distributorId,
       distributorName: distributorName || distributor.name,
       shopName,
-      products,
+      products: await attachSkus(products),
       createdBy: req.user.id
     });
 
@@ -116,13 +128,15 @@ exports.getAllSalesInquiries = async (req, res, next) => {
 };
 
 /**
- * @desc    Get a single sales inquiry
+ * @desc    Get a single sales inquiry by ID or by inquiry number
  * @route   GET /api/sales-inquiries/:id
+ * @route   GET /api/sales-inquiries/number/:inquiryNumber
  * @access  Private (All staff)
  */
 exports.getSalesInquiry = async (req, res, next) => {
   try {
-    const salesInquiry = await SalesInquiry.findById(req.params.id)
+    const { id, inquiryNumber } = req.params;
+    const salesInquiry = await SalesInquiry.findOne(inquiryNumber ? { inquiryNumber } : { _id: id })
       .populate('distributorId', 'name contact address shopName')
       .populate('createdBy', 'name role')
       .populate('managerId', 'name role')
@@ -145,6 +159,86 @@ exports.getSalesInquiry = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Download the delivery challan of a dispatched sales inquiry as PDF
+ * @route   GET /api/sales-inquiries/:id/pdf
+ * @access  Private
+ */
+exports.getSalesInquiryPdf = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const salesInquiry = await SalesInquiry.findById(req.params.id)
+      .populate('distributorId', 'name contact address shopName')
+      .populate('createdBy', 'name')
+      .populate('dispatchedBy', 'name');
+
+    if (!salesInquiry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sales inquiry not found'
+      });
+    }
+
+    if (salesInquiry.status !== 'Dispatched') {
+      return res.status(400).json({
+        success: false,
+        error: `A delivery challan is only available once the inquiry is dispatched (current status: ${salesInquiry.status})`
+      });
+    }
+
+    const distributor = salesInquiry.distributorId || {};
+
+    const doc = generatePdf({
+      title: 'DELIVERY CHALLAN',
+      recipient: {
+        heading: 'Deliver to',
+        lines: [
+          distributor.name || salesInquiry.distributorName,
+          distributor.shopName || salesInquiry.shopName,
+          distributor.address,
+          distributor.contact && `Contact: ${distributor.contact}`
+        ]
+      },
+      details: [
+        ['Inquiry No.', salesInquiry.inquiryNumber],
+        ['Inquiry Date', formatDate(salesInquiry.createdAt)],
+        ['Dispatch Date', formatDate(salesInquiry.dispatchDate || salesInquiry.dispatchedAt)],
+        ['Vehicle', salesInquiry.vehicleId],
+        ['Tracking No.', salesInquiry.trackingNumber],
+        ['Reference No.', salesInquiry.referenceNumber],
+        ['Dispatched by', salesInquiry.dispatchedBy && salesInquiry.dispatchedBy.name]
+      ],
+      paragraphs: [salesInquiry.dispatchDetails],
+      columns: [
+        { header: 'Brand', key: 'brand', width: 0.2 },
+        { header: 'Variant', key: 'variant', width: 0.22 },
+        { header: 'Size', key: 'size', width: 0.14 },
+        { header: 'SKU', key: 'sku', width: 0.24 },
+        { header: 'Quantity', key: 'quantity', width: 0.14, align: 'right' }
+      ],
+      rows: salesInquiry.products,
+      notes: salesInquiry.notes,
+      signatures: ['Dispatched by', 'Driver', 'Received by']
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfFilename('Delivery_Challan', salesInquiry.inquiryNumber || salesInquiry._id)}"`);
+
+    doc.pipe(res);
+  } catch (error) {
+    logger.error(`Error in getSalesInquiryPdf controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Update sales inquiry status
  * @route   PATCH /api/sales-inquiries/:id
@@ -182,7 +276,7 @@ exports.updateSalesInquiryStatus = async (req, res, next) => {
     }
     
     // Check if user is authorized to update status
-    if (req.user.role !== 'Administrator' && req.user.role !== 'Admin' && req.user.role !== 'Mid-Level Manager') {
+    if (!['Administrator', 'Admin', 'Mid-Level Manager', 'Sub Admin'].includes(req.user.role)) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update sales inquiry status'
@@ -417,6 +511,9 @@ exports.dispatchSalesInquiry = async (req, res, next) => {
 
     await salesInquiry.save();
 
+    // Post dispatched quantities to the distributor's stock ledger
+    await postSalesInquiryDispatch(salesInquiry, req.user.id);
+
     // Log staff activity
     await StaffActivity.create({
       staffId: req.user.id,
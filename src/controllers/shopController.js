@@ -4,6 +4,8 @@ const Distributor = require('../models/Distributor');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
+const { notificationEvents, EVENTS } = require('../utils/notifications');
 
 /**
  * @desc    Get shops by distributor
@@ -154,7 +156,8 @@ exports.addShop = async (req, res, next) => {
       ownerName,
       address,
       type,
-      distributorId
+      distributorId,
+      location
     } = req.body;
 
     // Verify the distributor exists
@@ -181,7 +184,7 @@ exports.addShop = async (req, res, next) => {
     }
 
     // Set approval status based on the user's role
-    const approvalStatus = req.user.role === 'Admin' || req.user.role === 'Mid-Level Manager' ? 'Approved' : 'Pending';
+    const approvalStatus = ['Admin', 'Mid-Level Manager', 'Sub Admin'].includes(req.user.role) ? 'Approved' : 'Pending';
     
     // If admin or manager is creating, auto-approve
     const approvalData = approvalStatus === 'Approved' ? {
@@ -189,6 +192,8 @@ exports.addShop = async (req, res, next) => {
       approvalDate: new Date()
     } : {};
 
+    const point = toGeoPoint(location);
+
     // Create the shop in the Shop collection
     const shop = await Shop.create({
       name,
@@ -196,6 +201,7 @@ exports.addShop = async (req, res, next) => {
       address,
       type,
       distributorId,
+      location: point ? { type: 'Point', coordinates: point.coordinates } : undefined,
       createdBy: req.user.id,
       approvalStatus,
       ...approvalData
@@ -293,7 +299,7 @@ exports.getShopById = async (req, res, next) => {
 exports.updateShop = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, ownerName, address, type, isActive } = req.body;
+    const { name, ownerName, address, type, isActive, location } = req.body;
     
     // Validate shop ID
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -318,6 +324,9 @@ exports.updateShop = async (req, res, next) => {
     if (type) shop.type = type;
     if (typeof isActive === 'boolean') shop.isActive = isActive;
     
+    const point = toGeoPoint(location);
+    if (point) shop.location = { type: 'Point', coordinates: point.coordinates };
+    
     await shop.save();
     
     res.status(200).json({
@@ -466,6 +475,9 @@ exports.updateShopApproval = async (req, res, next) => {
     }
     
     await shop.save();
+
+    // Let the staff member who added the shop know the outcome
+    notificationEvents.emit(EVENTS.SHOP_APPROVAL_UPDATED, { shop, actorId: req.user.id });
     
     // If approved, add to distributor's shop list
     if (approvalStatus === 'Approved') {
@@ -1,7 +1,26 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const { recordAuditEvent } = require('../utils/audit');
 const logger = require('../utils/logger');
 
+// Sub Admins with the staff permission manage staff accounts, but not
+// Admin or Sub Admin accounts
+const ADMIN_MANAGED_ROLES = ['Admin', 'Sub Admin'];
+
+/**
+ * Check whether the current user may manage accounts with the given roles
+ * @param {Object} req - Express request
+ * @param {...String} roles - Roles of the affected account (current and requested)
+ * @returns {Boolean}
+ */
+const canManageRoles = (req, ...roles) =>
+  req.user.role !== 'Sub Admin' || !roles.some(role => ADMIN_MANAGED_ROLES.includes(role));
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  error: 'Only an Admin can manage Admin and Sub Admin accounts'
+});
+
 /**
  * @desc    Get all staff members with filtering, sorting, and pagination
  * @route   GET /api/staff
@@ -89,6 +108,34 @@ exports.getAllStaff = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get accounts currently locked after failed logins
+ * @route   GET /api/staff/locked
+ * @access  Private/Admin
+ */
+exports.getLockedAccounts = async (req, res, next) => {
+  try {
+    const lockedAccounts = await User.find({
+      accountLocked: true,
+      lockUntil: { $gt: Date.now() }
+    })
+      .select('name email role lastLogin +loginAttempts +lockUntil +lockCount')
+      .sort({ lockUntil: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: lockedAccounts.length,
+      data: lockedAccounts
+    });
+    
+    // Log successful operation
+    logger.info(`Admin ${req.user.id} retrieved locked accounts`);
+  } catch (error) {
+    logger.error(`Error in getLockedAccounts controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get a staff member by ID
  * @route   GET /api/staff/:id
@@ -135,7 +182,11 @@ exports.createStaff = async (req, res, next) => {
       });
     }
     
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, phone } = req.body;
+
+    if (!canManageRoles(req, role)) {
+      return forbidden(res);
+    }
     
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -168,7 +219,8 @@ exports.createStaff = async (req, res, next) => {
       name,
       email,
       password,
-      role
+      role,
+      phone
     });
     
     // Remove password from response
@@ -204,7 +256,7 @@ exports.updateStaff = async (req, res, next) => {
     }
     
     // Destructure fields from request body
-    const { name, email, role, active } = req.body;
+    const { name, email, role, active, phone } = req.body;
     
     // Check if staff member exists
     const staff = await User.findById(req.params.id);
@@ -215,6 +267,10 @@ exports.updateStaff = async (req, res, next) => {
         error: 'Staff member not found'
       });
     }
+
+    if (!canManageRoles(req, staff.role, role)) {
+      return forbidden(res);
+    }
     
     // Check if email already exists (if trying to update email)
     if (email && email !== staff.email) {
@@ -232,6 +288,7 @@ exports.updateStaff = async (req, res, next) => {
     if (name) staff.name = name;
     if (email) staff.email = email;
     if (role) staff.role = role;
+    if (phone !== undefined) staff.phone = phone;
     if (active !== undefined) staff.active = active;
     
     // Save updated staff member
@@ -269,7 +326,7 @@ exports.resetStaffPassword = async (req, res, next) => {
     const { newPassword } = req.body;
     
     // Find staff member
-    const staff = await User.findById(req.params.id);
+    const staff = await User.findById(req.params.id).select('+accountLocked +lockUntil');
     
     if (!staff) {
       return res.status(404).json({
@@ -277,6 +334,10 @@ exports.resetStaffPassword = async (req, res, next) => {
         error: 'Staff member not found'
       });
     }
+
+    if (!canManageRoles(req, staff.role)) {
+      return forbidden(res);
+    }
     
     // Password complexity check
     const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
@@ -291,11 +352,19 @@ exports.resetStaffPassword = async (req, res, next) => {
     staff.password = newPassword;
     
     // Reset login attempts and account lock if present
-    staff.loginAttempts = 0;
-    staff.accountLocked = false;
-    staff.lockUntil = undefined;
+    const wasLocked = staff.isLocked();
+    staff.unlockAccount();
     
     await staff.save();
+
+    if (wasLocked) {
+      recordAuditEvent({
+        action: 'Unlock',
+        targetModel: 'User',
+        targetId: staff._id,
+        changes: [{ field: 'accountLocked', before: true, after: false }]
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -310,6 +379,61 @@ exports.resetStaffPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Unlock a staff account locked after failed logins
+ * @route   POST /api/staff/:id/unlock
+ * @access  Private/Admin
+ */
+exports.unlockStaffAccount = async (req, res, next) => {
+  try {
+    const staff = await User.findById(req.params.id)
+      .select('+loginAttempts +accountLocked +lockUntil +lockCount');
+    
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found'
+      });
+    }
+
+    if (!canManageRoles(req, staff.role)) {
+      return forbidden(res);
+    }
+
+    if (!staff.isLocked()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is not locked'
+      });
+    }
+
+    const previousLockUntil = staff.lockUntil;
+    staff.unlockAccount();
+    await staff.save();
+
+    recordAuditEvent({
+      action: 'Unlock',
+      targetModel: 'User',
+      targetId: staff._id,
+      changes: [
+        { field: 'accountLocked', before: true, after: false },
+        { field: 'lockUntil', before: previousLockUntil, after: null }
+      ]
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+    
+    // Log successful operation
+    logger.info(`Admin ${req.user.id} unlocked staff account ${req.params.id}`);
+  } catch (error) {
+    logger.error(`Error in unlockStaffAccount controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Toggle a staff member's active status
  * @route   PATCH /api/staff/:id/toggle-status
@@ -326,6 +450,10 @@ exports.toggleStaffStatus = async (req, res, next) => {
         error: 'Staff member not found'
       });
     }
+
+    if (!canManageRoles(req, staff.role)) {
+      return forbidden(res);
+    }
     
     // Toggle active status
     staff.active = !staff.active;
@@ -368,6 +496,10 @@ exports.deleteStaff = async (req, res, next) => {
         error: 'Staff member not found'
       });
     }
+
+    if (!canManageRoles(req, staff.role)) {
+      return forbidden(res);
+    }
     
     // Prevent deletion of the last admin
     if (staff.role === 'Admin') {
@@ -3,6 +3,7 @@ const SupplyEstimate = require('../models/SupplyEstimate');
 const Distributor = require('../models/Distributor');
 const User = require('../models/User');
 const StaffActivity = require('../models/StaffActivity');
+const { validateItems } = require('../utils/catalog');
 const logger = require('../utils/logger');
 
 /**
@@ -32,6 +33,24 @@ exports.createSupplyEstimate = async (req, res, next) => {
       });
     }
 
+    // Every brand/variant/size row must be an active catalog item
+    const estimateItems = [];
+    (brands || []).forEach(brand => {
+      (brand.variants || []).forEach(variant => {
+        (variant.sizes || []).forEach(size => {
+          estimateItems.push({ brand: brand.brand, variant: variant.variant, size: size.size });
+        });
+      });
+    });
+
+    const catalogErrors = await validateItems(estimateItems);
+    if (catalogErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: catalogErrors.join('; ')
+      });
+    }
+
     // Calculate total items (number of sizes across all variants and brands)
     let totalItems = 0;
     if (brands && Array.isArray(brands)) {
@@ -154,13 +173,15 @@ exports.getAllSupplyEstimates = async (req, res, next) => {
 };
 
 /**
- * @desc    Get a supply estimate by ID
+ * @desc    Get a supply estimate by ID or by estimate number
  * @route   GET /api/supply-estimates/:id
+ * @route   GET /api/supply-estimates/number/:estimateNumber
  * @access  Private (All Staff)
  */
 exports.getSupplyEstimateById = async (req, res, next) => {
   try {
-    const supplyEstimate = await SupplyEstimate.findById(req.params.id)
+    const { id, estimateNumber } = req.params;
+    const supplyEstimate = await SupplyEstimate.findOne(estimateNumber ? { estimateNumber } : { _id: id })
       .populate('distributorId', 'name contact address')
       .populate('submittedBy', 'name')
       .populate('revisedBy', 'name');
@@ -188,7 +209,7 @@ exports.getSupplyEstimateById = async (req, res, next) => {
       data: supplyEstimate
     });
     
-    logger.info(`Staff ${req.user.id} viewed supply estimate ${req.params.id}`);
+    logger.info(`Staff ${req.user.id} viewed supply estimate ${supplyEstimate._id}`);
   } catch (error) {
     logger.error(`Error in getSupplyEstimateById controller: ${error.message}`);
     next(error);
@@ -0,0 +1,368 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const SyncOperation = require('../models/SyncOperation');
+const Task = require('../models/Task');
+const DamageClaim = require('../models/DamageClaim');
+const Shop = require('../models/Shop');
+const SalesInquiry = require('../models/SalesInquiry');
+const Notification = require('../models/Notification');
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const StaffDistributorAssignment = require('../models/StaffDistributorAssignment');
+const marketingStaffActivityController = require('./marketingStaffActivityController');
+const retailerShopActivityController = require('./retailerShopActivityController');
+const freshOrderController = require('./freshOrderController');
+const damageClaimController = require('./damageClaimController');
+const {
+  punchInRules,
+  punchOutRules,
+  retailerShopActivityRules,
+  damageClaimRules
+} = require('../middleware/mobileValidators');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Operations the app can queue offline. Each runs through the same
+// validation and controller as the matching online endpoint.
+const OPERATIONS = {
+  'punch-in': {
+    handler: marketingStaffActivityController.punchIn,
+    rules: punchInRules,
+    roles: ['Marketing Staff']
+  },
+  'punch-out': {
+    handler: marketingStaffActivityController.punchOut,
+    rules: punchOutRules,
+    roles: ['Marketing Staff']
+  },
+  'retailer-shop-activity': {
+    handler: retailerShopActivityController.createOrUpdateActivity,
+    rules: retailerShopActivityRules,
+    roles: ['Marketing Staff']
+  },
+  'fresh-order': {
+    handler: freshOrderController.createFreshOrder,
+    rules: [],
+    roles: ['Marketing Staff']
+  },
+  'damage-claim': {
+    handler: damageClaimController.createDamageClaim,
+    rules: damageClaimRules,
+    roles: ['Marketing Staff']
+  }
+};
+
+// Server-side records returned to the app, keyed by the name used in the response
+const CHANGE_FEEDS = {
+  tasks: { model: Task, filter: (userId) => ({ assignedTo: userId }) },
+  damageClaims: { model: DamageClaim, filter: (userId) => ({ createdBy: userId }) },
+  shops: { model: Shop, filter: (userId) => ({ createdBy: userId }) },
+  salesInquiries: { model: SalesInquiry, filter: (userId) => ({ createdBy: userId }) },
+  marketingActivities: { model: MarketingStaffActivity, filter: (userId) => ({ marketingStaffId: userId }) },
+  assignments: { model: StaffDistributorAssignment, filter: (userId) => ({ staffId: userId }) },
+  notifications: { model: Notification, filter: (userId) => ({ recipient: userId }), select: '-push' }
+};
+
+// Allowed drift of a device clock ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// A Pending operation older than this was interrupted and may be applied again
+const STALE_PENDING_MS = 5 * 60 * 1000;
+
+/**
+ * Decode a sync cursor into per-feed positions
+ * @param {String} cursor - Cursor returned by a previous sync
+ * @returns {Object|null} - { feedName: { t, id } }, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const positions = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!positions || typeof positions !== 'object' || Array.isArray(positions)) return null;
+
+    const valid = Object.entries(positions).every(([name, position]) =>
+      CHANGE_FEEDS[name] &&
+      position &&
+      !Number.isNaN(new Date(position.t).getTime()) &&
+      mongoose.Types.ObjectId.isValid(position.id)
+    );
+    return valid ? positions : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const encodeCursor = (positions) => Buffer.from(JSON.stringify(positions)).toString('base64url');
+
+/**
+ * Classify a controller response for the app
+ * @param {Number} statusCode - HTTP status returned by the controller
+ * @param {Object} body - Response body
+ * @returns {String} - Applied, Rejected or Conflict
+ */
+const classifyResponse = (statusCode, body) => {
+  if (statusCode < 300) return 'Applied';
+  // Malformed payloads will never apply; anything else depends on server state
+  if (statusCode === 422 || (statusCode === 400 && body && Array.isArray(body.errors))) return 'Rejected';
+  return 'Conflict';
+};
+
+/**
+ * Run a controller against a queued operation
+ * @param {Object} operation - Operation definition from OPERATIONS
+ * @param {Object} req - The sync request
+ * @param {Object} payload - Operation body
+ * @param {Date} clientTimestamp - When the operation happened on the device
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+const runOperation = async (operation, req, payload, clientTimestamp) => {
+  const operationReq = {
+    user: req.user,
+    body: payload,
+    params: {},
+    query: {},
+    headers: req.headers,
+    method: 'POST',
+    originalUrl: req.originalUrl,
+    ip: req.ip,
+    get: req.get.bind(req),
+    clientTimestamp
+  };
+
+  for (const rule of operation.rules) {
+    await rule.run(operationReq);
+  }
+
+  const captured = { statusCode: 200, body: undefined, error: undefined };
+  const operationRes = {
+    status(code) {
+      captured.statusCode = code;
+      return operationRes;
+    },
+    json(body) {
+      captured.body = body;
+      return operationRes;
+    }
+  };
+
+  await operation.handler(operationReq, operationRes, (error) => {
+    captured.error = error;
+  });
+
+  if (captured.error) {
+    throw captured.error;
+  }
+
+  return captured;
+};
+
+/**
+ * Claim an operation id, or return the stored outcome if it was already applied
+ * @param {Object} req - The sync request
+ * @param {Object} item - Queued operation ({ id, type, timestamp })
+ * @returns {Promise<Object>} - { record } when claimed, { result } otherwise
+ */
+const claimOperation = async (req, item) => {
+  try {
+    const record = await SyncOperation.create({
+      user: req.user._id,
+      clientOperationId: item.id,
+      type: item.type,
+      clientTimestamp: item.timestamp
+    });
+    return { record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await SyncOperation.findOne({ user: req.user._id, clientOperationId: item.id });
+
+  // Another attempt failed and released the id while we looked
+  if (!existing) {
+    return { result: { id: item.id, type: item.type, status: 'InProgress' } };
+  }
+
+  if (existing.status !== 'Pending') {
+    return {
+      result: {
+        id: item.id,
+        type: existing.type,
+        status: existing.status,
+        statusCode: existing.statusCode,
+        response: existing.response,
+        replayed: true
+      }
+    };
+  }
+
+  // Take over an operation whose earlier attempt never finished
+  const reclaimed = await SyncOperation.findOneAndUpdate(
+    { _id: existing._id, status: 'Pending', updatedAt: { $lt: new Date(Date.now() - STALE_PENDING_MS) } },
+    { $set: { clientTimestamp: item.timestamp } },
+    { new: true }
+  );
+  if (reclaimed) {
+    logger.warn(`Sync operation ${item.id} of user ${req.user.id} was left pending; applying it again`);
+    return { record: reclaimed };
+  }
+
+  return { result: { id: item.id, type: item.type, status: 'InProgress' } };
+};
+
+/**
+ * Apply one queued operation and store its outcome
+ * @param {Object} req - The sync request
+ * @param {Object} item - Queued operation ({ id, type, timestamp, payload })
+ * @returns {Promise<Object>} - Per-operation result
+ */
+const applyOperation = async (req, item) => {
+  const operation = OPERATIONS[item.type];
+  const clientTimestamp = new Date(item.timestamp);
+  let rejection;
+
+  if (!operation) {
+    rejection = `Unknown operation type '${item.type}'`;
+  } else if (!operation.roles.includes(req.user.role)) {
+    rejection = `Role ${req.user.role} cannot perform '${item.type}'`;
+  } else if (clientTimestamp - Date.now() > MAX_CLOCK_SKEW_MS) {
+    rejection = 'Operation timestamp is in the future';
+  } else if (Date.now() - clientTimestamp > config.sync.maxOperationAgeDays * 24 * 60 * 60 * 1000) {
+    rejection = `Operation is older than ${config.sync.maxOperationAgeDays} days`;
+  }
+
+  const { record, result } = await claimOperation(req, item);
+  if (result) return result;
+
+  let outcome;
+  if (rejection) {
+    outcome = { status: 'Rejected', statusCode: 400, response: { success: false, error: rejection } };
+  } else {
+    try {
+      const { statusCode, body } = await runOperation(operation, req, item.payload || {}, clientTimestamp);
+      outcome = { status: classifyResponse(statusCode, body), statusCode, response: body };
+
+      if (statusCode >= 500) {
+        throw new Error(body && body.error ? body.error : `Operation failed with status ${statusCode}`);
+      }
+    } catch (error) {
+      // Nothing is stored, so the app retries the operation on the next sync
+      await SyncOperation.deleteOne({ _id: record._id });
+      logger.error(`Sync operation ${item.id} (${item.type}) of user ${req.user.id} failed: ${error.message}`);
+      return { id: item.id, type: item.type, status: 'Failed', error: 'Operation could not be applied. Retry later.' };
+    }
+  }
+
+  record.status = outcome.status;
+  record.statusCode = outcome.statusCode;
+  record.response = outcome.response;
+  await record.save();
+
+  return { id: item.id, type: item.type, ...outcome };
+};
+
+/**
+ * Collect records changed since the cursor positions
+ * @param {Object} user - Current user
+ * @param {Object} positions - { feedName: { t, id } } from the cursor
+ * @returns {Promise<Object>} - { changes, positions, hasMore }
+ */
+const collectChanges = async (user, positions) => {
+  const limit = config.sync.changeLimit;
+  const changes = {};
+  const nextPositions = { ...positions };
+  let hasMore = false;
+
+  for (const [name, feed] of Object.entries(CHANGE_FEEDS)) {
+    const query = feed.filter(user._id);
+    const position = positions[name];
+
+    // Ordered by (updatedAt, _id) so records sharing a timestamp are not skipped
+    if (position) {
+      const since = new Date(position.t);
+      query.$or = [
+        { updatedAt: { $gt: since } },
+        { updatedAt: since, _id: { $gt: position.id } }
+      ];
+    }
+
+    const records = await feed.model.find(query)
+      .select(feed.select || '')
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    if (records.length > limit) {
+      records.length = limit;
+      hasMore = true;
+    }
+
+    changes[name] = records;
+    if (records.length > 0) {
+      const last = records[records.length - 1];
+      nextPositions[name] = { t: last.updatedAt, id: last._id };
+    }
+  }
+
+  return { changes, positions: nextPositions, hasMore };
+};
+
+/**
+ * @desc    Apply operations queued offline and return server changes since the cursor
+ * @route   POST /api/mobile/sync
+ * @access  Private (Marketing Staff)
+ */
+exports.sync = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { operations = [], cursor } = req.body;
+
+    let positions = {};
+    if (cursor) {
+      positions = decodeCursor(cursor);
+      if (!positions) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid sync cursor'
+        });
+      }
+    }
+
+    // Applied strictly in the order queued; once one is not applied the rest wait
+    // for the next sync so that, e.g., a punch-out never runs after its punch-in
+    // failed or conflicted
+    const results = [];
+    let halted = false;
+    for (const item of operations) {
+      if (halted) {
+        results.push({ id: item.id, type: item.type, status: 'Skipped' });
+        continue;
+      }
+
+      const result = await applyOperation(req, item);
+      results.push(result);
+      halted = result.status !== 'Applied';
+    }
+
+    const { changes, positions: nextPositions, hasMore } = await collectChanges(req.user, positions);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results,
+        changes,
+        cursor: encodeCursor(nextPositions),
+        hasMore,
+        serverTime: new Date()
+      }
+    });
+
+    logger.info(`User ${req.user.id} synced ${operations.length} operations`);
+  } catch (error) {
+    logger.error(`Error in sync controller: ${error.message}`);
+    next(error);
+  }
+};
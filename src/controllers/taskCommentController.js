@@ -0,0 +1,233 @@
+const { validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const TaskComment = require('../models/TaskComment');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { uploadImage } = require('../utils/imageUpload');
+const { notificationEvents, EVENTS } = require('../utils/notifications');
+
+// Field staff only see the threads of tasks they created or are assigned to
+const FIELD_ROLES = ['Marketing Staff', 'Godown Incharge'];
+
+/**
+ * Load a task and check the user may read and write its thread
+ * @param {String} taskId - Task ID
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} - { task } or { status, error }
+ */
+const loadTask = async (taskId, user) => {
+  const task = await Task.findById(taskId).select('title assignedTo createdBy');
+  if (!task) {
+    return { status: 404, error: 'Task not found' };
+  }
+
+  const involved = [task.assignedTo, task.createdBy]
+    .some(id => id && id.toString() === user.id);
+  if (FIELD_ROLES.includes(user.role) && !involved) {
+    return { status: 403, error: 'Not authorized to access this task' };
+  }
+
+  return { task };
+};
+
+/**
+ * Read the mentioned user IDs, sent as an array or (in multipart forms) a
+ * comma-separated string
+ * @param {Array|String} mentions - Request field
+ * @returns {Array<String>}
+ */
+const parseMentions = (mentions) => {
+  if (!mentions) return [];
+  const ids = Array.isArray(mentions) ? mentions : String(mentions).split(',');
+  return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+};
+
+/**
+ * @desc    Get a task's comment thread, oldest first
+ * @route   GET /api/tasks/:taskId/comments
+ * @access  Private (Task assignee and creator, Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.getComments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { task, status, error } = await loadTask(req.params.taskId, req.user);
+    if (!task) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const { type, page = 1, limit = 50 } = req.query;
+
+    // Build query
+    const query = { task: task._id };
+    if (type) query.type = type;
+
+    // Pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, comments] = await Promise.all([
+      TaskComment.countDocuments(query),
+      TaskComment.find(query)
+        .populate('author', 'name role')
+        .populate('mentions', 'name')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      total,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        pageSize: limitNum,
+        totalItems: total
+      },
+      data: comments
+    });
+  } catch (error) {
+    logger.error(`Error in getComments controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Comment on a task, with optional mentions and attachments
+ * @route   POST /api/tasks/:taskId/comments
+ * @access  Private (Task assignee and creator, Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.addComment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { task, status, error } = await loadTask(req.params.taskId, req.user);
+    if (!task) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const files = req.files || [];
+    const body = (req.body.body || '').trim();
+    if (!body && files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A comment needs text or an attachment'
+      });
+    }
+
+    const mentionIds = parseMentions(req.body.mentions);
+    const mentioned = mentionIds.length > 0
+      ? await User.find({ _id: { $in: mentionIds } }).select('_id')
+      : [];
+    if (mentioned.length !== mentionIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more mentioned users were not found'
+      });
+    }
+
+    const attachments = [];
+    for (const file of files) {
+      attachments.push({
+        url: await uploadImage(file, 'task-comments'),
+        name: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      });
+    }
+
+    const comment = await TaskComment.create({
+      task: task._id,
+      type: 'Comment',
+      author: req.user.id,
+      body,
+      mentions: mentioned.map(user => user._id),
+      attachments
+    });
+
+    notificationEvents.emit(EVENTS.TASK_COMMENTED, { task, comment, actorId: req.user.id });
+
+    const populatedComment = await TaskComment.findById(comment._id)
+      .populate('author', 'name role')
+      .populate('mentions', 'name');
+
+    res.status(201).json({
+      success: true,
+      data: populatedComment
+    });
+  } catch (error) {
+    logger.error(`Error in addComment controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a comment. System entries cannot be deleted.
+ * @route   DELETE /api/tasks/:taskId/comments/:commentId
+ * @access  Private (Comment author, Admin)
+ */
+exports.deleteComment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const comment = await TaskComment.findOne({ _id: req.params.commentId, task: req.params.taskId });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (comment.type === 'System') {
+      return res.status(400).json({
+        success: false,
+        error: 'System entries cannot be deleted'
+      });
+    }
+
+    if (comment.author.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can delete this comment'
+      });
+    }
+
+    await comment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error in deleteComment controller: ${error.message}`);
+    next(error);
+  }
+};
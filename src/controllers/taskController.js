@@ -1,10 +1,74 @@
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const TaskComment = require('../models/TaskComment');
 const StaffActivity = require('../models/StaffActivity');
 const logger = require('../utils/logger');
 const User = require('../models/User');
 const RetailerShopActivity = require('../models/RetailerShopActivity');
+const { validateItems } = require('../utils/catalog');
+const { notificationEvents, EVENTS } = require('../utils/notifications');
+const { overdueQuery } = require('../utils/taskDeadlines');
+const { uploadImage } = require('../utils/imageUpload');
+const { toGeoPoint } = require('../utils/geo');
+const { recordTaskEvent } = require('../utils/taskComments');
+const config = require('../config/config');
+
+// Number of latest comments included in the task detail
+const TASK_DETAIL_COMMENTS = 20;
+
+/**
+ * Turn a checklist from the request into checklist items. Accepts plain
+ * labels or { label, required } objects.
+ * @param {Array} checklist - Checklist from req.body
+ * @returns {Array} - [{ label, required }]
+ */
+const normalizeChecklist = (checklist) => {
+  if (!Array.isArray(checklist)) return [];
+  return checklist
+    .map(item => (typeof item === 'string' ? { label: item } : item))
+    .filter(item => item && item.label)
+    .map(item => ({ label: item.label, required: item.required !== false && item.required !== 'false' }));
+};
+
+/**
+ * Read a field that multipart requests send as a JSON string
+ * @param {*} value - Field value
+ * @returns {*} - Parsed value, or undefined if it is not valid JSON
+ */
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Add the overdue filter to a task query. Accepts ?overdue=true|false and
+ * ?status=Overdue, the derived status shown in listings.
+ * @param {Object} query - Task query being built
+ * @param {Object} filters - req.query
+ */
+const applyOverdueFilter = (query, { overdue, status }) => {
+  if (status !== 'Overdue' && overdue !== 'true' && overdue !== 'false') return;
+  query.$and = query.$and || [];
+  query.$and.push(overdueQuery(status === 'Overdue' || overdue === 'true'));
+};
+
+/**
+ * Validate the brand/variant/size of a Godown Incharge task against the catalog
+ * @param {Object} taskData - Task data about to be created
+ * @returns {Promise<Array>} - Error messages, empty if valid
+ */
+const validateTaskItems = async (taskData) => {
+  const taskItems = [...(taskData.items || [])];
+  if (taskData.brand) {
+    taskItems.unshift({ brand: taskData.brand, variant: taskData.variant, size: taskData.size });
+  }
+  return taskItems.length > 0 ? validateItems(taskItems) : [];
+};
 
 /**
  * @desc    Create a new task
@@ -35,6 +99,7 @@ exports.createTask = async (req, res, next) => {
       deadline,
       assignedDate,
       items, // Array of additional items for Godown Incharge tasks
+      checklist,
       assigneeName, // New field for external user name
       isExternalUser // Flag to indicate if user doesn't exist in the system
     } = req.body;
@@ -92,8 +157,22 @@ exports.createTask = async (req, res, next) => {
       }
     }
 
+    if (checklist) {
+      taskData.checklist = normalizeChecklist(checklist);
+    }
+
+    // Godown task products must be active catalog items
+    const catalogErrors = await validateTaskItems(taskData);
+    if (catalogErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: catalogErrors.join('; ')
+      });
+    }
+
     // Create task
     const task = await Task.create(taskData);
+    notificationEvents.emit(EVENTS.TASK_ASSIGNED, { task, actorId: req.user.id });
 
     // Log staff activity
     await StaffActivity.create({
@@ -154,6 +233,14 @@ exports.punchIn = async (req, res, next) => {
       });
     }
 
+    // Punches count towards the assignee's attendance, so only they can punch
+    if (task.assignedTo && task.assignedTo.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assigned staff member can punch this task'
+      });
+    }
+
     // Check if already punched in
     if (task.punchStatus === 'punch-in') {
       return res.status(400).json({
@@ -174,6 +261,7 @@ exports.punchIn = async (req, res, next) => {
     task.punchHistory.push(punchEntry);
     
     await task.save();
+    await recordTaskEvent(task, 'Punch In', { actorId: req.user.id, data: { location } });
 
     // Log activity
     await StaffActivity.create({
@@ -225,6 +313,14 @@ exports.punchOut = async (req, res, next) => {
       });
     }
 
+    // Punches count towards the assignee's attendance, so only they can punch
+    if (task.assignedTo && task.assignedTo.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assigned staff member can punch this task'
+      });
+    }
+
     // Check if already punched out
     if (task.punchStatus === 'punch-out') {
       return res.status(400).json({
@@ -254,6 +350,7 @@ exports.punchOut = async (req, res, next) => {
     task.lastPunchTime = new Date();
     
     await task.save();
+    await recordTaskEvent(task, 'Punch Out', { actorId: req.user.id, data: { location } });
 
     // Log activity
     await StaffActivity.create({
@@ -292,8 +389,8 @@ exports.getTasks = async (req, res, next) => {
     // Build query
     const query = {};
     
-    // Handle status filter
-    if (status) {
+    // Handle status filter (Overdue is derived from the deadline, see applyOverdueFilter)
+    if (status && status !== 'Overdue') {
       query.status = status;
     } else if (!showCompleted) {
       // Default to not showing completed tasks unless explicitly requested
@@ -310,6 +407,8 @@ exports.getTasks = async (req, res, next) => {
     if (staffRole) {
       query.staffRole = staffRole;
     }
+
+    applyOverdueFilter(query, req.query);
     
     // --- CUSTOM FILTER: Exclude tasks where staff has punched out ---
     // Only apply this filter if assignedTo is present (i.e., fetching for a staff)
@@ -447,9 +546,23 @@ exports.getTask = async (req, res, next) => {
       });
     }
 
+    // The task detail shows the latest part of the thread, oldest first
+    const [commentCount, latestComments] = await Promise.all([
+      TaskComment.countDocuments({ task: task._id }),
+      TaskComment.find({ task: task._id })
+        .populate('author', 'name role')
+        .populate('mentions', 'name')
+        .sort({ createdAt: -1 })
+        .limit(TASK_DETAIL_COMMENTS)
+    ]);
+
     res.status(200).json({
       success: true,
-      data: task
+      data: {
+        ...task.toObject(),
+        commentCount,
+        comments: latestComments.reverse()
+      }
     });
   } catch (error) {
     logger.error(`Error in getTask controller: ${error.message}`);
@@ -494,19 +607,41 @@ exports.updateTaskStatus = async (req, res, next) => {
     }
     
     // For Marketing Staff, only allow updating tasks they are assigned to
-    if (req.user.role === 'Marketing Staff' && task.assignedTo.toString() !== req.user.id) {
+    if (req.user.role === 'Marketing Staff' && (!task.assignedTo || task.assignedTo.toString() !== req.user.id)) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this task'
       });
     }
 
+    // The creator or an Admin can close any task here, and needs no review
+    const closedByReviewer = task.createdBy.toString() === req.user.id || ['Admin', 'Administrator'].includes(req.user.role);
+
+    // An assignee with a checklist to answer completes through the complete
+    // endpoint, which records the answers, photos and location
+    if (status === 'Completed' && !closedByReviewer && task.assignedTo && task.checklist.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This task has a checklist. Complete it with POST /api/tasks/:taskId/complete, which records the answers, photos and location'
+      });
+    }
+
     // Update object with status and optional report
     const updateData = { status };
     if (report) {
       updateData.report = report;
     }
 
+    const previousStatus = task.status;
+    const completing = status === 'Completed' && previousStatus !== 'Completed';
+    if (completing) {
+      updateData['completion.submittedBy'] = req.user.id;
+      updateData['completion.submittedAt'] = new Date();
+      if (!closedByReviewer) {
+        updateData.reviewStatus = 'Pending';
+      }
+    }
+
     // Update task
     task = await Task.findByIdAndUpdate(
       req.params.taskId,
@@ -517,6 +652,17 @@ exports.updateTaskStatus = async (req, res, next) => {
       .populate('createdBy', 'name')
       .populate('distributorId', 'name shopName contact address retailShopCount wholesaleShopCount orderCount retailShops wholesaleShops');
 
+    if (previousStatus !== status) {
+      await recordTaskEvent(task, 'Status Changed', {
+        actorId: req.user.id,
+        data: { from: previousStatus, to: status }
+      });
+    }
+
+    if (completing && !closedByReviewer) {
+      notificationEvents.emit(EVENTS.TASK_COMPLETED, { task, actorId: req.user.id });
+    }
+
     // Log staff activity
     await StaffActivity.create({
       staffId: req.user.id,
@@ -537,6 +683,249 @@ exports.updateTaskStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Complete a task with checklist answers, photos, location and actual quantities
+ * @route   POST /api/tasks/:taskId/complete
+ * @access  Private (Assignee)
+ */
+exports.completeTask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const task = await Task.findById(req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    if (!task.assignedTo || task.assignedTo.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the assigned staff member can complete this task'
+      });
+    }
+
+    if (task.status === 'Completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Task is already completed'
+      });
+    }
+
+    const problems = [];
+
+    // Every checklist item needs an answer; required items must be ticked
+    const answers = parseJsonField(req.body.checklist) || [];
+    const answersById = new Map(
+      (Array.isArray(answers) ? answers : [])
+        .filter(answer => answer && answer.itemId)
+        .map(answer => [String(answer.itemId), answer])
+    );
+    const checklistAnswers = task.checklist.map(item => {
+      const answer = answersById.get(String(item._id));
+      if (!answer || answer.checked === undefined) {
+        problems.push(`Checklist item "${item.label}" is not answered`);
+        return null;
+      }
+      const checked = answer.checked === true || answer.checked === 'true';
+      if (item.required && !checked) {
+        problems.push(`Checklist item "${item.label}" must be completed`);
+      }
+      return { itemId: item._id, label: item.label, checked, note: answer.note };
+    });
+
+    // Godown tasks record the quantity actually handled for each item
+    const quantities = parseJsonField(req.body.items) || [];
+    const quantitiesById = new Map(
+      (Array.isArray(quantities) ? quantities : [])
+        .filter(entry => entry && entry.itemId)
+        .map(entry => [String(entry.itemId), Number(entry.actualQuantity)])
+    );
+    task.items.forEach(item => {
+      const actualQuantity = quantitiesById.get(String(item._id));
+      if (actualQuantity === undefined || Number.isNaN(actualQuantity) || actualQuantity < 0) {
+        problems.push(`Actual quantity is required for ${[item.brand, item.variant, item.size].filter(Boolean).join(' / ')}`);
+      } else {
+        item.actualQuantity = actualQuantity;
+      }
+    });
+    if (task.brand && task.quantity) {
+      const actualQuantity = Number(req.body.actualQuantity);
+      if (req.body.actualQuantity === undefined || Number.isNaN(actualQuantity) || actualQuantity < 0) {
+        problems.push(`Actual quantity is required for ${[task.brand, task.variant, task.size].filter(Boolean).join(' / ')}`);
+      } else {
+        task.actualQuantity = actualQuantity;
+      }
+    }
+
+    const location = toGeoPoint(parseJsonField(req.body.location) || {
+      latitude: req.body.latitude,
+      longitude: req.body.longitude,
+      accuracy: req.body.accuracy
+    });
+    if (!location) {
+      problems.push('Location is required');
+    }
+
+    const files = req.files || [];
+    if (files.length < config.tasks.minCompletionPhotos) {
+      problems.push(`At least ${config.tasks.minCompletionPhotos} photo(s) are required`);
+    }
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: problems.join('; ')
+      });
+    }
+
+    const photos = [];
+    for (const file of files) {
+      photos.push(await uploadImage(file, 'task-completions'));
+    }
+
+    const previousStatus = task.status;
+    task.completion = {
+      checklist: checklistAnswers,
+      photos,
+      location,
+      notes: req.body.notes,
+      submittedBy: req.user.id,
+      submittedAt: new Date()
+    };
+    task.status = 'Completed';
+    task.reviewStatus = 'Pending';
+    if (req.body.notes) {
+      task.report = req.body.notes;
+    }
+    await task.save();
+    await recordTaskEvent(task, 'Status Changed', {
+      actorId: req.user.id,
+      data: { from: previousStatus, to: 'Completed' },
+      comment: req.body.notes
+    });
+
+    notificationEvents.emit(EVENTS.TASK_COMPLETED, { task, actorId: req.user.id });
+
+    // Log staff activity
+    await StaffActivity.create({
+      staffId: req.user.id,
+      activityType: 'Task',
+      details: `Completed task: ${task.title}`,
+      status: 'Completed',
+      relatedId: task._id,
+      onModel: 'Task'
+    });
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name')
+      .populate('createdBy', 'name')
+      .populate('distributorId', 'name shopName contact address');
+
+    res.status(200).json({
+      success: true,
+      data: populatedTask
+    });
+  } catch (error) {
+    logger.error(`Error in completeTask controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a completed task or reopen it with a comment
+ * @route   POST /api/tasks/:taskId/review
+ * @access  Private (Task creator, Admin)
+ */
+exports.reviewTask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { action, comment } = req.body;
+
+    const task = await Task.findById(req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    if (task.createdBy.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the task creator can review this task'
+      });
+    }
+
+    if (task.status !== 'Completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed tasks can be reviewed'
+      });
+    }
+
+    if (task.reviewStatus === 'Accepted') {
+      return res.status(400).json({
+        success: false,
+        error: 'Task has already been accepted'
+      });
+    }
+
+    if (action === 'reopen' && !comment) {
+      return res.status(400).json({
+        success: false,
+        error: 'A comment is required to reopen a task'
+      });
+    }
+
+    const reviewAction = action === 'accept' ? 'Accepted' : 'Reopened';
+    task.reviews.push({ action: reviewAction, comment, reviewedBy: req.user.id });
+    task.reviewStatus = reviewAction;
+    if (reviewAction === 'Reopened') {
+      // Back to the assignee; the previous evidence stays until they complete it again
+      task.status = 'In Progress';
+    }
+    await task.save();
+    await recordTaskEvent(task, 'Reviewed', {
+      actorId: req.user.id,
+      data: { action: reviewAction, from: 'Completed', to: task.status },
+      comment
+    });
+
+    notificationEvents.emit(EVENTS.TASK_REVIEWED, { task, comment, actorId: req.user.id });
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name')
+      .populate('createdBy', 'name')
+      .populate('reviews.reviewedBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      data: populatedTask
+    });
+  } catch (error) {
+    logger.error(`Error in reviewTask controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Create a task from mobile app
  * @route   POST /api/tasks/mobile
@@ -567,7 +956,8 @@ exports.createMobileAppTask = async (req, res, next) => {
       quantity, 
       deadline,
       assignedDate,
-      items
+      items,
+      checklist
     } = req.body;
 
     // Create task with common fields
@@ -629,8 +1019,22 @@ exports.createMobileAppTask = async (req, res, next) => {
       }
     }
 
+    if (checklist) {
+      taskData.checklist = normalizeChecklist(checklist);
+    }
+
+    // Godown task products must be active catalog items
+    const catalogErrors = await validateTaskItems(taskData);
+    if (catalogErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: catalogErrors.join('; ')
+      });
+    }
+
     // Create task
     const task = await Task.create(taskData);
+    notificationEvents.emit(EVENTS.TASK_ASSIGNED, { task, actorId: req.user.id });
 
     // Log staff activity
     await StaffActivity.create({
@@ -730,6 +1134,7 @@ exports.createInternalTask = async (req, res, next) => {
 
     // Create the task
     const task = await Task.create(taskData);
+    notificationEvents.emit(EVENTS.TASK_ASSIGNED, { task, actorId: req.user.id });
 
     // Log the staff activity
     await StaffActivity.create({
@@ -1033,6 +1438,7 @@ exports.getMyTasks = async (req, res, next) => {
     if (req.query.status && ['Pending', 'In Progress', 'Completed'].includes(req.query.status)) {
       query.status = req.query.status;
     }
+    applyOverdueFilter(query, req.query);
     
     // Get tasks with populated fields
     const tasks = await Task.find(query)
@@ -1089,6 +1495,7 @@ exports.getTasksCreatedByMe = async (req, res, next) => {
     if (req.query.status && ['Pending', 'In Progress', 'Completed'].includes(req.query.status)) {
       query.status = req.query.status;
     }
+    applyOverdueFilter(query, req.query);
     
     // Get tasks with populated fields
     const tasks = await Task.find(query)
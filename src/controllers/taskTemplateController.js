@@ -0,0 +1,360 @@
+const { validationResult } = require('express-validator');
+const TaskTemplate = require('../models/TaskTemplate');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { validateItems } = require('../utils/catalog');
+const { nextOccurrence } = require('../utils/recurringTasks');
+
+// Fields an admin or manager may set on a template
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'staffRole', 'assignedTo', 'distributorId', 'brand', 'variant',
+  'size', 'quantity', 'items', 'checklist', 'deadlineHours', 'recurrence', 'startDate', 'endDate'
+];
+
+// Changing any of these moves the next occurrence
+const SCHEDULE_FIELDS = ['recurrence', 'startDate', 'endDate'];
+
+// Number of recent tasks returned with a template
+const RECENT_TASKS = 10;
+
+/**
+ * Check the assignee and catalog items of a template about to be saved
+ * @param {Object} template - TaskTemplate document
+ * @returns {Promise<String|null>} - Error message, or null if valid
+ */
+const checkTemplate = async (template) => {
+  const assignee = await User.findById(template.assignedTo).select('role');
+  if (!assignee) {
+    return 'Assigned user not found';
+  }
+  if (assignee.role !== template.staffRole) {
+    return `Assigned user is not ${template.staffRole}`;
+  }
+
+  // Product fields only apply to Godown Incharge tasks, as in createTask
+  if (template.staffRole === 'Godown Incharge') {
+    const items = [...(template.items || [])];
+    if (template.brand) {
+      items.unshift({ brand: template.brand, variant: template.variant, size: template.size });
+    }
+    const catalogErrors = items.length > 0 ? await validateItems(items) : [];
+    if (catalogErrors.length > 0) {
+      return catalogErrors.join('; ');
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Create a recurring task template
+ * @route   POST /api/task-templates
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = new TaskTemplate({ createdBy: req.user.id });
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    const problem = await checkTemplate(template);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    await template.validate();
+    template.nextRunAt = nextOccurrence(template);
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error(`Error in createTemplate controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List recurring task templates
+ * @route   GET /api/task-templates
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffRole, assignedTo, paused, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = {};
+    if (staffRole) query.staffRole = staffRole;
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (paused !== undefined) query.isPaused = paused === 'true';
+
+    // Pagination
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, templates] = await Promise.all([
+      TaskTemplate.countDocuments(query),
+      TaskTemplate.find(query)
+        .populate('assignedTo', 'name role')
+        .populate('createdBy', 'name')
+        .populate('distributorId', 'name shopName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      total,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        pageSize: limitNum,
+        totalItems: total
+      },
+      data: templates
+    });
+  } catch (error) {
+    logger.error(`Error in getTemplates controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a template with the tasks most recently created from it
+ * @route   GET /api/task-templates/:id
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await TaskTemplate.findById(req.params.id)
+      .populate('assignedTo', 'name role')
+      .populate('createdBy', 'name')
+      .populate('lastUpdatedBy', 'name')
+      .populate('distributorId', 'name shopName');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task template not found'
+      });
+    }
+
+    const recentTasks = await Task.find({ template: template._id })
+      .select('title status deadline assignedDate occurrenceDate assignedTo')
+      .sort({ occurrenceDate: -1 })
+      .limit(RECENT_TASKS);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toObject(),
+        recentTasks
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getTemplate controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a template. Tasks already created from it are not changed.
+ * @route   PUT /api/task-templates/:id
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task template not found'
+      });
+    }
+
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    template.lastUpdatedBy = req.user.id;
+
+    const problem = await checkTemplate(template);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    await template.validate();
+    if (!template.isPaused && SCHEDULE_FIELDS.some(field => template.isModified(field))) {
+      template.nextRunAt = nextOccurrence(template);
+    }
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error(`Error in updateTemplate controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pause a template so it stops creating tasks
+ * @route   POST /api/task-templates/:id/pause
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.pauseTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task template not found'
+      });
+    }
+
+    if (!template.isPaused) {
+      template.isPaused = true;
+      template.lastUpdatedBy = req.user.id;
+      await template.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error(`Error in pauseTemplate controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resume a paused template from its next occurrence
+ * @route   POST /api/task-templates/:id/resume
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.resumeTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task template not found'
+      });
+    }
+
+    if (template.isPaused) {
+      // Occurrences that fell while paused are not created
+      template.isPaused = false;
+      template.nextRunAt = nextOccurrence(template);
+      template.lastUpdatedBy = req.user.id;
+      await template.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error(`Error in resumeTemplate controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a template. Tasks created from it are kept.
+ * @route   DELETE /api/task-templates/:id
+ * @access  Private (Admin, Mid-Level Manager, Sub Admin with tasks permission)
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task template not found'
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error in deleteTemplate controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const Variant = require('../models/Variant');
 const Brand = require('../models/Brand');
+const { syncVariant } = require('../utils/catalog');
 const logger = require('../utils/logger');
 
 /**
@@ -38,6 +39,9 @@ exports.createVariant = async (req, res, next) => {
       createdBy: req.user.id
     });
 
+    // Keep the canonical catalog in sync
+    await syncVariant(variant, null, req.user.id);
+
     res.status(201).json({
       success: true,
       data: variant
@@ -140,6 +144,8 @@ exports.updateVariant = async (req, res, next) => {
       });
     }
 
+    const previousName = variant.name;
+
     // Update variant
     if (name) variant.name = name;
     if (brand) variant.brand = brand;
@@ -148,6 +154,9 @@ exports.updateVariant = async (req, res, next) => {
 
     await variant.save();
 
+    // Keep the canonical catalog in sync
+    await syncVariant(variant, previousName, req.user.id);
+
     const updatedVariant = await Variant.findById(variant._id).populate('brand', 'name');
 
     res.status(200).json({
@@ -180,6 +189,9 @@ exports.deleteVariant = async (req, res, next) => {
       });
     }
 
+    // Keep the canonical catalog in sync
+    await syncVariant(variant, null, req.user.id);
+
     res.status(200).json({
       success: true,
       data: {}
@@ -229,6 +241,9 @@ exports.addSize = async (req, res, next) => {
     variant.sizes.push({ name });
     await variant.save();
 
+    // Keep the canonical catalog in sync
+    await syncVariant(variant, null, req.user.id);
+
     res.status(200).json({
       success: true,
       data: variant
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { parseCron, nextCronDate, isValidCron } = require('./utils/cron');
+
+// Local time, as the scheduler uses server time. 19 Oct 2026 is a Monday.
+const at = (day, hours, minutes) => new Date(2026, 9, day, hours, minutes);
+
+// Test the cron parser and next run calculation
+async function testCron() {
+  try {
+    console.log('Step from a start value: 5/20 runs at 5, 25 and 45');
+    assert.deepStrictEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+    assert.deepStrictEqual(nextCronDate('5/20 * * * *', at(19, 10, 0)), at(19, 10, 5));
+    assert.deepStrictEqual(nextCronDate('5/20 * * * *', at(19, 10, 45)), at(19, 11, 5));
+    assert.deepStrictEqual([...parseCron('10-30/10 * * * *').minute], [10, 20, 30]);
+
+    console.log('7 is Sunday, like 0');
+    assert.deepStrictEqual([...parseCron('0 9 * * 7').dayOfWeek], [0]);
+    assert.deepStrictEqual(nextCronDate('0 9 * * 7', at(19, 8, 0)), at(25, 9, 0));
+    assert.deepStrictEqual(nextCronDate('0 9 * * 5-7', at(19, 8, 0)), at(23, 9, 0));
+
+    console.log('With both day fields restricted, either one matching is enough');
+    assert.deepStrictEqual(nextCronDate('0 0 13 * 5', at(19, 8, 0)), at(23, 0, 0));
+    assert.deepStrictEqual(nextCronDate('0 0 20 * 5', at(19, 8, 0)), at(20, 0, 0));
+    console.log('With only one restricted, that one decides');
+    assert.deepStrictEqual(nextCronDate('0 0 13 * *', at(19, 8, 0)), new Date(2026, 10, 13, 0, 0));
+    assert.deepStrictEqual(nextCronDate('0 0 * * 5', at(19, 8, 0)), at(23, 0, 0));
+
+    console.log('Expressions that never fire are rejected');
+    assert.throws(() => nextCronDate('0 0 31 2 *', at(19, 8, 0)), /never fires/);
+    assert.throws(() => nextCronDate('0 0 30 2 *', at(19, 8, 0)), /never fires/);
+    assert.strictEqual(isValidCron('0 0 31 2 *'), false);
+    assert.deepStrictEqual(nextCronDate('0 0 29 2 *', at(19, 8, 0)), new Date(2028, 1, 29, 0, 0));
+
+    console.log('Malformed expressions are rejected');
+    ['* * * *', '60 * * * *', '* 24 * * *', '0 0 0 * *', '*/0 * * * *', '5-1 * * * *', '0 0 * * 8', 'a * * * *']
+      .forEach(expression => assert.strictEqual(isValidCron(expression), false, expression));
+    assert.strictEqual(isValidCron('*/15 * * * *'), true);
+
+    console.log('Test completed successfully');
+  } catch (error) {
+    console.error('Error in test:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the test
+testCron();
@@ -0,0 +1,36 @@
+const { auditStorage, recordAudit } = require('../utils/audit');
+
+const ACTIONS = {
+  POST: 'Create',
+  PUT: 'Update',
+  PATCH: 'Update',
+  DELETE: 'Delete'
+};
+
+/**
+ * Run the rest of the request inside an audit context so model writes are
+ * attributed to the caller. State-changing requests whose writes were not
+ * captured per document (bulk updates, raw driver calls) still get one
+ * request-level entry once they succeed.
+ */
+exports.auditContext = (req, res, next) => {
+  const context = { req, entries: 0 };
+
+  if (ACTIONS[req.method]) {
+    res.on('finish', () => {
+      if (context.entries > 0 || res.statusCode >= 400) return;
+      // A replayed idempotent response changed nothing
+      if (res.get('Idempotent-Replayed')) return;
+
+      // Route params are gone by now; take the first id in the path
+      const idMatch = req.originalUrl.split('?')[0].match(/\/([a-f\d]{24})(?=\/|$)/i);
+      recordAudit(context, {
+        action: ACTIONS[req.method],
+        statusCode: res.statusCode,
+        targetId: idMatch ? idMatch[1] : undefined
+      });
+    });
+  }
+
+  auditStorage.run(context, next);
+};
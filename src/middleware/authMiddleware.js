@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const config = require('../config/config');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const logger = require('../utils/logger');
 
 /**
@@ -53,6 +54,19 @@ exports.protect = async (req, res, next) => {
         });
       }
       
+      // Tokens issued with a session stop working once the session is revoked (logout, remote sign-out)
+      if (decoded.sid) {
+        const session = await Session.findById(decoded.sid).select('revokedAt');
+        if (!session || session.revokedAt) {
+          return res.status(401).json({
+            success: false,
+            error: 'This session has been signed out. Please log in again.',
+            code: 'SESSION_REVOKED'
+          });
+        }
+        req.sessionId = decoded.sid;
+      }
+      
       // Check token expiration time
       const currentTime = Math.floor(Date.now() / 1000);
       const tokenExpiresIn = decoded.exp - currentTime;
@@ -126,7 +140,7 @@ exports.restrictTo = (...roles) => {
       // Admin users can access everything
       return next();
     }
-    
+
     // For other roles, check if user role is in the allowed roles (case-sensitive)
     if (!roles.includes(req.user.role)) {
       logger.warn(`Unauthorized access attempt: User ${req.user.id} with role ${req.user.role} tried to access a route restricted to ${roles.join(', ')}`);
@@ -177,4 +191,31 @@ exports.isLoggedIn = async (req, res, next) => {
     // Proceed without setting req.user
     next();
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware to enforce Sub Admin module permissions (see config/permissions.js).
+ * Sub Admins need at least one of the given permissions to enter the module;
+ * it grants module access only. Routes that Sub Admins may use inside the
+ * module still list 'Sub Admin' in restrictTo. Other roles are left to restrictTo.
+ * @param  {...String} permissions - Permissions that unlock the route
+ */
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== 'Sub Admin') {
+      return next();
+    }
+
+    const granted = permissions.find(permission => (req.user.permissions || []).includes(permission));
+    if (!granted) {
+      logger.warn(`Unauthorized access attempt: Sub Admin ${req.user.id} without ${permissions.join('/')} permission tried to access ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to access this module',
+        requiredPermissions: permissions
+      });
+    }
+
+    next();
+  };
+};
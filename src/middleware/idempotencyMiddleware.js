@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+// Login/register responses carry credentials, which should not be stored
+const EXCLUDED_PATHS = ['/login', '/register'];
+
+// A Processing key older than this belongs to a request that never finished
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Serialize a value with object keys sorted, so the same body always hashes the same
+ * @param {*} value - Request body
+ * @returns {String}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Work out which user a key belongs to. Runs before protect, so the token is
+ * only decoded here; protect still authenticates the request afterwards.
+ * @param {Object} req - Express request
+ * @returns {String|null} - User ID, or null when there is no valid token
+ */
+const identifyCaller = (req) => {
+  let token;
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies && req.cookies.jwt) {
+    token = req.cookies.jwt;
+  }
+  if (!token) return null;
+
+  try {
+    // Expiry is ignored: a retry after a token refresh must find the same key
+    const decoded = jwt.verify(token, config.jwtSecret, { algorithms: ['HS256'], ignoreExpiration: true });
+    return decoded.id || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a response is final and may be replayed. Server errors, missing
+ * authentication and rate limiting are worth retrying, so they are not kept.
+ * @param {Number} statusCode - Response status
+ * @returns {Boolean}
+ */
+const isReplayable = (statusCode) => statusCode < 500 && statusCode !== 401 && statusCode !== 429;
+
+/**
+ * Hash what identifies a request: its path, body and any uploaded files
+ * @param {Object} req - Express request
+ * @param {String} path - Request path without the query string
+ * @returns {String}
+ */
+const hashRequest = (req, path) => {
+  const hash = crypto.createHash('sha256').update(`${path}\n${stableStringify(req.body)}`);
+  (req.files || []).forEach(file => {
+    hash.update(`\n${file.fieldname}:${file.originalname}:${file.size}\n`).update(file.buffer || '');
+  });
+  return hash.digest('hex');
+};
+
+/**
+ * Honour an Idempotency-Key header on POST requests. The first request with a
+ * key runs normally and its response is stored; a retry with the same key and
+ * body gets that response back instead of running again. Reusing a key for a
+ * different request, or while the first one is still running, returns 409.
+ * Multipart bodies are not parsed yet at this point, so they are left to
+ * uploadIdempotency on the route, after multer.
+ */
+exports.idempotency = async (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    return next();
+  }
+  return applyIdempotency(req, res, next);
+};
+
+/**
+ * Same as idempotency for multipart routes; place it after the upload
+ * middleware so the form fields and file contents are part of the hash
+ */
+exports.uploadIdempotency = async (req, res, next) => {
+  return applyIdempotency(req, res, next);
+};
+
+const applyIdempotency = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (req.method !== 'POST' || !key || EXCLUDED_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const user = identifyCaller(req);
+    const path = req.originalUrl.split('?')[0];
+    const requestHash = hashRequest(req, path);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user,
+        method: req.method,
+        path,
+        requestHash,
+        expiresAt: new Date(Date.now() + config.idempotency.ttlHours * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ key, user });
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          error: 'Idempotency-Key has already been used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (existing && existing.status === 'Completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.responseBody);
+      }
+
+      // Take over a key whose first request never completed
+      record = await IdempotencyKey.findOneAndUpdate(
+        { key, user, status: 'Processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } },
+        { $set: { requestHash } },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+    }
+
+    // Keep the body so it can be stored once the response has been sent
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const write = responseBody !== undefined && isReplayable(res.statusCode)
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'Completed', statusCode: res.statusCode, responseBody }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      write.catch(error => logger.error(`Failed to store idempotent response for key ${key}: ${error.message}`));
+    });
+
+    next();
+  } catch (error) {
+    logger.error(`Error in idempotency middleware: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,49 @@
+const { check } = require('express-validator');
+
+/*
+ * Validation chains for mobile write endpoints. They are shared by the
+ * regular routes and by /api/mobile/sync, which runs the same chains against
+ * each queued operation.
+ */
+
+const locationRules = [
+  check('location.latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+  check('location.longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+  check('location.accuracy', 'Accuracy must be a positive number').optional().isFloat({ min: 0 })
+];
+
+const punchInRules = [
+  check('distributorId', 'Distributor ID is required').isMongoId(),
+  check('selfieImage', 'Selfie image is required').notEmpty(),
+  check('modeOfTransport', 'Mode of transport is required').notEmpty(),
+  check('areaName', 'Area name is required').notEmpty(),
+  ...locationRules
+];
+
+const punchOutRules = [
+  check('distributorId', 'Distributor ID is required').isMongoId(),
+  ...locationRules
+];
+
+const retailerShopActivityRules = [
+  check('shopId', 'Shop ID is required').notEmpty().isMongoId(),
+  check('distributorId', 'Distributor ID is required').notEmpty().isMongoId(),
+  check('visitStartTime', 'Visit start time is required').isISO8601()
+];
+
+const damageClaimRules = [
+  check('distributorId', 'Distributor ID is required').isMongoId(),
+  check('brand', 'Brand is required').notEmpty(),
+  check('variant', 'Variant is required').notEmpty(),
+  check('size', 'Size is required').notEmpty(),
+  check('quantity', 'Quantity is required').isNumeric(),
+  check('damageType', 'Damage type is required').notEmpty(),
+  check('images', 'At least one image is required').isArray({ min: 1 })
+];
+
+module.exports = {
+  punchInRules,
+  punchOutRules,
+  retailerShopActivityRules,
+  damageClaimRules
+};
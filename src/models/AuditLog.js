@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Copied so the trail stays readable after the user is renamed or removed
+    actorName: {
+      type: String,
+      trim: true
+    },
+    actorRole: {
+      type: String,
+      trim: true
+    },
+    action: {
+      type: String,
+      // Lock/Unlock are account lockout events
+      enum: ['Create', 'Update', 'Delete', 'Lock', 'Unlock'],
+      required: [true, 'Action is required']
+    },
+    method: {
+      type: String
+    },
+    route: {
+      type: String
+    },
+    statusCode: {
+      type: Number
+    },
+    targetModel: {
+      type: String
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Changed fields as [{ field, before, after }]
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+      }
+    ],
+    ip: {
+      type: String
+    },
+    userAgent: {
+      type: String
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes for faster queries
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+module.exports = AuditLog;
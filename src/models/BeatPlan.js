@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const BeatStopSchema = new mongoose.Schema({
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  // Copied from the shop when the plan is saved
+  distributorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distributor',
+    required: [true, 'Distributor is required']
+  },
+  // Visit order within the day, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const BeatPlanSchema = new mongoose.Schema(
+  {
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Marketing staff is required']
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    // Weekly plan: 0 (Sunday) to 6 (Saturday). Leave empty for a dated plan.
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6
+    },
+    // One-off plan for a specific day; takes precedence over the weekly plan
+    date: {
+      type: Date
+    },
+    stops: {
+      type: [BeatStopSchema],
+      validate: {
+        validator: (stops) => stops.length > 0,
+        message: 'A beat plan needs at least one shop'
+      }
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by is required']
+    },
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+BeatPlanSchema.pre('validate', function(next) {
+  const hasDay = this.dayOfWeek !== undefined && this.dayOfWeek !== null;
+  const hasDate = Boolean(this.date);
+  if (hasDay === hasDate) {
+    this.invalidate('dayOfWeek', 'Set either dayOfWeek or date');
+  }
+  next();
+});
+
+// Indexes for faster queries
+BeatPlanSchema.index({ staffId: 1, isActive: 1, dayOfWeek: 1 });
+BeatPlanSchema.index({ staffId: 1, isActive: 1, date: 1 });
+
+const BeatPlan = mongoose.model('BeatPlan', BeatPlanSchema);
+
+module.exports = BeatPlan;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One sequence per document type and financial year, e.g. 'DMG/2026-27'.
+// Incremented atomically by utils/documentNumbers.js.
+const CounterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const Counter = mongoose.model('Counter', CounterSchema);
+
+module.exports = Counter;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/documentNumbers');
 
 const ReplacementDetailsSchema = new mongoose.Schema({
   dispatchDate: {
@@ -31,6 +32,40 @@ const ReplacementDetailsSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// One step of the approval workflow (see config/damageClaimWorkflow.js)
+const ClaimHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  fromStatus: {
+    type: String
+  },
+  toStatus: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: {
+    type: String
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  approvedPieces: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const DamageClaimSchema = new mongoose.Schema(
   {
     distributorId: {
@@ -58,6 +93,16 @@ const DamageClaimSchema = new mongoose.Schema(
       required: [true, 'Size is required'],
       trim: true
     },
+    // Catalog reference for the brand/variant/size above
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
     pieces: {
       type: Number,
       required: [true, 'Number of pieces is required'],
@@ -129,30 +174,30 @@ const DamageClaimSchema = new mongoose.Schema(
     approvedDate: {
       type: Date
     },
-    replacementDetails: ReplacementDetailsSchema
+    replacementDetails: ReplacementDetailsSchema,
+    history: [ClaimHistorySchema]
   },
   {
     timestamps: true
   }
 );
 
-// Generate tracking ID when status changes
-DamageClaimSchema.pre('save', function(next) {
+// Number the claim from the counter once it is approved, e.g. DMG/2026-27/00042
+DamageClaimSchema.pre('save', async function() {
   if (this.isModified('status') && (this.status === 'Approved' || this.status === 'Partially Approved') && !this.trackingId) {
-    const datePrefix = new Date().toISOString().slice(2, 10).replace(/-/g, '');
-    const randomSuffix = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    this.trackingId = `DMG${datePrefix}${randomSuffix}`;
+    this.trackingId = await nextNumber('damageClaim');
     this.approvedDate = new Date();
   }
-  next();
 });
 
 // Indexes for faster queries
 DamageClaimSchema.index({ status: 1 });
 DamageClaimSchema.index({ createdBy: 1 });
 DamageClaimSchema.index({ distributorId: 1 });
-// Removed trackingId index to prevent duplicate key errors
+// Not unique: tracking IDs issued before the counter (DMG + date + random digits) may repeat
+DamageClaimSchema.index({ trackingId: 1 });
 DamageClaimSchema.index({ manufacturingDate: 1 });
+DamageClaimSchema.index({ sku: 1 });
 
 const DamageClaim = mongoose.model('DamageClaim', DamageClaimSchema);
 
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const DeviceTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    token: {
+      type: String,
+      required: [true, 'Device token is required'],
+      unique: true,
+      trim: true
+    },
+    platform: {
+      type: String,
+      enum: ['android', 'ios', 'web'],
+      default: 'android'
+    },
+    deviceId: {
+      type: String,
+      trim: true
+    },
+    appVersion: {
+      type: String,
+      trim: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set when the push provider reports the token as permanently invalid
+    invalidatedAt: {
+      type: Date
+    },
+    invalidReason: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+DeviceTokenSchema.index({ user: 1, isActive: 1 });
+
+const DeviceToken = mongoose.model('DeviceToken', DeviceTokenSchema);
+
+module.exports = DeviceToken;
@@ -19,6 +19,19 @@ const RetailShopSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// GeoJSON point used for geo-fencing punch-ins
+const GeoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: [true, 'Coordinates are required']
+  }
+}, { _id: false });
+
 const DistributorSchema = new mongoose.Schema(
   {
     name: {
@@ -47,6 +60,7 @@ const DistributorSchema = new mongoose.Schema(
       required: [true, 'Please provide an address'],
       trim: true
     },
+    location: GeoPointSchema,
     retailShops: [RetailShopSchema],
     wholesaleShops: [RetailShopSchema],
     // For statistics
@@ -70,6 +84,7 @@ const DistributorSchema = new mongoose.Schema(
 
 // Index for faster queries
 DistributorSchema.index({ name: 1 });
+DistributorSchema.index({ location: '2dsphere' });
 
 const Distributor = mongoose.model('Distributor', DistributorSchema);
 
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Idempotency key is required'],
+      trim: true
+    },
+    // Caller the key belongs to; null for unauthenticated requests
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    method: {
+      type: String
+    },
+    path: {
+      type: String
+    },
+    // SHA-256 of the request body, to detect a key reused for another request
+    requestHash: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Processing', 'Completed'],
+      default: 'Processing'
+    },
+    statusCode: {
+      type: Number
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+IdempotencyKeySchema.index({ key: 1, user: 1 }, { unique: true });
+// Stored responses are removed by MongoDB once they expire
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const JobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: [true, 'Job name is required']
+    },
+    trigger: {
+      type: String,
+      enum: ['Schedule', 'Retry', 'Manual'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Running', 'Succeeded', 'Failed'],
+      default: 'Running'
+    },
+    attempt: {
+      type: Number,
+      default: 1
+    },
+    // Server instance that ran the job
+    instance: {
+      type: String
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date
+    },
+    durationMs: {
+      type: Number
+    },
+    // Whatever the job handler returned, e.g. { closed: 3 }
+    result: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    error: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+JobRunSchema.index({ job: 1, startedAt: -1 });
+// Run history is kept for 90 days
+JobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', JobRunSchema);
+
+module.exports = JobRun;
@@ -73,6 +73,27 @@ const SalesOrderSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// GeoJSON point captured by the device at punch-in/punch-out
+const PunchLocationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: [true, 'Coordinates are required']
+  },
+  accuracy: {
+    type: Number, // Reported GPS accuracy in meters
+    min: 0
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const MarketingStaffActivitySchema = new mongoose.Schema(
   {
     distributorId: {
@@ -185,6 +206,32 @@ const MarketingStaffActivitySchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    // Set when the session was closed by the auto punch-out job instead of the staff member
+    autoClosed: {
+      type: Boolean,
+      default: false
+    },
+    autoCloseReason: {
+      type: String,
+      trim: true
+    },
+    punchInLocation: PunchLocationSchema,
+    punchOutLocation: PunchLocationSchema,
+    punchInDistanceMeters: {
+      type: Number
+    },
+    punchOutDistanceMeters: {
+      type: Number
+    },
+    isLocationFlagged: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    locationFlags: [{
+      type: String,
+      trim: true
+    }],
     voiceNotes: [{
       url: {
         type: String,
@@ -222,7 +269,9 @@ MarketingStaffActivitySchema.index({ marketingStaffId: 1, createdAt: -1 });
 MarketingStaffActivitySchema.index({ distributorId: 1, createdAt: -1 });
 MarketingStaffActivitySchema.index({ marketingStaffId: 1, distributorId: 1 });
 MarketingStaffActivitySchema.index({ marketingStaffId: 1, status: 1, meetingEndTime: 1 });
+MarketingStaffActivitySchema.index({ marketingStaffId: 1, meetingStartTime: 1 }); // Attendance
 MarketingStaffActivitySchema.index({ createdAt: 1 }); // For date range queries
+MarketingStaffActivitySchema.index({ punchInLocation: '2dsphere' });
 
 const MarketingStaffActivity = mongoose.model('MarketingStaffActivity', MarketingStaffActivitySchema);
 
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Recipient is required']
+    },
+    type: {
+      type: String,
+      enum: ['Damage Claim', 'Shop Approval', 'Task Assigned', 'Task Reminder', 'Task Overdue', 'Task Completed', 'Task Review', 'Task Comment', 'Task Mention', 'Auto Punch-Out', 'General'],
+      default: 'General'
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true
+    },
+    message: {
+      type: String,
+      required: [true, 'Message is required'],
+      trim: true
+    },
+    // Extra payload for the app to deep-link (e.g. status, tracking ID)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    relatedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'onModel'
+    },
+    onModel: {
+      type: String,
+      enum: ['DamageClaim', 'Shop', 'Task', 'MarketingStaffActivity']
+    },
+    isRead: {
+      type: Boolean,
+      default: false
+    },
+    readAt: {
+      type: Date
+    },
+    // High priority notifications are pushed as soon as they are created;
+    // the rest are picked up by the push delivery worker
+    priority: {
+      type: String,
+      enum: ['Normal', 'High'],
+      default: 'Normal'
+    },
+    push: {
+      status: {
+        type: String,
+        enum: ['Pending', 'Sent', 'Failed', 'Skipped'],
+        default: 'Pending'
+      },
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      nextAttemptAt: {
+        type: Date,
+        default: Date.now
+      },
+      sentAt: {
+        type: Date
+      },
+      lastError: {
+        type: String
+      }
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for inbox queries
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, isRead: 1 });
+NotificationSchema.index({ 'push.status': 1, 'push.nextAttemptAt': 1 });
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/documentNumbers');
 
 const OrderItemSchema = new mongoose.Schema(
   {
@@ -16,6 +17,16 @@ const OrderItemSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Please provide a unit'],
       trim: true
+    },
+    // Catalog reference resolved from productName
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true
     }
   },
   { _id: false }
@@ -23,6 +34,11 @@ const OrderItemSchema = new mongoose.Schema(
 
 const OrderSchema = new mongoose.Schema(
   {
+    // Human-readable number, e.g. SO/2026-27/00042
+    orderNumber: {
+      type: String,
+      trim: true
+    },
     distributorId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Distributor',
@@ -59,6 +75,9 @@ const OrderSchema = new mongoose.Schema(
     dispatchedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    dispatchedAt: {
+      type: Date
     }
   },
   {
@@ -66,10 +85,19 @@ const OrderSchema = new mongoose.Schema(
   }
 );
 
+// Number new orders from the counter
+OrderSchema.pre('save', async function() {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await nextNumber('order');
+  }
+});
+
 // Indexes for faster queries
+OrderSchema.index({ orderNumber: 1 }, { unique: true, partialFilterExpression: { orderNumber: { $type: 'string' } } });
 OrderSchema.index({ distributorId: 1 });
 OrderSchema.index({ status: 1 });
 OrderSchema.index({ createdBy: 1 });
+OrderSchema.index({ 'items.sku': 1 });
 
 const Order = mongoose.model('Order', OrderSchema);
 
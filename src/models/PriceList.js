@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const PriceListSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required']
+    },
+    brandName: {
+      type: String,
+      required: [true, 'Brand name is required'],
+      trim: true
+    },
+    variant: {
+      type: String,
+      required: [true, 'Variant is required'],
+      trim: true
+    },
+    size: {
+      type: String,
+      required: [true, 'Size is required'],
+      trim: true
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate cannot be negative']
+    },
+    mrp: {
+      type: Number,
+      min: [0, 'MRP cannot be negative']
+    },
+    effectiveFrom: {
+      type: Date,
+      required: [true, 'Effective from date is required'],
+      default: Date.now
+    },
+    effectiveTo: {
+      type: Date
+    },
+    // Overrides: an entry with a distributor and/or shop type only applies to
+    // matching orders and takes precedence over the base rate
+    distributorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Distributor',
+      default: null
+    },
+    shopType: {
+      type: String,
+      enum: ['Retailer', 'Whole Seller'],
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Validate that the entry does not end before it starts
+PriceListSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date must be after effective from date');
+  }
+  next();
+});
+
+// Indexes for faster rate resolution
+PriceListSchema.index({ brandName: 1, variant: 1, size: 1, effectiveFrom: -1 });
+PriceListSchema.index({ productId: 1 });
+PriceListSchema.index({ distributorId: 1 });
+PriceListSchema.index({ shopType: 1 });
+
+const PriceList = mongoose.model('PriceList', PriceListSchema);
+
+module.exports = PriceList;
@@ -7,6 +7,12 @@ const SizeSchema = new mongoose.Schema({
     required: [true, 'Size name is required'],
     trim: true
   },
+  // Stock keeping unit id for the brand/variant/size combination
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -54,8 +60,52 @@ const ProductSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Build a SKU id from brand, variant and size names, e.g. "KALLAKURI-GOLD-500ML"
+ * @param {String} brandName - Brand name
+ * @param {String} variantName - Variant name
+ * @param {String} sizeName - Size name
+ * @returns {String}
+ */
+ProductSchema.statics.generateSku = function(brandName, variantName, sizeName) {
+  const code = (value) => (value || '').toString().toUpperCase().replace(/[^A-Z0-9]+/g, '');
+  return [code(brandName), code(variantName), code(sizeName)].join('-');
+};
+
+// SKU ids are unique across the catalog. Sizes without one get the generated
+// id, with a numeric suffix if it is taken ("1 L" and "1L" both code to 1L).
+// New or changed ids that are already taken are rejected.
+ProductSchema.pre('validate', async function() {
+  const Product = this.constructor;
+  const taken = new Set(await Product.distinct('variants.sizes.sku', { _id: { $ne: this._id } }));
+
+  const sizes = [];
+  this.variants.forEach((variant, v) => {
+    variant.sizes.forEach((size, s) => sizes.push({ variant, size, path: `variants.${v}.sizes.${s}.sku` }));
+  });
+
+  sizes.filter(({ size }) => size.sku).forEach(({ size, path }) => {
+    if (taken.has(size.sku) && (size.isNew || size.isModified('sku'))) {
+      this.invalidate(path, `SKU ${size.sku} is already used by another size`);
+    }
+    taken.add(size.sku);
+  });
+
+  sizes.filter(({ size }) => !size.sku).forEach(({ variant, size }) => {
+    const base = Product.generateSku(this.brandName, variant.name, size.name);
+    let sku = base;
+    for (let n = 2; taken.has(sku); n++) {
+      sku = `${base}-${n}`;
+    }
+    size.sku = sku;
+    taken.add(sku);
+  });
+});
+
 // Indexes for faster queries
 ProductSchema.index({ brandName: 1 });
+// Products without sizes have no SKU ids and stay out of the unique index
+ProductSchema.index({ 'variants.sizes.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sizes.sku': { $type: 'string' } } });
 
 const Product = mongoose.model('Product', ProductSchema);
 
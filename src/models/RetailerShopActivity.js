@@ -16,6 +16,16 @@ const SalesOrderSchema = new mongoose.Schema({
     required: [true, 'Size is required'],
     trim: true
   },
+  // Catalog reference for this line
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -26,6 +36,22 @@ const SalesOrderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Price list rate the line was checked against
+  listRate: {
+    type: Number,
+    min: 0
+  },
+  priceListId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  rateDeviationPercent: {
+    type: Number
+  },
+  isRateFlagged: {
+    type: Boolean,
+    default: false
+  },
   isDisplayedInCounter: {
     type: Boolean,
     default: false
@@ -205,5 +231,6 @@ RetailerShopActivitySchema.index({ shopId: 1, createdAt: -1 });
 RetailerShopActivitySchema.index({ marketingActivityId: 1 });
 RetailerShopActivitySchema.index({ status: 1 });
 RetailerShopActivitySchema.index({ visitStartTime: 1 });
+RetailerShopActivitySchema.index({ 'salesOrders.sku': 1 });
 
 module.exports = mongoose.model('RetailerShopActivity', RetailerShopActivitySchema);
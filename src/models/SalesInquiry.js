@@ -1,7 +1,13 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/documentNumbers');
 
 const SalesInquirySchema = new mongoose.Schema(
   {
+    // Human-readable number, e.g. INQ/2026-27/00042
+    inquiryNumber: {
+      type: String,
+      trim: true
+    },
     distributorId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Distributor',
@@ -37,6 +43,15 @@ const SalesInquirySchema = new mongoose.Schema(
           type: Number,
           required: [true, 'Quantity is required'],
           min: [1, 'Quantity must be at least 1']
+        },
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product'
+        },
+        sku: {
+          type: String,
+          trim: true,
+          uppercase: true
         }
       }
     ],
@@ -86,6 +101,14 @@ const SalesInquirySchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    dispatchDetails: {
+      type: String,
+      trim: true
+    },
+    trackingNumber: {
+      type: String,
+      trim: true
+    },
     notes: {
       type: String,
       trim: true
@@ -94,4 +117,15 @@ const SalesInquirySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Number new inquiries from the counter
+SalesInquirySchema.pre('save', async function() {
+  if (this.isNew && !this.inquiryNumber) {
+    this.inquiryNumber = await nextNumber('salesInquiry');
+  }
+});
+
+// Indexes for faster queries
+SalesInquirySchema.index({ inquiryNumber: 1 }, { unique: true, partialFilterExpression: { inquiryNumber: { $type: 'string' } } });
+SalesInquirySchema.index({ 'products.sku': 1 });
+
 module.exports = mongoose.model('SalesInquiry', SalesInquirySchema); 
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One document per job defined in code (utils/jobs.js). The document holds the
+// schedule state shared by every server instance: the lock, the next run time
+// and whether an admin has paused the job.
+const ScheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Job name is required'],
+      unique: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    cronExpression: {
+      type: String,
+      required: [true, 'Cron expression is required']
+    },
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pausedAt: {
+      type: Date
+    },
+    nextRunAt: {
+      type: Date
+    },
+    // Instance currently running the job; the lock lapses at lockedUntil so a
+    // crashed instance does not hold the job forever
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    lastRunAt: {
+      type: Date
+    },
+    lastStatus: {
+      type: String,
+      enum: ['Succeeded', 'Failed']
+    },
+    lastError: {
+      type: String
+    },
+    // Consecutive failed attempts of the current scheduled run
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 1
+    },
+    retryDelaySeconds: {
+      type: Number,
+      default: 60,
+      min: 1
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+ScheduledJobSchema.index({ isPaused: 1, nextRunAt: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', ScheduledJobSchema);
+
+module.exports = ScheduledJob;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    // Hashes of tokens already rotated out, kept to detect reuse of a stolen token
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    deviceId: {
+      type: String,
+      trim: true
+    },
+    deviceName: {
+      type: String,
+      trim: true
+    },
+    platform: {
+      type: String,
+      trim: true
+    },
+    userAgent: {
+      type: String
+    },
+    ip: {
+      type: String
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+SessionSchema.index({ tokenHash: 1 });
+SessionSchema.index({ previousTokenHashes: 1 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// GeoJSON point used for geo-fencing punch-ins
+const GeoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: [true, 'Coordinates are required']
+  }
+}, { _id: false });
+
 const ShopSchema = new mongoose.Schema(
   {
     name: {
@@ -27,6 +40,7 @@ const ShopSchema = new mongoose.Schema(
       ref: 'Distributor',
       required: [true, 'Distributor ID is required']
     },
+    location: GeoPointSchema,
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -66,6 +80,7 @@ ShopSchema.index({ distributorId: 1 });
 ShopSchema.index({ type: 1 });
 ShopSchema.index({ approvalStatus: 1 });
 ShopSchema.index({ createdBy: 1 });
+ShopSchema.index({ location: '2dsphere' });
 
 const Shop = mongoose.model('Shop', ShopSchema);
 
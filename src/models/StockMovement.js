@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const StockMovementSchema = new mongoose.Schema(
+  {
+    distributorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Distributor',
+      required: [true, 'Distributor ID is required']
+    },
+    brand: {
+      type: String,
+      required: [true, 'Brand is required'],
+      trim: true
+    },
+    variant: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    size: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    unit: {
+      type: String,
+      trim: true
+    },
+    direction: {
+      type: String,
+      enum: ['In', 'Out'],
+      required: [true, 'Movement direction is required']
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [1, 'Quantity must be at least 1']
+    },
+    movementType: {
+      type: String,
+      enum: [
+        'Order Dispatch',
+        'Sales Inquiry Dispatch',
+        'Damage Write-off',
+        'Damage Replacement',
+        'Adjustment'
+      ],
+      required: [true, 'Movement type is required']
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'sourceModel'
+    },
+    sourceModel: {
+      type: String,
+      enum: ['Order', 'SalesInquiry', 'DamageClaim']
+    },
+    // Position of the line on the source document, keys posted movements
+    lineIndex: {
+      type: Number
+    },
+    referenceNumber: {
+      type: String,
+      trim: true
+    },
+    movementDate: {
+      type: Date,
+      default: Date.now
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for balance aggregation and history lookups
+StockMovementSchema.index({ distributorId: 1, brand: 1, variant: 1, size: 1 });
+StockMovementSchema.index({ sourceModel: 1, sourceId: 1, movementType: 1 });
+// Each source line is posted at most once; movements from before lineIndex are not keyed
+StockMovementSchema.index(
+  { sourceModel: 1, sourceId: 1, movementType: 1, lineIndex: 1 },
+  { unique: true, partialFilterExpression: { lineIndex: { $exists: true } } }
+);
+StockMovementSchema.index({ movementType: 1 });
+StockMovementSchema.index({ movementDate: -1 });
+
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+
+module.exports = StockMovement;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/documentNumbers');
 
 // Individual product item with size and quantity
 const ProductSizeSchema = new mongoose.Schema({
@@ -39,6 +40,11 @@ const BrandEstimateSchema = new mongoose.Schema({
 
 const SupplyEstimateSchema = new mongoose.Schema(
   {
+    // Human-readable number, e.g. SE/2026-27/00042
+    estimateNumber: {
+      type: String,
+      trim: true
+    },
     distributorId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Distributor',
@@ -89,7 +95,15 @@ const SupplyEstimateSchema = new mongoose.Schema(
   }
 );
 
+// Number new estimates from the counter
+SupplyEstimateSchema.pre('save', async function() {
+  if (this.isNew && !this.estimateNumber) {
+    this.estimateNumber = await nextNumber('supplyEstimate');
+  }
+});
+
 // Indexes for faster queries
+SupplyEstimateSchema.index({ estimateNumber: 1 }, { unique: true, partialFilterExpression: { estimateNumber: { $type: 'string' } } });
 SupplyEstimateSchema.index({ distributorId: 1 });
 SupplyEstimateSchema.index({ submittedBy: 1 });
 SupplyEstimateSchema.index({ status: 1 });
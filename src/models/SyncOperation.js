@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const SyncOperationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    // Id generated by the app when the operation was queued
+    clientOperationId: {
+      type: String,
+      required: [true, 'Client operation ID is required'],
+      trim: true
+    },
+    type: {
+      type: String,
+      required: [true, 'Operation type is required']
+    },
+    clientTimestamp: {
+      type: Date
+    },
+    // Pending while the operation is being applied
+    status: {
+      type: String,
+      enum: ['Pending', 'Applied', 'Conflict', 'Rejected'],
+      default: 'Pending'
+    },
+    statusCode: {
+      type: Number
+    },
+    // Response body returned to the app, replayed for retried operations
+    response: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+SyncOperationSchema.index({ user: 1, clientOperationId: 1 }, { unique: true });
+// Results are kept long enough to answer retries, then removed by MongoDB
+SyncOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const SyncOperation = mongoose.model('SyncOperation', SyncOperationSchema);
+
+module.exports = SyncOperation;
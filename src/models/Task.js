@@ -19,9 +19,100 @@ const TaskItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1']
+  },
+  // Quantity actually handled, reported on completion
+  actualQuantity: {
+    type: Number,
+    min: [0, 'Actual quantity cannot be negative']
+  }
+});
+
+const ChecklistItemSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Checklist item label is required'],
+    trim: true
+  },
+  // A required item must be ticked before the task can be completed
+  required: {
+    type: Boolean,
+    default: true
   }
 });
 
+const CompletionLocationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: [true, 'Coordinates are required']
+  },
+  accuracy: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Evidence submitted with POST /api/tasks/:taskId/complete
+const CompletionSchema = new mongoose.Schema({
+  checklist: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    checked: {
+      type: Boolean,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true
+    }
+  }],
+  photos: [{
+    type: String
+  }],
+  location: CompletionLocationSchema,
+  notes: {
+    type: String,
+    trim: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const ReviewSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['Accepted', 'Reopened'],
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const TaskSchema = new mongoose.Schema(
   {
     title: {
@@ -90,10 +181,33 @@ const TaskSchema = new mongoose.Schema(
       type: Number,
       min: [0, 'Quantity cannot be negative']
     },
+    // Actual quantity of the single brand/variant/size, reported on completion
+    actualQuantity: {
+      type: Number,
+      min: [0, 'Actual quantity cannot be negative']
+    },
     items: [TaskItemSchema],
+    // Optional checklist the assignee answers when completing the task
+    checklist: [ChecklistItemSchema],
+    completion: CompletionSchema,
+    // Creator's decision on the completed task; history in reviews
+    reviewStatus: {
+      type: String,
+      enum: ['Pending', 'Accepted', 'Reopened']
+    },
+    reviews: [ReviewSchema],
     deadline: {
       type: Date
     },
+    // Reminder offsets (minutes before the deadline) already sent to the assignee
+    remindersSent: {
+      type: [Number],
+      default: []
+    },
+    // When the creator was told the task is overdue
+    escalatedAt: {
+      type: Date
+    },
     assignedDate: {
       type: Date,
       default: Date.now
@@ -101,13 +215,64 @@ const TaskSchema = new mongoose.Schema(
     report: {
       type: String,
       trim: true
-    }
+    },
+    // Set on tasks created from a recurring task template
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaskTemplate'
+    },
+    occurrenceDate: {
+      type: Date
+    },
+    // Field punches against the task (POST /api/tasks/:taskId/punch-in and punch-out)
+    punchStatus: {
+      type: String,
+      enum: ['punch-in', 'punch-out']
+    },
+    lastPunchTime: {
+      type: Date
+    },
+    punchHistory: [
+      {
+        punchInTime: {
+          type: Date,
+          required: true
+        },
+        punchOutTime: {
+          type: Date
+        },
+        location: {
+          type: mongoose.Schema.Types.Mixed
+        }
+      }
+    ]
   },
   {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
   }
 );
 
+// A task past its deadline that is not completed is overdue
+TaskSchema.virtual('isOverdue').get(function() {
+  return Boolean(this.deadline) && this.status !== 'Completed' && this.deadline < new Date();
+});
+
+// Status shown in task listings: Overdue takes the place of Pending/In Progress
+TaskSchema.virtual('derivedStatus').get(function() {
+  return this.isOverdue ? 'Overdue' : this.status;
+});
+
+// A moved deadline gets its reminders and escalation again
+TaskSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('deadline')) {
+    this.remindersSent = [];
+    this.escalatedAt = undefined;
+  }
+  next();
+});
+
 // Indexes for faster queries
 TaskSchema.index({ assignedTo: 1 });
 TaskSchema.index({ status: 1 });
@@ -115,6 +280,13 @@ TaskSchema.index({ createdBy: 1 });
 TaskSchema.index({ staffRole: 1 });
 TaskSchema.index({ distributorId: 1 });
 TaskSchema.index({ taskType: 1, createdBy: 1 }); // Compound index for internal tasks queries
+TaskSchema.index({ assignedTo: 1, 'punchHistory.punchInTime': 1 });
+TaskSchema.index({ status: 1, deadline: 1 }); // Reminder and escalation job
+// One task per template occurrence, even if two instances spawn at once
+TaskSchema.index(
+  { template: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
 
 const Task = mongoose.model('Task', TaskSchema);
 
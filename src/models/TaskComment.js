@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number
+  }
+}, { _id: false });
+
+// One entry in a task's thread: a user comment, or a system entry recorded
+// when the task's status changes or its assignee punches in/out
+const TaskCommentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Please provide the task']
+    },
+    type: {
+      type: String,
+      enum: ['Comment', 'System'],
+      default: 'Comment'
+    },
+    // User who wrote the comment, or whose action produced the system entry
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Comment cannot be more than 2000 characters'],
+      default: ''
+    },
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    attachments: [AttachmentSchema],
+    // System entries only
+    event: {
+      type: String,
+      enum: ['Status Changed', 'Punch In', 'Punch Out', 'Reviewed']
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+TaskCommentSchema.pre('validate', function(next) {
+  if (this.type === 'Comment' && !this.body && this.attachments.length === 0) {
+    this.invalidate('body', 'A comment needs text or an attachment');
+  }
+  if (this.type === 'System' && !this.event) {
+    this.invalidate('event', 'System entries need an event');
+  }
+  next();
+});
+
+// Indexes for faster queries
+TaskCommentSchema.index({ task: 1, createdAt: 1 });
+TaskCommentSchema.index({ mentions: 1 });
+
+const TaskComment = mongoose.model('TaskComment', TaskCommentSchema);
+
+module.exports = TaskComment;
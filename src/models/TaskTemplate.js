@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+const TemplateItemSchema = new mongoose.Schema({
+  brand: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  variant: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+const TemplateChecklistItemSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Checklist item label is required'],
+    trim: true
+  },
+  required: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: [true, 'Recurrence frequency is required']
+  },
+  // Weekly: days the task is created on, 0 (Sunday) to 6 (Saturday)
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: undefined
+  },
+  // Monthly: day of the month; limited to 28 so every month has it
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28
+  },
+  // Time of day (HH:mm, server time) the task is created
+  time: {
+    type: String,
+    default: '09:00',
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format']
+  }
+}, { _id: false });
+
+const TaskTemplateSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Please provide a title'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    staffRole: {
+      type: String,
+      enum: ['Marketing Staff', 'Godown Incharge', 'Mid-Level Manager'],
+      required: [true, 'Please provide the staff role']
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Please provide the assignee']
+    },
+    distributorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Distributor'
+    },
+    brand: {
+      type: String,
+      trim: true
+    },
+    variant: {
+      type: String,
+      trim: true
+    },
+    size: {
+      type: String,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      min: [1, 'Quantity must be at least 1']
+    },
+    items: [TemplateItemSchema],
+    // Copied to each task, where completing it requires the checklist
+    checklist: [TemplateChecklistItemSchema],
+    // Each task's deadline is this many hours after it is created
+    deadlineHours: {
+      type: Number,
+      min: [1, 'Deadline must be at least 1 hour after creation']
+    },
+    recurrence: {
+      type: RecurrenceSchema,
+      required: true
+    },
+    // No tasks are created before startDate or after endDate
+    startDate: {
+      type: Date,
+      default: Date.now
+    },
+    endDate: {
+      type: Date
+    },
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    // Next occurrence to create; null once the template has ended
+    nextRunAt: {
+      type: Date
+    },
+    lastSpawnedAt: {
+      type: Date
+    },
+    spawnCount: {
+      type: Number,
+      default: 0
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Please provide a user ID']
+    },
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+TaskTemplateSchema.pre('validate', function(next) {
+  const { recurrence } = this;
+  if (recurrence && recurrence.frequency === 'weekly' && !(recurrence.daysOfWeek && recurrence.daysOfWeek.length)) {
+    this.invalidate('recurrence.daysOfWeek', 'Weekly recurrence needs at least one day of the week');
+  }
+  if (recurrence && recurrence.frequency === 'monthly' && !recurrence.dayOfMonth) {
+    this.invalidate('recurrence.dayOfMonth', 'Monthly recurrence needs a day of the month');
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Indexes for faster queries
+TaskTemplateSchema.index({ isPaused: 1, nextRunAt: 1 });
+TaskTemplateSchema.index({ assignedTo: 1 });
+TaskTemplateSchema.index({ createdBy: 1 });
+
+const TaskTemplate = mongoose.model('TaskTemplate', TaskTemplateSchema);
+
+module.exports = TaskTemplate;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const config = require('../config/config');
 
 const UserSchema = new mongoose.Schema(
   {
@@ -21,6 +22,11 @@ const UserSchema = new mongoose.Schema(
         'Please provide a valid email'
       ]
     },
+    // Used to send password reset OTPs to staff without email access
+    phone: {
+      type: String,
+      trim: true
+    },
     password: {
       type: String,
       required: [true, 'Please provide a password'],
@@ -39,7 +45,7 @@ const UserSchema = new mongoose.Schema(
     permissions: {
       type: [String],
       default: [],
-      // Possible values: 'dashboard', 'staff', 'marketing', 'orders', 'damage', 'tasks', 'distributors', 'godown', 'sales', 'reports'
+      // Keys of config/permissions.js: 'dashboard', 'staff', 'marketing', 'orders', 'damage', 'tasks', 'distributors', 'godown', 'sales', 'reports'
     },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -57,6 +63,16 @@ const UserSchema = new mongoose.Schema(
       type: Date,
       select: false
     },
+    // Wrong OTP guesses against the current reset code
+    passwordResetAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    passwordResetRequestedAt: {
+      type: Date,
+      select: false
+    },
     active: {
       type: Boolean,
       default: true,
@@ -78,6 +94,12 @@ const UserSchema = new mongoose.Schema(
     lockUntil: {
       type: Date,
       select: false
+    },
+    // Consecutive locks since the last successful login; drives the backoff
+    lockCount: {
+      type: Number,
+      default: 0,
+      select: false
     }
   },
   {
@@ -135,25 +157,62 @@ UserSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
-// Method to handle failed login attempts
+// Method to generate a 6-digit password reset OTP (for SMS)
+UserSchema.methods.createPasswordResetOtp = function() {
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  
+  // Stored like the reset token; only the hash is kept
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(otp)
+    .digest('hex');
+    
+  // Set OTP expiry (10 minutes)
+  this.passwordResetExpires = Date.now() + 10 * 60 * 1000;
+  this.passwordResetAttempts = 0;
+  
+  return otp;
+};
+
+// Method to check whether the account is currently locked
+UserSchema.methods.isLocked = function() {
+  return Boolean(this.accountLocked && this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Method to handle failed login attempts. Resolves to true when this attempt locked the account.
 UserSchema.methods.handleFailedLogin = async function() {
+  const { maxAttempts, baseLockMinutes, maxLockMinutes } = config.lockout;
+  let locked = false;
+
   // Increment login attempts
   this.loginAttempts += 1;
   
-  // Lock account after 5 failed attempts
-  if (this.loginAttempts >= 5) {
+  // Lock once the threshold is reached; every further lock doubles the window
+  if (this.loginAttempts >= maxAttempts) {
+    const lockMinutes = Math.min(baseLockMinutes * 2 ** (this.lockCount || 0), maxLockMinutes);
     this.accountLocked = true;
-    this.lockUntil = Date.now() + 30 * 60 * 1000; // Lock for 30 minutes
+    this.lockUntil = Date.now() + lockMinutes * 60 * 1000;
+    this.lockCount = (this.lockCount || 0) + 1;
+    locked = true;
   }
   
   await this.save();
+  return locked;
 };
 
-// Method to reset login attempts on successful login
-UserSchema.methods.resetLoginAttempts = async function() {
+// Method to unlock the account (lock expiry keeps the backoff level, an explicit unlock clears it)
+UserSchema.methods.unlockAccount = function({ resetBackoff = true } = {}) {
   this.loginAttempts = 0;
   this.accountLocked = false;
   this.lockUntil = undefined;
+  if (resetBackoff) {
+    this.lockCount = 0;
+  }
+};
+
+// Method to reset login attempts on successful login
+UserSchema.methods.resetLoginAttempts = async function() {
+  this.unlockAccount();
   this.lastLogin = Date.now();
   
   await this.save();
@@ -0,0 +1,97 @@
+const express = require('express');
+const { query } = require('express-validator');
+const attendanceController = require('../controllers/attendanceController');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Attendance is reviewed from the admin panel
+router.use(protect);
+router.use(requirePermission('staff'));
+router.use(restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'));
+
+const monthValidators = [
+  query('month', 'Month must be in YYYY-MM format').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+  query('staffId', 'Staff ID must be valid').optional().isMongoId(),
+  query('role', 'Invalid role').optional().isIn(['Marketing Staff', 'Godown Incharge', 'Mid-Level Manager'])
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attendance
+ *   description: Daily attendance and field hours derived from punch data
+ */
+
+/**
+ * @swagger
+ * /api/attendance:
+ *   get:
+ *     summary: Get the monthly attendance grid
+ *     description: >
+ *       Built from distributor visit punches and task punches. For every staff member
+ *       and day of the month it returns first in, last out, field minutes (overlapping
+ *       punches counted once), distributor visits, a late flag and a status of
+ *       Present, Absent, Weekly Off or null (before joining or still to come).
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: 2026-10
+ *         description: Defaults to the current month
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [Marketing Staff, Godown Incharge, Mid-Level Manager]
+ *           default: Marketing Staff
+ *     responses:
+ *       200:
+ *         description: Attendance grid with a per-staff summary
+ *       400:
+ *         description: Invalid filters
+ */
+router.get('/', monthValidators, attendanceController.getAttendance);
+
+/**
+ * @swagger
+ * /api/attendance/export:
+ *   get:
+ *     summary: Export the monthly attendance grid to Excel
+ *     description: One row per staff member with a P/L/A/WO code per day (L is a late start) followed by monthly totals.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/export', monthValidators, attendanceController.exportAttendance);
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const auditController = require('../controllers/auditController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All audit routes are admin only
+router.use(protect);
+router.use(restrictTo('Admin'));
+
+const filterValidators = [
+  query('actor', 'Actor must be a valid user ID').optional().isMongoId(),
+  query('action', 'Action must be Create, Update, Delete, Lock or Unlock').optional().isIn(['Create', 'Update', 'Delete', 'Lock', 'Unlock']),
+  query('targetId', 'Target ID must be a valid ID').optional().isMongoId(),
+  query('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  query('endDate', 'End date must be a valid date').optional().isISO8601()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit trail of state-changing requests
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit log entries (newest first)
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID of the actor
+ *       - in: query
+ *         name: actorRole
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [Create, Update, Delete, Lock, Unlock]
+ *       - in: query
+ *         name: targetModel
+ *         schema:
+ *           type: string
+ *         description: Model name, e.g. DamageClaim
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *         description: Part of the request path
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated audit log entries
+ *       403:
+ *         description: Not authorized
+ */
+router.get(
+  '/',
+  [
+    ...filterValidators,
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 500').optional().isInt({ min: 1, max: 500 })
+  ],
+  auditController.getAuditLogs
+);
+
+/**
+ * @swagger
+ * /api/audit/export:
+ *   get:
+ *     summary: Export audit log entries to Excel (same filters as the list, up to 10000 rows)
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/export', filterValidators, auditController.exportAuditLogs);
+
+/**
+ * @swagger
+ * /api/audit/{id}:
+ *   get:
+ *     summary: Get an audit log entry
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log entry
+ *       404:
+ *         description: Entry not found
+ */
+router.get('/:id', [param('id', 'Invalid audit log ID').isMongoId()], auditController.getAuditLog);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { check } = require('express-validator');
+const { check, param } = require('express-validator');
 const authController = require('../controllers/authController');
 const { protect, restrictTo } = require('../middleware/authMiddleware');
 
@@ -97,21 +97,32 @@ router.post(
   authController.login
 );
 
+// Clients sending a refresh token don't need a valid access token; older
+// clients without one still refresh with their bearer token
+const refreshAuth = (req, res, next) => (req.body && req.body.refreshToken ? next() : protect(req, res, next));
+
 /**
  * @swagger
  * /api/auth/refresh-token:
  *   post:
  *     summary: Refresh JWT token
+ *     description: Send the refresh token from login to get a new access token and a new refresh token (rotation). The old refresh token stops working; presenting it again signs out the whole session. Without a refresh token, a still-valid bearer token is exchanged for a new one.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token refreshed successfully
  *       401:
- *         description: Invalid or expired token
+ *         description: Invalid, expired or reused refresh token (code INVALID_REFRESH_TOKEN, REFRESH_TOKEN_REUSED, PASSWORD_CHANGED or SESSION_REVOKED)
  */
-router.post('/refresh-token', protect, authController.refreshToken);
+router.post('/refresh-token', refreshAuth, authController.refreshToken);
 
 /**
  * @swagger
@@ -129,6 +140,23 @@ router.post('/refresh-token', protect, authController.refreshToken);
  */
 router.get('/me', protect, authController.getMe);
 
+/**
+ * @swagger
+ * /api/auth/me/permissions:
+ *   get:
+ *     summary: Get the admin panel modules the current user can access
+ *     description: Admins have every module. Sub Admins have the modules in their permissions. Other roles get an empty list because their access is role based.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Granted permissions and the route prefixes each module covers
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/me/permissions', protect, authController.getMyPermissions);
+
 /**
  * @swagger
  * /api/auth/update-password:
@@ -168,17 +196,154 @@ router.patch('/update-password', protect, authController.updatePassword);
 /**
  * @swagger
  * /api/auth/logout:
- *   get:
- *     summary: Logout user
+ *   post:
+ *     summary: Logout user and revoke the current session
+ *     description: The session is identified by the refresh token in the body or by the bearer token (expired tokens are accepted). GET is kept for older clients.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: User logged out successfully
  */
+router.post('/logout', authController.logout);
 router.get('/logout', authController.logout);
 
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: Sends a reset link by email, or with channel "sms" a 6-digit code to the phone number on the account. The response is the same whether or not the account exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms]
+ *                 default: email
+ *     responses:
+ *       200:
+ *         description: Reset message sent if the account exists
+ *       429:
+ *         description: Too many requests
+ */
+router.post(
+  '/forgot-password',
+  [
+    check('email', 'Please include a valid email').isEmail(),
+    check('channel', 'Channel must be email or sms').optional().isIn(['email', 'sms'])
+  ],
+  authController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Set a new password with a reset link token or SMS code
+ *     description: For SMS codes, the account email is required and a code is discarded after 5 wrong attempts. All sessions are signed out after a reset.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the reset link, or the 6-digit SMS code
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Required with an SMS code
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid or expired token/code, or weak password
+ *       429:
+ *         description: Too many requests
+ */
+router.post(
+  '/reset-password/:token',
+  [
+    check('password', 'Password must be at least 8 characters').isLength({ min: 8 }),
+    check('email', 'Please include a valid email').optional().isEmail()
+  ],
+  authController.resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get the current user's active sessions (signed-in devices)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions; the one making the request has current set to true
+ */
+router.get('/sessions', protect, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session (sign a device out remotely)
+ *     description: Users can revoke their own sessions; Admins can revoke any session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  '/sessions/:id',
+  protect,
+  [param('id', 'Invalid session ID').isMongoId()],
+  authController.revokeSession
+);
+
 /**
  * Sub-admin management routes - Admin only
  */
@@ -0,0 +1,281 @@
+const express = require('express');
+const { check, param, query } = require('express-validator');
+const beatPlanController = require('../controllers/beatPlanController');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Beat plans are managed from the admin panel by admins and managers
+router.use(protect);
+router.use(requirePermission('staff'));
+router.use(restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'));
+
+const planValidators = [
+  check('name', 'Name must be a string').optional().isString(),
+  check('dayOfWeek', 'Day of week must be 0 (Sunday) to 6 (Saturday)').optional().isInt({ min: 0, max: 6 }).toInt(),
+  check('date', 'Date must be a valid date').optional().isISO8601(),
+  check('stops.*.shopId', 'Each stop needs a valid shop ID').isMongoId(),
+  check('stops.*.notes', 'Stop notes must be a string').optional().isString()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Beat Plans
+ *   description: Planned shop visits (beats) for marketing staff
+ */
+
+/**
+ * @swagger
+ * /api/beat-plans:
+ *   post:
+ *     summary: Create a beat plan for a marketing staff member
+ *     description: >
+ *       A plan is either weekly (dayOfWeek) or for one date (date). A dated plan
+ *       replaces the weekly plan on that day. Stops are visited in the order given,
+ *       and every shop must be under a distributor assigned to the staff member.
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staffId
+ *               - stops
+ *             properties:
+ *               staffId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               dayOfWeek:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 description: 0 is Sunday
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               stops:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - shopId
+ *                   properties:
+ *                     shopId:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Beat plan created
+ *       400:
+ *         description: Invalid plan, shop outside the staff member's distributors, or another active plan for that day
+ *       404:
+ *         description: Staff not found
+ */
+router.post(
+  '/',
+  [
+    check('staffId', 'Staff ID is required').isMongoId(),
+    check('stops', 'Stops must be a non-empty array').isArray({ min: 1 }),
+    ...planValidators
+  ],
+  beatPlanController.createBeatPlan
+);
+
+/**
+ * @swagger
+ * /api/beat-plans:
+ *   get:
+ *     summary: List beat plans
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dayOfWeek
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of beat plans
+ */
+router.get(
+  '/',
+  [
+    query('staffId', 'Staff ID must be valid').optional().isMongoId(),
+    query('dayOfWeek', 'Day of week must be 0 to 6').optional().isInt({ min: 0, max: 6 }),
+    query('date', 'Date must be a valid date').optional().isISO8601(),
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  beatPlanController.getBeatPlans
+);
+
+/**
+ * @swagger
+ * /api/beat-plans/adherence:
+ *   get:
+ *     summary: Compare planned shops against logged shop visits
+ *     description: >
+ *       For each staff member with an active plan, counts planned shops that were
+ *       visited, missed shops and visits to shops outside the plan, per day and in total.
+ *       Defaults to the last 7 days; at most 31 days.
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Adherence per staff member and day
+ *       400:
+ *         description: Invalid date range
+ */
+router.get(
+  '/adherence',
+  [
+    query('staffId', 'Staff ID must be valid').optional().isMongoId(),
+    query('startDate', 'Start date must be a valid date').optional().isISO8601(),
+    query('endDate', 'End date must be a valid date').optional().isISO8601()
+  ],
+  beatPlanController.getBeatAdherence
+);
+
+/**
+ * @swagger
+ * /api/beat-plans/{id}:
+ *   get:
+ *     summary: Get a beat plan with shop and distributor details
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Beat plan
+ *       404:
+ *         description: Beat plan not found
+ *   put:
+ *     summary: Update a beat plan
+ *     description: Sending stops replaces the whole list. Set isActive to false to pause a plan.
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               dayOfWeek:
+ *                 type: integer
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               stops:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Beat plan updated
+ *       400:
+ *         description: Invalid plan
+ *       404:
+ *         description: Beat plan not found
+ *   delete:
+ *     summary: Delete a beat plan
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Beat plan deleted
+ *       404:
+ *         description: Beat plan not found
+ */
+router.get(
+  '/:id',
+  [param('id', 'Beat plan ID must be valid').isMongoId()],
+  beatPlanController.getBeatPlan
+);
+
+router.put(
+  '/:id',
+  [
+    param('id', 'Beat plan ID must be valid').isMongoId(),
+    check('stops', 'Stops must be a non-empty array').optional().isArray({ min: 1 }),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean().toBoolean(),
+    ...planValidators
+  ],
+  beatPlanController.updateBeatPlan
+);
+
+router.delete(
+  '/:id',
+  [param('id', 'Beat plan ID must be valid').isMongoId()],
+  beatPlanController.deleteBeatPlan
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const brandController = require('../controllers/brandController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -84,6 +84,7 @@ router.get('/:id', brandController.getBrand);
  */
 router.post(
   '/',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     check('name', 'Name is required').not().isEmpty(),
@@ -136,6 +137,7 @@ router.post(
  */
 router.put(
   '/:id',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     param('id', 'Brand ID must be a valid MongoDB ID').isMongoId(),
@@ -171,6 +173,7 @@ router.put(
  */
 router.delete(
   '/:id',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     param('id', 'Brand ID must be a valid MongoDB ID').isMongoId()
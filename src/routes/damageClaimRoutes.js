@@ -1,8 +1,9 @@
 const express = require('express');
-const { check, param } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const damageClaimController = require('../controllers/damageClaimController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 const multer = require('multer');
+const { bindAuditContext } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -15,6 +16,7 @@ const upload = multer({
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('damage'));
 
 /**
  * @swagger
@@ -128,7 +130,7 @@ router.get('/distributors', damageClaimController.getAllDistributors);
  */
 router.post(
   '/',
-  upload.array('images', 5), // Allow up to 5 images
+  bindAuditContext(upload.array('images', 5)), // Allow up to 5 images
   [
     check('distributorId', 'Distributor ID is required').notEmpty().isMongoId(),
     check('brand', 'Brand name is required').notEmpty(),
@@ -224,12 +226,96 @@ router.get('/user', damageClaimController.getUserDamageClaims);
  */
 router.get('/:id', damageClaimController.getDamageClaim);
 
+/**
+ * @swagger
+ * /api/damage-claims/{id}/history:
+ *   get:
+ *     summary: Get a damage claim's workflow history
+ *     description: >
+ *       Every step of the claim from submission: action, from and to status, who acted
+ *       and their comment. availableActions lists what the caller can do next under the
+ *       workflow (stage, role and value thresholds such as DAMAGE_CLAIM_ADMIN_PIECES).
+ *     tags: [Damage Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Damage claim ID
+ *     responses:
+ *       200:
+ *         description: Claim status, history and available actions
+ *       403:
+ *         description: Not authorized to view this claim
+ *       404:
+ *         description: Damage claim not found
+ */
+router.get(
+  '/:id/history',
+  [param('id', 'Invalid damage claim ID').isMongoId()],
+  damageClaimController.getDamageClaimHistory
+);
+
+/**
+ * @swagger
+ * /api/damage-claims/{id}/pdf:
+ *   get:
+ *     summary: Download a claim's approval letter or replacement challan
+ *     description: >
+ *       PDF on the company letterhead (COMPANY_* settings). Only for Approved or Partially
+ *       Approved claims; the replacement challan also needs a completed replacement.
+ *       Without `document`, claims with a completed replacement return the challan.
+ *     tags: [Damage Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Damage claim ID
+ *       - in: query
+ *         name: document
+ *         schema:
+ *           type: string
+ *           enum: [approval, replacement]
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Claim not approved or no replacement dispatched
+ *       403:
+ *         description: Not authorized to view this claim
+ *       404:
+ *         description: Damage claim not found
+ */
+router.get(
+  '/:id/pdf',
+  [
+    param('id', 'Invalid damage claim ID').isMongoId(),
+    query('document', 'Document must be approval or replacement').optional().isIn(['approval', 'replacement'])
+  ],
+  damageClaimController.getDamageClaimPdf
+);
+
 /**
  * @swagger
  * /api/damage-claims/{id}:
  *   patch:
  *     summary: Update damage claim status
- *     description: Update the status of a damage claim (approve, partially approve, or reject)
+ *     description: >
+ *       Approve, partially approve, or reject a Pending or Commented claim. The damage claim
+ *       workflow decides who may do this; claims over DAMAGE_CLAIM_ADMIN_PIECES pieces
+ *       (default 100) can only be decided by an Admin.
  *     tags: [Damage Claims]
  *     security:
  *       - bearerAuth: []
@@ -270,6 +356,8 @@ router.get('/:id', damageClaimController.getDamageClaim);
  *         description: Not authorized to update this claim
  *       404:
  *         description: Damage claim not found
+ *       409:
+ *         description: The claim was decided by someone else in the meantime
  */
 router.patch(
   '/:id',
@@ -326,7 +414,10 @@ router.delete(
  * /api/damage-claims/tracking/{trackingId}:
  *   get:
  *     summary: Get a damage claim by tracking ID
- *     description: Godown Incharge gets a damage claim by tracking ID
+ *     description: >
+ *       Godown Incharge gets a damage claim by tracking ID. Tracking IDs issued since the
+ *       counter was introduced contain slashes (e.g. DMG/2026-27/00042); send them as
+ *       they are or URL-encoded.
  *     tags: [Damage Claims]
  *     security:
  *       - bearerAuth: []
@@ -348,7 +439,7 @@ router.delete(
  *         description: Damage claim not found
  */
 router.get(
-  '/tracking/:trackingId',
+  '/tracking/:trackingId(*)',
   restrictTo('Administrator', 'Admin', 'Godown Incharge'),
   damageClaimController.getDamageClaimByTracking
 );
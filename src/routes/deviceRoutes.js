@@ -0,0 +1,95 @@
+const express = require('express');
+const { check } = require('express-validator');
+const deviceController = require('../controllers/deviceController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Devices
+ *   description: Push notification device token registration
+ */
+
+/**
+ * @swagger
+ * /api/mobile/devices:
+ *   post:
+ *     summary: Register or refresh a push token for this device
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: FCM registration token
+ *               platform:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *               deviceId:
+ *                 type: string
+ *                 description: Stable device identifier; older tokens for the same device are deactivated
+ *               appVersion:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Token registered
+ *       200:
+ *         description: Existing token refreshed
+ *       400:
+ *         description: Validation error
+ *   get:
+ *     summary: Get the current user's active devices
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of devices
+ */
+router
+  .route('/')
+  .post(
+    [
+      check('token', 'Device token is required').trim().not().isEmpty(),
+      check('platform', 'Platform must be android, ios or web').optional().isIn(['android', 'ios', 'web'])
+    ],
+    deviceController.registerDevice
+  )
+  .get(deviceController.getMyDevices);
+
+/**
+ * @swagger
+ * /api/mobile/devices/{token}:
+ *   delete:
+ *     summary: Unregister a push token
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token unregistered
+ *       404:
+ *         description: Device not found
+ */
+router.delete('/:token', deviceController.unregisterDevice);
+
+module.exports = router;
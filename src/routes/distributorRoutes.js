@@ -1,12 +1,13 @@
 const express = require('express');
 const { check } = require('express-validator');
 const distributorController = require('../controllers/distributorController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protection middleware to all routes
 router.use(protect);
+router.use(requirePermission('distributors'));
 
 // Routes accessible by all authenticated users
 router.get('/', distributorController.getDistributors);
@@ -35,7 +36,7 @@ router.post(
 );
 
 // Routes accessible only by Admin and Mid-Level Manager
-router.use(restrictTo('Admin', 'Mid-Level Manager'));
+router.use(restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'));
 
 /**
  * @swagger
@@ -80,7 +81,9 @@ router.post(
   [
     check('name', 'Name is required').not().isEmpty(),
     check('contact', 'Contact is required').not().isEmpty(),
-    check('address', 'Address is required').not().isEmpty()
+    check('address', 'Address is required').not().isEmpty(),
+    check('location.latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('location.longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   distributorController.createDistributor
 );
@@ -133,7 +136,9 @@ router.put(
   [
     check('name', 'Name is required').not().isEmpty(),
     check('contact', 'Contact is required').not().isEmpty(),
-    check('address', 'Address is required').not().isEmpty()
+    check('address', 'Address is required').not().isEmpty(),
+    check('location.latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('location.longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   distributorController.updateDistributor
 );
@@ -0,0 +1,185 @@
+const express = require('express');
+const { check, query } = require('express-validator');
+const inventoryController = require('../controllers/inventoryController');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('godown'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: Stock ledger balances and movement history per distributor
+ */
+
+/**
+ * @swagger
+ * /api/inventory/balances:
+ *   get:
+ *     summary: Get current stock balances per distributor, brand, variant and size
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *         description: Filter by distributor ID
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Compute balances as of this date
+ *     responses:
+ *       200:
+ *         description: List of stock balances
+ *       401:
+ *         description: Not authenticated
+ */
+router.get(
+  '/balances',
+  restrictTo('Admin', 'Mid-Level Manager', 'Godown Incharge', 'Sub Admin'),
+  [
+    query('distributorId', 'Invalid distributor ID').optional().isMongoId(),
+    query('asOf', 'asOf must be a valid date').optional().isISO8601()
+  ],
+  inventoryController.getStockBalances
+);
+
+/**
+ * @swagger
+ * /api/inventory/movements:
+ *   get:
+ *     summary: Get stock movement history
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: movementType
+ *         schema:
+ *           type: string
+ *           enum: [Order Dispatch, Sales Inquiry Dispatch, Damage Write-off, Damage Replacement, Adjustment]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of stock movements
+ *       401:
+ *         description: Not authenticated
+ */
+router.get(
+  '/movements',
+  restrictTo('Admin', 'Mid-Level Manager', 'Godown Incharge', 'Sub Admin'),
+  [
+    query('distributorId', 'Invalid distributor ID').optional().isMongoId(),
+    query('startDate', 'startDate must be a valid date').optional().isISO8601(),
+    query('endDate', 'endDate must be a valid date').optional().isISO8601(),
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 500').optional().isInt({ min: 1, max: 500 })
+  ],
+  inventoryController.getStockMovements
+);
+
+/**
+ * @swagger
+ * /api/inventory/adjustments:
+ *   post:
+ *     summary: Record a manual stock adjustment
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - distributorId
+ *               - brand
+ *               - direction
+ *               - quantity
+ *             properties:
+ *               distributorId:
+ *                 type: string
+ *               brand:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               direction:
+ *                 type: string
+ *                 enum: [In, Out]
+ *               quantity:
+ *                 type: number
+ *               referenceNumber:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Distributor not found
+ */
+router.post(
+  '/adjustments',
+  restrictTo('Admin', 'Godown Incharge'),
+  [
+    check('distributorId', 'Valid distributor ID is required').isMongoId(),
+    check('brand', 'Brand is required').not().isEmpty(),
+    check('direction', 'Direction must be In or Out').isIn(['In', 'Out']),
+    check('quantity', 'Quantity must be a positive number').isInt({ min: 1 })
+  ],
+  inventoryController.createStockAdjustment
+);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const jobController = require('../controllers/jobController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Background jobs are managed by admins only
+router.use(protect);
+router.use(restrictTo('Admin'));
+
+const nameValidator = param('name', 'Job name must be valid').matches(/^[a-z0-9-]+$/);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Recurring background jobs run by the scheduler
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List scheduled jobs
+ *     description: >
+ *       Each job has its cron expression, next run time, pause state, lock holder and
+ *       the outcome of its last run. isRunning is true while an instance holds the lock.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of jobs
+ */
+router.get('/', jobController.getJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/runs:
+ *   get:
+ *     summary: Get a job's run history
+ *     description: Runs are kept for 90 days, newest first.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Running, Succeeded, Failed]
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [Schedule, Retry, Manual]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated run history
+ */
+router.get(
+  '/:name/runs',
+  [
+    nameValidator,
+    query('status', 'Invalid status').optional().isIn(['Running', 'Succeeded', 'Failed']),
+    query('trigger', 'Invalid trigger').optional().isIn(['Schedule', 'Retry', 'Manual']),
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  jobController.getJobRuns
+);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/run:
+ *   post:
+ *     summary: Run a job now
+ *     description: >
+ *       Starts the job in the background and returns the new run. Works on paused jobs
+ *       too. A manual run is not retried on failure and does not change the schedule.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Run started
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+router.post('/:name/run', [nameValidator], jobController.runJob);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/pause:
+ *   post:
+ *     summary: Pause a job
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job paused
+ *       404:
+ *         description: Job not found
+ */
+router.post('/:name/pause', [nameValidator], jobController.pauseJob);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/resume:
+ *   post:
+ *     summary: Resume a paused job
+ *     description: The job next runs at its next cron time; runs missed while paused are skipped.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job resumed
+ *       404:
+ *         description: Job not found
+ */
+router.post('/:name/resume', [nameValidator], jobController.resumeJob);
+
+module.exports = router;
@@ -1,14 +1,14 @@
 const express = require('express');
 const { check } = require('express-validator');
 const marketingStaffActivityController = require('../controllers/marketingStaffActivityController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 const mobileRouter = express.Router();
 
 // Routes for admin panel
-router.get('/', protect, marketingStaffActivityController.getAllActivities);
-router.get('/:id', protect, marketingStaffActivityController.getMarketingActivity);
+router.get('/', protect, requirePermission('marketing'), marketingStaffActivityController.getAllActivities);
+router.get('/:id', protect, requirePermission('marketing'), marketingStaffActivityController.getMarketingActivity);
 
 /**
  * @swagger
@@ -39,6 +39,7 @@ router.get('/:id', protect, marketingStaffActivityController.getMarketingActivit
 router.delete(
   '/:id',
   protect,
+  requirePermission('marketing'),
   restrictTo('Admin'),
   marketingStaffActivityController.deleteActivity
 );
@@ -105,6 +106,7 @@ router.delete(
 router.get(
   '/distributor/:distributorId',
   protect,
+  requirePermission('marketing'),
   marketingStaffActivityController.getActivitiesByDistributorId
 );
 
@@ -125,7 +127,10 @@ mobileRouter.post(
     check('tripCompanion.name', 'Trip companion name is required').not().isEmpty(),
     check('modeOfTransport', 'Mode of transport is required').not().isEmpty(),
     check('selfieImage', 'Selfie image is required').not().isEmpty(),
-    check('shopTypes', 'At least one shop type is required').isArray({ min: 1 })
+    check('shopTypes', 'At least one shop type is required').isArray({ min: 1 }),
+    check('location.latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('location.longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+    check('location.accuracy', 'Accuracy must be a positive number').optional().isFloat({ min: 0 })
   ],
   marketingStaffActivityController.punchIn
 );
@@ -136,6 +141,9 @@ mobileRouter.patch(
   [
     // Make distributorId optional during transition period
     // check('distributorId', 'Distributor ID is required').not().isEmpty()
+    check('location.latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('location.longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+    check('location.accuracy', 'Accuracy must be a positive number').optional().isFloat({ min: 0 })
   ],
   marketingStaffActivityController.punchOut
 );
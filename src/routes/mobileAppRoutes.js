@@ -1,9 +1,14 @@
 const express = require('express');
-const { check, param } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const router = express.Router();
 const { protect, restrictTo } = require('../middleware/authMiddleware');
+const multer = require('multer');
+const { bindAuditContext } = require('../utils/audit');
+const { uploadIdempotency } = require('../middleware/idempotencyMiddleware');
+const { punchInRules, punchOutRules, retailerShopActivityRules, damageClaimRules } = require('../middleware/mobileValidators');
 const authController = require('../controllers/authController');
 const taskController = require('../controllers/taskController');
+const taskCommentController = require('../controllers/taskCommentController');
 const damageClaimController = require('../controllers/damageClaimController');
 const staffDistributorAssignmentController = require('../controllers/staffDistributorAssignmentController');
 const shopController = require('../controllers/shopController');
@@ -14,9 +19,23 @@ const productController = require('../controllers/productController');
 const distributorShopsSalesOrdersController = require('../controllers/distributorShopsSalesOrdersController');
 const distributorController = require('../controllers/distributorController');
 const salesInquiryController = require('../controllers/salesInquiryController');
+const beatPlanController = require('../controllers/beatPlanController');
+
+// Configure multer for task completion photos and comment attachments
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
 
 // Public routes (no authentication required)
-router.post('/login', authController.login);
+router.post(
+  '/login',
+  [
+    check('email', 'Please include a valid email').isEmail(),
+    check('password', 'Password is required').exists()
+  ],
+  authController.login
+);
 router.post('/register', authController.register);
 
 // Protected routes (authentication required)
@@ -39,12 +58,7 @@ router.post(
   '/marketing-activity/punch-in',
   protect,
   restrictTo('Marketing Staff'),
-  [
-    check('distributorId', 'Distributor ID is required').isMongoId(),
-    check('selfieImage', 'Selfie image is required').notEmpty(),
-    check('modeOfTransport', 'Mode of transport is required').notEmpty(),
-    check('areaName', 'Area name is required').notEmpty()
-  ],
+  punchInRules,
   marketingStaffActivityController.punchIn
 );
 
@@ -52,13 +66,12 @@ router.patch(
   '/marketing-activity/punch-out',
   protect,
   restrictTo('Marketing Staff'),
-  [
-    check('distributorId', 'Distributor ID is required').isMongoId()
-  ],
+  punchOutRules,
   marketingStaffActivityController.punchOut
 );
 
 // Manager route to get all staff activities (with 7-day limit)
+// Supports ?flagged=true to list only punches outside the distributor geo-fence
 router.get(
   '/marketing-activity/all-staff-activities',
   protect,
@@ -71,11 +84,7 @@ router.post(
   '/retailer-shop-activity',
   protect,
   restrictTo('Marketing Staff'),
-  [
-    check('shopId', 'Shop ID is required').notEmpty().isMongoId(),
-    check('distributorId', 'Distributor ID is required').notEmpty().isMongoId(),
-    check('visitStartTime', 'Visit start time is required').isISO8601()
-  ],
+  retailerShopActivityRules,
   retailerShopActivityController.createOrUpdateActivity
 );
 
@@ -145,31 +154,59 @@ router.get(
   taskController.getMyTasks
 );
 
-// Get task details
+// Get task details, with the latest comments
 router.get(
-  '/tasks/:id',
+  '/tasks/:taskId',
   protect,
   restrictTo('Marketing Staff', 'Godown Incharge'),
   [
-    param('id', 'Task ID is required').isMongoId()
+    param('taskId', 'Task ID is required').isMongoId()
   ],
   taskController.getTask
 );
 
+// Complete a task with checklist, photos and location
+router.post(
+  '/tasks/:taskId/complete',
+  protect,
+  restrictTo('Marketing Staff', 'Godown Incharge'),
+  bindAuditContext(upload.array('photos', 5)),
+  uploadIdempotency,
+  [
+    param('taskId', 'Task ID is required').isMongoId()
+  ],
+  taskController.completeTask
+);
+
+// Task comment thread
+router.get(
+  '/tasks/:taskId/comments',
+  protect,
+  restrictTo('Marketing Staff', 'Godown Incharge'),
+  [
+    param('taskId', 'Task ID is required').isMongoId()
+  ],
+  taskCommentController.getComments
+);
+
+router.post(
+  '/tasks/:taskId/comments',
+  protect,
+  restrictTo('Marketing Staff', 'Godown Incharge'),
+  bindAuditContext(upload.array('attachments', 5)),
+  uploadIdempotency,
+  [
+    param('taskId', 'Task ID is required').isMongoId()
+  ],
+  taskCommentController.addComment
+);
+
 // Damage claim routes
 router.post(
   '/damage-claims',
   protect,
   restrictTo('Marketing Staff'),
-  [
-    check('distributorId', 'Distributor ID is required').isMongoId(),
-    check('brand', 'Brand is required').notEmpty(),
-    check('variant', 'Variant is required').notEmpty(),
-    check('size', 'Size is required').notEmpty(),
-    check('quantity', 'Quantity is required').isNumeric(),
-    check('damageType', 'Damage type is required').notEmpty(),
-    check('images', 'At least one image is required').isArray({ min: 1 })
-  ],
+  damageClaimRules,
   damageClaimController.createDamageClaim
 );
 
@@ -180,6 +217,16 @@ router.get(
   damageClaimController.getUserDamageClaims
 );
 
+router.get(
+  '/damage-claims/:id/history',
+  protect,
+  restrictTo('Marketing Staff', 'Mid-Level Manager', 'Admin'),
+  [
+    param('id', 'Damage claim ID is required').isMongoId()
+  ],
+  damageClaimController.getDamageClaimHistory
+);
+
 // Get assigned distributors
 router.get(
   '/staff-assignments/assigned-distributors',
@@ -188,6 +235,14 @@ router.get(
   staffDistributorAssignmentController.getMyAssignedDistributors
 );
 
+// Today's planned shop visits
+router.get(
+  '/beat/today',
+  protect,
+  restrictTo('Marketing Staff'),
+  beatPlanController.getTodayBeat
+);
+
 // Product routes for mobile app
 router.get(
   '/products/brands-with-variants',
@@ -286,6 +341,16 @@ router.patch(
   salesInquiryController.dispatchSalesInquiry
 );
 
+router.get(
+  '/sales-inquiries/:id/pdf',
+  protect,
+  restrictTo('Godown Incharge', 'Admin'),
+  [
+    param('id', 'Sales inquiry ID is required').isMongoId()
+  ],
+  salesInquiryController.getSalesInquiryPdf
+);
+
 // Godown Incharge routes for damage claims
 router.get(
   '/damage-claims/godown/all',
@@ -322,3 +387,14 @@ router.post(
   damageClaimController.createReplacement
 );
 
+router.get(
+  '/damage-claims/:id/pdf',
+  protect,
+  restrictTo('Marketing Staff', 'Godown Incharge', 'Admin'),
+  [
+    param('id', 'Damage claim ID is required').isMongoId(),
+    query('document', 'Document must be approval or replacement').optional().isIn(['approval', 'replacement'])
+  ],
+  damageClaimController.getDamageClaimPdf
+);
+
@@ -0,0 +1,114 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const notificationController = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notification inbox for the mobile app
+ */
+
+/**
+ * @swagger
+ * /api/mobile/notifications:
+ *   get:
+ *     summary: Get the current user's notifications (newest first)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Damage Claim, Shop Approval, Task Assigned, Task Reminder, Task Overdue, Task Completed, Task Review, Task Comment, Task Mention, Auto Punch-Out, General]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of notifications with the unread count
+ *       401:
+ *         description: Not authenticated
+ */
+router.get(
+  '/',
+  [
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  notificationController.getMyNotifications
+);
+
+/**
+ * @swagger
+ * /api/mobile/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ */
+router.get('/unread-count', notificationController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/mobile/notifications/read-all:
+ *   patch:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ */
+router.patch('/read-all', notificationController.markAllAsRead);
+
+/**
+ * @swagger
+ * /api/mobile/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.patch(
+  '/:id/read',
+  [param('id', 'Invalid notification ID').isMongoId()],
+  notificationController.markAsRead
+);
+
+module.exports = router;
@@ -1,12 +1,13 @@
 const express = require('express');
-const { check, param } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const orderController = require('../controllers/orderController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('orders'));
 
 /**
  * @swagger
@@ -103,7 +104,36 @@ router.post(
  *       403:
  *         description: Not authorized
  */
-router.get('/', restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge'), orderController.getOrders);
+router.get('/', restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge', 'Sub Admin'), orderController.getOrders);
+
+/**
+ * @swagger
+ * /orders/number/{orderNumber}:
+ *   get:
+ *     summary: Get an order by order number
+ *     description: >
+ *       Numbers contain slashes (e.g. SO/2026-27/00042). Send them as they are or URL-encoded.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: SO/2026-27/00042
+ *     responses:
+ *       200:
+ *         description: Same response as lookup by ID
+ *       404:
+ *         description: Order not found
+ */
+router.get(
+  '/number/:orderNumber(*)',
+  restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge', 'Sub Admin'),
+  orderController.getOrder
+);
 
 /**
  * @swagger
@@ -132,13 +162,62 @@ router.get('/', restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incha
  */
 router.get(
   '/:orderId',
-  restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge'),
+  restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge', 'Sub Admin'),
   [
     param('orderId', 'Order ID must be a valid MongoDB ID').isMongoId()
   ],
   orderController.getOrder
 );
 
+/**
+ * @swagger
+ * /orders/{orderId}/pdf:
+ *   get:
+ *     summary: Download an order confirmation or dispatch challan
+ *     description: >
+ *       PDF on the company letterhead (COMPANY_* settings) with the order's line items.
+ *       Confirmations are available once the order is Approved, challans once it is
+ *       Dispatched. Without `document`, dispatched orders return the challan.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *       - in: query
+ *         name: document
+ *         schema:
+ *           type: string
+ *           enum: [confirmation, challan]
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Document not available for the order's status
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Order not found
+ */
+router.get(
+  '/:orderId/pdf',
+  restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge', 'Sub Admin'),
+  [
+    param('orderId', 'Order ID must be a valid MongoDB ID').isMongoId(),
+    query('document', 'Document must be confirmation or challan').optional().isIn(['confirmation', 'challan'])
+  ],
+  orderController.getOrderPdf
+);
+
 /**
  * @swagger
  * /orders/track/{orderId}:
@@ -167,7 +246,7 @@ router.get(
  */
 router.get(
   '/track/:orderId',
-  restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge'),
+  restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge', 'Sub Admin'),
   [
     param('orderId', 'Order ID must be a valid MongoDB ID').isMongoId()
   ],
@@ -220,7 +299,7 @@ router.get(
  */
 router.patch(
   '/:orderId/approve',
-  restrictTo('Mid-Level Manager'),
+  restrictTo('Mid-Level Manager', 'Sub Admin'),
   [
     param('orderId', 'Order ID must be a valid MongoDB ID').isMongoId(),
     check('status', 'Status is required and must be Approved or Rejected')
@@ -0,0 +1,297 @@
+const express = require('express');
+const { check, query } = require('express-validator');
+const priceListController = require('../controllers/priceListController');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('sales'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Price Lists
+ *   description: Rate master for brands, variants and sizes with distributor and shop type overrides
+ */
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   post:
+ *     summary: Create a price list entry
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - variant
+ *               - size
+ *               - rate
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               mrp:
+ *                 type: number
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *               distributorId:
+ *                 type: string
+ *                 description: Restrict this rate to one distributor
+ *               shopType:
+ *                 type: string
+ *                 enum: [Retailer, Whole Seller]
+ *                 description: Restrict this rate to one shop type
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Price list entry created
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Product or distributor not found
+ */
+router.post(
+  '/',
+  restrictTo('Admin'),
+  [
+    check('productId', 'Valid product ID is required').isMongoId(),
+    check('variant', 'Variant is required').not().isEmpty(),
+    check('size', 'Size is required').not().isEmpty(),
+    check('rate', 'Rate must be a non-negative number').isFloat({ min: 0 }),
+    check('mrp', 'MRP must be a non-negative number').optional().isFloat({ min: 0 }),
+    check('effectiveFrom', 'Effective from must be a valid date').optional().isISO8601(),
+    check('effectiveTo', 'Effective to must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('distributorId', 'Invalid distributor ID').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+    check('shopType', 'Shop type must be Retailer or Whole Seller').optional({ nullable: true, checkFalsy: true }).isIn(['Retailer', 'Whole Seller'])
+  ],
+  priceListController.createPriceList
+);
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   get:
+ *     summary: Get price list entries
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: brandName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *         description: Distributor ID, or "none" for entries without a distributor override
+ *       - in: query
+ *         name: shopType
+ *         schema:
+ *           type: string
+ *         description: Retailer, Whole Seller, or "none" for entries without a shop type override
+ *       - in: query
+ *         name: activeOn
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only entries effective on this date
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of price list entries
+ */
+router.get('/', restrictTo('Admin'), priceListController.getPriceLists);
+
+/**
+ * @swagger
+ * /api/price-lists/resolve:
+ *   get:
+ *     summary: Resolve the applicable rate for a brand, variant and size
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: brandName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shopType
+ *         schema:
+ *           type: string
+ *           enum: [Retailer, Whole Seller]
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Applicable price list entry
+ *       404:
+ *         description: No price list entry applies
+ */
+router.get(
+  '/resolve',
+  [
+    query('brandName', 'Brand name is required').not().isEmpty(),
+    query('variant', 'Variant is required').not().isEmpty(),
+    query('size', 'Size is required').not().isEmpty(),
+    query('distributorId', 'Invalid distributor ID').optional().isMongoId(),
+    query('date', 'Date must be a valid date').optional().isISO8601()
+  ],
+  priceListController.resolvePriceList
+);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   get:
+ *     summary: Get a price list entry by ID
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price list entry details
+ *       404:
+ *         description: Price list entry not found
+ */
+router.get('/:id', restrictTo('Admin'), priceListController.getPriceList);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   put:
+ *     summary: Update a price list entry
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               mrp:
+ *                 type: number
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *               distributorId:
+ *                 type: string
+ *               shopType:
+ *                 type: string
+ *                 enum: [Retailer, Whole Seller]
+ *               notes:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Price list entry updated
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Price list entry not found
+ */
+router.put(
+  '/:id',
+  restrictTo('Admin'),
+  [
+    check('rate', 'Rate must be a non-negative number').optional().isFloat({ min: 0 }),
+    check('mrp', 'MRP must be a non-negative number').optional().isFloat({ min: 0 }),
+    check('effectiveFrom', 'Effective from must be a valid date').optional().isISO8601(),
+    check('effectiveTo', 'Effective to must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+    check('distributorId', 'Invalid distributor ID').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+    check('shopType', 'Shop type must be Retailer or Whole Seller').optional({ nullable: true, checkFalsy: true }).isIn(['Retailer', 'Whole Seller']),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean()
+  ],
+  priceListController.updatePriceList
+);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   delete:
+ *     summary: Deactivate a price list entry
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price list entry deactivated
+ *       404:
+ *         description: Price list entry not found
+ */
+router.delete('/:id', restrictTo('Admin'), priceListController.deletePriceList);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { check } = require('express-validator');
 const productController = require('../controllers/productController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -64,6 +64,7 @@ router.use(protect);
  */
 router.post(
   '/',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     check('brandName', 'Brand name is required').not().isEmpty()
@@ -154,6 +155,7 @@ router.get('/:id', productController.getProduct);
  */
 router.put(
   '/:id',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     check('brandName', 'Brand name is required if provided').optional().not().isEmpty()
@@ -186,7 +188,7 @@ router.put(
  *       404:
  *         description: Product not found
  */
-router.delete('/:id', restrictTo('Admin'), productController.deleteProduct);
+router.delete('/:id', requirePermission('godown'), restrictTo('Admin'), productController.deleteProduct);
 
 /**
  * @swagger
@@ -237,6 +239,7 @@ router.delete('/:id', restrictTo('Admin'), productController.deleteProduct);
  */
 router.post(
   '/:id/variants',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     check('name', 'Variant name is required').not().isEmpty()
@@ -292,6 +295,7 @@ router.post(
  */
 router.put(
   '/:id/variants/:variantId',
+  requirePermission('godown'),
   restrictTo('Admin'),
   productController.updateVariant
 );
@@ -343,6 +347,7 @@ router.put(
  */
 router.post(
   '/:id/variants/:variantId/sizes',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     check('name', 'Size name is required').not().isEmpty()
@@ -404,6 +409,7 @@ router.post(
  */
 router.put(
   '/:id/variants/:variantId/sizes/:sizeId',
+  requirePermission('godown'),
   restrictTo('Admin'),
   productController.updateSize
 );
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const retailerShopActivityController = require('../controllers/retailerShopActivityController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 const { check, param } = require('express-validator');
 
 /**
@@ -143,7 +143,8 @@ router.post(
 router.get(
   '/',
   protect,
-  restrictTo('Admin', 'Mid-Level Manager'),
+  requirePermission('marketing'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'),
   retailerShopActivityController.getAllActivities
 );
 
@@ -1,12 +1,13 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const salesInquiryController = require('../controllers/salesInquiryController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('sales'));
 
 /**
  * @swagger
@@ -160,6 +161,68 @@ router.get('/user', salesInquiryController.getUserSalesInquiries);
  */
 router.get('/:id', salesInquiryController.getSalesInquiry);
 
+/**
+ * @swagger
+ * /api/sales-inquiries/number/{inquiryNumber}:
+ *   get:
+ *     summary: Get a sales inquiry by inquiry number
+ *     description: >
+ *       Numbers contain slashes (e.g. INQ/2026-27/00042). Send them as they are or URL-encoded.
+ *     tags: [Sales Inquiries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inquiryNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: INQ/2026-27/00042
+ *     responses:
+ *       200:
+ *         description: Same response as lookup by ID
+ *       404:
+ *         description: Sales inquiry not found
+ */
+router.get('/number/:inquiryNumber(*)', salesInquiryController.getSalesInquiry);
+
+/**
+ * @swagger
+ * /api/sales-inquiries/{id}/pdf:
+ *   get:
+ *     summary: Download the delivery challan of a dispatched sales inquiry
+ *     description: >
+ *       PDF on the company letterhead (COMPANY_* settings) with the products, dispatch
+ *       date, vehicle and tracking number, for the Godown Incharge to hand to the driver.
+ *     tags: [Sales Inquiries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sales inquiry ID
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Inquiry has not been dispatched
+ *       404:
+ *         description: Sales inquiry not found
+ */
+router.get(
+  '/:id/pdf',
+  [param('id', 'Invalid sales inquiry ID').isMongoId()],
+  salesInquiryController.getSalesInquiryPdf
+);
+
 /**
  * @swagger
  * /api/sales-inquiries/{id}:
@@ -206,7 +269,7 @@ router.get('/:id', salesInquiryController.getSalesInquiry);
  */
 router.patch(
   '/:id',
-  restrictTo('Administrator', 'Admin', 'Mid-Level Manager'),
+  restrictTo('Administrator', 'Admin', 'Mid-Level Manager', 'Sub Admin'),
   [
     param('id', 'Invalid sales inquiry ID').isMongoId(),
     check('status', 'Status is required').notEmpty(),
@@ -260,7 +323,7 @@ router.patch(
  */
 router.patch(
   '/:id/comment',
-  restrictTo('Mid-Level Manager', 'Administrator', 'Admin'),
+  restrictTo('Mid-Level Manager', 'Administrator', 'Admin', 'Sub Admin'),
   [
     param('id', 'Invalid sales inquiry ID').isMongoId(),
     check('comment', 'Comment is required').notEmpty()
@@ -1,13 +1,14 @@
 const express = require('express');
 const { check } = require('express-validator');
 const shopController = require('../controllers/shopController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 const mobileRouter = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('distributors'));
 mobileRouter.use(protect);
 
 /**
@@ -68,14 +69,16 @@ mobileRouter.use(protect);
  */
 router.post(
   '/',
-  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff', 'Sub Admin'),
   [
     check('name', 'Shop name is required').not().isEmpty(),
     check('ownerName', 'Shop owner name is required').not().isEmpty(),
     check('address', 'Shop address is required').not().isEmpty(),
     check('type', 'Shop type must be either Retailer or Whole Seller')
       .isIn(['Retailer', 'Whole Seller']),
-    check('distributorId', 'Distributor ID is required').isMongoId()
+    check('distributorId', 'Distributor ID is required').isMongoId(),
+    check('location.latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('location.longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   shopController.addShop
 );
@@ -113,7 +116,7 @@ router.post(
  */
 router.get(
   '/distributor/:distributorId',
-  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff', 'Sub Admin'),
   shopController.getShopsByDistributor
 );
 
@@ -144,7 +147,7 @@ router.get(
  */
 router.get(
   '/:id',
-  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff', 'Sub Admin'),
   shopController.getShopById
 );
 
@@ -200,7 +203,7 @@ router.get(
  */
 router.put(
   '/:id',
-  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff', 'Sub Admin'),
   [
     check('name', 'Shop name is required if provided').optional().not().isEmpty(),
     check('ownerName', 'Shop owner name is required if provided').optional().not().isEmpty(),
@@ -210,7 +213,9 @@ router.put(
       .isIn(['Retailer', 'Whole Seller']),
     check('distributorId', 'Distributor ID must be valid if provided')
       .optional()
-      .isMongoId()
+      .isMongoId(),
+    check('location.latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('location.longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   shopController.updateShop
 );
@@ -242,7 +247,7 @@ router.put(
  */
 router.delete(
   '/:id',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'),
   shopController.deleteShop
 );
 
@@ -282,7 +287,7 @@ router.delete(
  */
 router.get(
   '/pending',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'),
   shopController.getPendingShops
 );
 
@@ -334,7 +339,7 @@ router.get(
  */
 router.patch(
   '/:id/approval',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'),
   [
     check('approvalStatus', 'Approval status must be either Approved or Rejected')
       .isIn(['Approved', 'Rejected'])
@@ -471,7 +476,9 @@ mobileRouter.post(
     check('address', 'Shop address is required').not().isEmpty(),
     check('type', 'Shop type must be either Retailer or Whole Seller')
       .isIn(['Retailer', 'Whole Seller']),
-    check('distributorId', 'Distributor ID is required').isMongoId()
+    check('distributorId', 'Distributor ID is required').isMongoId(),
+    check('location.latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('location.longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   shopController.addShop
 );
@@ -558,6 +565,6 @@ module.exports = {
 // Workaround for pending shops due to route order issue
 router.get(
   '/admin/pending',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'),
   shopController.getPendingShops
 );
@@ -1,12 +1,13 @@
 const express = require('express');
 const { query, check } = require('express-validator');
 const staffActivityController = require('../controllers/staffActivityController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('staff'));
 
 /**
  * @swagger
@@ -142,7 +143,7 @@ router.post(
  */
 router.get(
   '/',
-  restrictTo('Mid-Level Manager'),
+  restrictTo('Mid-Level Manager', 'Sub Admin'),
   staffActivityController.getStaffActivities
 );
 
@@ -188,7 +189,7 @@ router.get(
  */
 router.get(
   '/download',
-  restrictTo('Mid-Level Manager'),
+  restrictTo('Mid-Level Manager', 'Sub Admin'),
   [
     query('staffId', 'Staff ID is required').not().isEmpty().isMongoId(),
     query('date', 'Date is required in YYYY-MM-DD format').isDate()
@@ -2,12 +2,13 @@ const express = require('express');
 const { check } = require('express-validator');
 const router = express.Router();
 const staffDistributorAssignmentController = require('../controllers/staffDistributorAssignmentController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 
 // Routes for admin panel - temporarily removed restrictTo to fix the error
 router.post(
   '/',
   protect,
+  requirePermission('staff'),
   [
     check('staffId', 'Staff ID is required').not().isEmpty(),
     check('distributorIds', 'Distributor IDs must be an array').isArray()
@@ -18,18 +19,21 @@ router.post(
 router.get(
   '/',
   protect,
+  requirePermission('staff'),
   staffDistributorAssignmentController.getAllStaffAssignments
 );
 
 router.get(
   '/:staffId',
   protect,
+  requirePermission('staff'),
   staffDistributorAssignmentController.getStaffAssignment
 );
 
 router.patch(
   '/:staffId/remove-distributors',
   protect,
+  requirePermission('staff'),
   [
     check('distributorIds', 'Distributor IDs must be an array').isArray()
   ],
@@ -39,6 +43,7 @@ router.patch(
 router.delete(
   '/:id',
   protect,
+  requirePermission('staff'),
   staffDistributorAssignmentController.deleteStaffAssignment
 );
 
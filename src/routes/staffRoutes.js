@@ -1,7 +1,7 @@
 const express = require('express');
 const { check } = require('express-validator');
 const staffController = require('../controllers/staffController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -111,7 +111,55 @@ const router = express.Router();
  *       403:
  *         description: Forbidden
  */
-router.get('/', protect, staffController.getAllStaff);
+router.get('/', protect, requirePermission('staff'), staffController.getAllStaff);
+
+/**
+ * @swagger
+ * /api/staff/locked:
+ *   get:
+ *     summary: Get accounts currently locked after repeated failed logins
+ *     tags: [Staff Management]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Locked accounts with their lock expiry and lock count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                       loginAttempts:
+ *                         type: integer
+ *                       lockUntil:
+ *                         type: string
+ *                         format: date-time
+ *                       lockCount:
+ *                         type: integer
+ *                         description: Consecutive locks; each one doubles the lock window
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/locked', protect, requirePermission('staff'), restrictTo('Admin'), staffController.getLockedAccounts);
 
 /**
  * @swagger
@@ -147,7 +195,7 @@ router.get('/', protect, staffController.getAllStaff);
  *       404:
  *         description: Staff member not found
  */
-router.get('/:id', protect, staffController.getStaffById);
+router.get('/:id', protect, requirePermission('staff'), staffController.getStaffById);
 
 /**
  * @swagger
@@ -184,6 +232,9 @@ router.get('/:id', protect, staffController.getStaffById);
  *                 type: string
  *                 enum: [Admin, Marketing Staff, Mid-Level Manager, Godown Incharge]
  *                 description: Staff member's role
+ *               phone:
+ *                 type: string
+ *                 description: Mobile number, used for password reset codes by SMS
  *     responses:
  *       201:
  *         description: Staff member created successfully
@@ -207,11 +258,13 @@ router.post(
   '/',
   [
     protect,
+    requirePermission('staff'),
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Password must be at least 8 characters').isLength({ min: 8 }),
     check('role', 'Valid role is required')
-      .isIn(['Admin', 'Marketing Staff', 'Mid-Level Manager', 'Godown Incharge'])
+      .isIn(['Admin', 'Marketing Staff', 'Mid-Level Manager', 'Godown Incharge']),
+    check('phone', 'Phone must be a valid mobile number').optional().isMobilePhone('any')
   ],
   staffController.createStaff
 );
@@ -252,6 +305,9 @@ router.post(
  *               active:
  *                 type: boolean
  *                 description: Whether the staff member is active
+ *               phone:
+ *                 type: string
+ *                 description: Mobile number, used for password reset codes by SMS
  *     responses:
  *       200:
  *         description: Staff member updated successfully
@@ -277,12 +333,14 @@ router.put(
   '/:id',
   [
     protect,
+    requirePermission('staff'),
     check('name', 'Name is required if provided').optional().not().isEmpty(),
     check('email', 'Please include a valid email if provided').optional().isEmail(),
     check('role', 'Valid role is required if provided')
       .optional()
       .isIn(['Admin', 'Marketing Staff', 'Mid-Level Manager', 'Godown Incharge']),
-    check('active', 'Active status must be a boolean if provided').optional().isBoolean()
+    check('active', 'Active status must be a boolean if provided').optional().isBoolean(),
+    check('phone', 'Phone must be a valid mobile number').optional().isMobilePhone('any')
   ],
   staffController.updateStaff
 );
@@ -331,11 +389,42 @@ router.post(
   '/:id/reset-password',
   [
     protect,
+    requirePermission('staff'),
     check('newPassword', 'Password must be at least 8 characters').isLength({ min: 8 })
   ],
   staffController.resetStaffPassword
 );
 
+/**
+ * @swagger
+ * /api/staff/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after repeated failed logins
+ *     description: Clears the lock, the failed attempt count and the backoff level.
+ *     tags: [Staff Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Staff ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *       400:
+ *         description: Account is not locked
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Staff member not found
+ */
+router.post('/:id/unlock', protect, requirePermission('staff'), restrictTo('Admin'), staffController.unlockStaffAccount);
+
 /**
  * @swagger
  * /api/staff/{id}/toggle-status:
@@ -372,7 +461,7 @@ router.post(
  *       404:
  *         description: Staff member not found
  */
-router.patch('/:id/toggle-status', protect, staffController.toggleStaffStatus);
+router.patch('/:id/toggle-status', protect, requirePermission('staff'), staffController.toggleStaffStatus);
 
 /**
  * @swagger
@@ -399,7 +488,7 @@ router.patch('/:id/toggle-status', protect, staffController.toggleStaffStatus);
  *       404:
  *         description: Staff member not found
  */
-router.delete('/:id', protect, staffController.deleteStaff);
+router.delete('/:id', protect, requirePermission('staff'), staffController.deleteStaff);
 
 /**
  * @swagger
@@ -433,7 +522,7 @@ router.delete('/:id', protect, staffController.deleteStaff);
  *       403:
  *         description: Forbidden
  */
-router.get('/dashboard/stats', protect, staffController.getStaffStats);
+router.get('/dashboard/stats', protect, requirePermission('dashboard'), staffController.getStaffStats);
 
 /**
  * @swagger
@@ -479,6 +568,6 @@ router.get('/dashboard/stats', protect, staffController.getStaffStats);
  *       401:
  *         description: Not authorized
  */
-router.get('/by-role/:role', protect, staffController.getStaffByRole);
+router.get('/by-role/:role', protect, requirePermission('staff'), staffController.getStaffByRole);
 
 module.exports = router; 
\ No newline at end of file
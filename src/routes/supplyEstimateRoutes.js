@@ -1,12 +1,13 @@
 const express = require('express');
 const { check } = require('express-validator');
 const supplyEstimateController = require('../controllers/supplyEstimateController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('godown'));
 
 /**
  * @swagger
@@ -192,6 +193,31 @@ router.get('/', supplyEstimateController.getAllSupplyEstimates);
  */
 router.get('/:id', supplyEstimateController.getSupplyEstimateById);
 
+/**
+ * @swagger
+ * /api/supply-estimates/number/{estimateNumber}:
+ *   get:
+ *     summary: Get a supply estimate by estimate number
+ *     description: >
+ *       Numbers contain slashes (e.g. SE/2026-27/00042). Send them as they are or URL-encoded.
+ *     tags: [Supply Estimates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: estimateNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: SE/2026-27/00042
+ *     responses:
+ *       200:
+ *         description: Same response as lookup by ID
+ *       404:
+ *         description: Supply estimate not found
+ */
+router.get('/number/:estimateNumber(*)', supplyEstimateController.getSupplyEstimateById);
+
 /**
  * @swagger
  * /api/supply-estimates/{id}/approve:
@@ -228,7 +254,7 @@ router.get('/:id', supplyEstimateController.getSupplyEstimateById);
  */
 router.patch(
   '/:id/approve',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'),
   supplyEstimateController.approveSupplyEstimate
 );
 
@@ -271,7 +297,7 @@ router.patch(
  */
 router.patch(
   '/:id/reject',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'),
   [check('reason', 'Reason for rejection is required').not().isEmpty()],
   supplyEstimateController.rejectSupplyEstimate
 );
@@ -340,7 +366,7 @@ router.get('/distributor/:distributorId', supplyEstimateController.getEstimatesB
  */
 router.get(
   '/staff/:staffId',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'),
   supplyEstimateController.getEstimatesByStaffId
 );
 
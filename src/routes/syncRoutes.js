@@ -0,0 +1,91 @@
+const express = require('express');
+const { check } = require('express-validator');
+const syncController = require('../controllers/syncController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const config = require('../config/config');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Mobile Sync
+ *   description: Offline batch sync for the mobile app
+ */
+
+/**
+ * @swagger
+ * /api/mobile/sync:
+ *   post:
+ *     summary: Apply operations queued offline and fetch server changes since the last sync
+ *     description: >
+ *       Operations are applied in order through the same validation and rules as the
+ *       matching online endpoints. Each operation id is applied at most once; sending it
+ *       again returns the stored result with replayed set to true. If an operation is not
+ *       applied (Conflict, Rejected, Failed or InProgress), the operations after it are
+ *       skipped and must be sent again. Marketing Staff only.
+ *     tags: [Mobile Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cursor:
+ *                 type: string
+ *                 description: Cursor from the previous sync; omit to receive everything
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id
+ *                     - type
+ *                     - timestamp
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: Id generated by the app, e.g. a UUID
+ *                     type:
+ *                       type: string
+ *                       enum: [punch-in, punch-out, retailer-shop-activity, fresh-order, damage-claim]
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the action happened on the device
+ *                     payload:
+ *                       type: object
+ *                       description: Request body of the matching online endpoint
+ *     responses:
+ *       200:
+ *         description: >
+ *           Per-operation results (Applied, Conflict, Rejected, Failed, Skipped or InProgress),
+ *           changed records per collection, the next cursor and whether more changes are waiting
+ *       400:
+ *         description: Malformed batch or cursor
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Role not allowed
+ */
+router.post(
+  '/',
+  protect,
+  restrictTo('Marketing Staff'),
+  [
+    check('cursor', 'Cursor must be a string').optional().isString(),
+    check('operations', `Operations must be an array of at most ${config.sync.maxOperations} items`)
+      .optional()
+      .isArray({ max: config.sync.maxOperations }),
+    check('operations.*.id', 'Each operation needs an id of up to 100 characters').isString().isLength({ min: 1, max: 100 }),
+    check('operations.*.type', 'Each operation needs a type').isString().notEmpty(),
+    check('operations.*.timestamp', 'Each operation needs an ISO 8601 timestamp').isISO8601(),
+    check('operations.*.payload', 'Operation payload must be an object').optional().isObject()
+  ],
+  syncController.sync
+);
+
+module.exports = router;
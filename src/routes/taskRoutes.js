@@ -1,12 +1,23 @@
 const express = require('express');
-const { check, param, body } = require('express-validator');
+const { check, param, query, body } = require('express-validator');
 const taskController = require('../controllers/taskController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const taskCommentController = require('../controllers/taskCommentController');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
+const multer = require('multer');
+const { bindAuditContext } = require('../utils/audit');
 
 const router = express.Router();
 
+// Configure multer for completion photos
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('tasks'));
 
 // Define exact path routes first with explicit paths
 const internalTaskPath = '/internal-task'; // Define the exact path
@@ -79,6 +90,17 @@ const mobilePath = '/mobile'; // Define the exact path
  *                     quantity:
  *                       type: number
  *                 description: Multiple items for Godown Incharge tasks
+ *               checklist:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                     required:
+ *                       type: boolean
+ *                       default: true
+ *                 description: Steps the assignee must answer when completing the task
  *               deadline:
  *                 type: string
  *                 format: date-time
@@ -119,7 +141,9 @@ router.post(
     check('quantity', 'Quantity must be a positive number').optional().isNumeric().isInt({ min: 1 }),
     check('deadline', 'Deadline must be a valid date').optional().isISO8601(),
     check('assignedDate', 'Assigned date must be a valid date').optional().isISO8601(),
-    check('items', 'Items must be an array of product information').optional().isArray()
+    check('items', 'Items must be an array of product information').optional().isArray(),
+    check('checklist', 'Checklist must be an array of items').optional().isArray(),
+    check('checklist.*.label', 'Checklist item label is required').optional().not().isEmpty()
   ],
   taskController.createTask
 );
@@ -138,8 +162,13 @@ router.post(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Pending, In Progress, Completed]
- *         description: Filter by task status
+ *           enum: [Pending, In Progress, Completed, Overdue]
+ *         description: Filter by task status. Overdue matches open tasks past their deadline.
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: true for only overdue tasks, false to exclude them. Every task carries isOverdue and derivedStatus.
  *       - in: query
  *         name: assignedTo
  *         schema:
@@ -278,6 +307,17 @@ router.get('/', taskController.getTasks);
  *                     quantity:
  *                       type: number
  *                 description: Multiple items for Godown Incharge tasks
+ *               checklist:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                     required:
+ *                       type: boolean
+ *                       default: true
+ *                 description: Steps the assignee must answer when completing the task
  *               deadline:
  *                 type: string
  *                 format: date-time
@@ -356,7 +396,9 @@ router.post(
     check('quantity', 'Quantity must be a positive number').optional().isNumeric().isInt({ min: 1 }),
     check('deadline', 'Deadline must be a valid date').optional().isISO8601(),
     check('assignedDate', 'Assigned date must be a valid date').optional().isISO8601(),
-    check('items', 'Items must be an array of product information').optional().isArray()
+    check('items', 'Items must be an array of product information').optional().isArray(),
+    check('checklist', 'Checklist must be an array of items').optional().isArray(),
+    check('checklist.*.label', 'Checklist item label is required').optional().not().isEmpty()
   ],
   taskController.createMobileAppTask
 );
@@ -561,7 +603,12 @@ router.get('/:taskId', taskController.getTask);
  * /tasks/{taskId}:
  *   patch:
  *     summary: Update task status
- *     description: Update the status of a task
+ *     description: >
+ *       Move a task between Pending, In Progress and Completed. The creator or an Admin
+ *       can complete any task here, and anyone can complete a task without an assignee or
+ *       checklist, which then waits for the creator's review. An assignee completing a task
+ *       with a checklist gets a 400 and must use POST /tasks/{taskId}/complete, which
+ *       records the answers, photos and location.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -592,7 +639,7 @@ router.get('/:taskId', taskController.getTask);
  *       200:
  *         description: Task status updated
  *       400:
- *         description: Invalid status
+ *         description: Invalid status, or a checklist task that must be completed with /complete
  *       401:
  *         description: Not authenticated
  *       403:
@@ -611,6 +658,338 @@ router.patch(
   taskController.updateTaskStatus
 );
 
+/**
+ * @swagger
+ * /tasks/{taskId}/punch-in:
+ *   post:
+ *     summary: Punch in for a task
+ *     description: Starts a punch on the task. Only the assigned staff member can punch.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               location:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Punched in
+ *       400:
+ *         description: Already punched in
+ *       403:
+ *         description: Not the assignee
+ *       404:
+ *         description: Task not found
+ */
+router.post(
+  '/:taskId/punch-in',
+  [param('taskId', 'Task ID must be a valid MongoDB ID').isMongoId()],
+  taskController.punchIn
+);
+
+/**
+ * @swagger
+ * /tasks/{taskId}/punch-out:
+ *   post:
+ *     summary: Punch out from a task
+ *     description: Closes the open punch on the task. Only the assigned staff member can punch.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               location:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Punched out
+ *       400:
+ *         description: Already punched out or no open punch
+ *       403:
+ *         description: Not the assignee
+ *       404:
+ *         description: Task not found
+ */
+router.post(
+  '/:taskId/punch-out',
+  [param('taskId', 'Task ID must be a valid MongoDB ID').isMongoId()],
+  taskController.punchOut
+);
+
+/**
+ * @swagger
+ * /tasks/{taskId}/complete:
+ *   post:
+ *     summary: Complete a task
+ *     description: >
+ *       Submits the completion evidence and marks the task Completed, pending the
+ *       creator's review. Every checklist item must be answered and required items
+ *       checked. Godown tasks must report the actual quantity of each item (items)
+ *       or of the single product (actualQuantity). At least TASK_MIN_COMPLETION_PHOTOS
+ *       photos (default 1) and a location are required. Only the assignee can complete.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               checklist:
+ *                 type: string
+ *                 description: 'JSON array of { itemId, checked, note }'
+ *               items:
+ *                 type: string
+ *                 description: 'JSON array of { itemId, actualQuantity }'
+ *               actualQuantity:
+ *                 type: number
+ *               location:
+ *                 type: string
+ *                 description: 'JSON object { latitude, longitude, accuracy }'
+ *               notes:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Task completed
+ *       400:
+ *         description: Missing checklist answers, quantities, photos or location, or task already completed
+ *       403:
+ *         description: Not the assignee
+ *       404:
+ *         description: Task not found
+ */
+router.post(
+  '/:taskId/complete',
+  bindAuditContext(upload.array('photos', 5)),
+  [
+    param('taskId', 'Task ID must be a valid MongoDB ID').isMongoId(),
+    check('notes', 'Notes must be a string').optional().isString()
+  ],
+  taskController.completeTask
+);
+
+/**
+ * @swagger
+ * /tasks/{taskId}/review:
+ *   post:
+ *     summary: Accept or reopen a completed task
+ *     description: >
+ *       The task creator (or an Admin) reviews the completion. Reopening needs a
+ *       comment and sends the task back to the assignee as In Progress.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, reopen]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review recorded
+ *       400:
+ *         description: Task not completed, already accepted, or reopened without a comment
+ *       403:
+ *         description: Not the task creator
+ *       404:
+ *         description: Task not found
+ */
+router.post(
+  '/:taskId/review',
+  [
+    param('taskId', 'Task ID must be a valid MongoDB ID').isMongoId(),
+    check('action', 'Action must be accept or reopen').isIn(['accept', 'reopen']),
+    check('comment', 'Comment must be a string').optional().isString()
+  ],
+  taskController.reviewTask
+);
+
+/**
+ * @swagger
+ * /tasks/{taskId}/comments:
+ *   get:
+ *     summary: Get a task's comment thread
+ *     description: >
+ *       Comments and system entries (status changes, reviews, punch-in/out), oldest first.
+ *       Marketing Staff and Godown Incharge only see threads of tasks they created or are assigned to.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Comment, System]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated thread
+ *       403:
+ *         description: Not authorized to access this task
+ *       404:
+ *         description: Task not found
+ *   post:
+ *     summary: Comment on a task
+ *     description: >
+ *       Mentioned users get a Task Mention notification. The task's assignee and creator
+ *       get a Task Comment notification unless they wrote or are mentioned in the comment.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               mentions:
+ *                 type: string
+ *                 description: Comma-separated user IDs (a JSON array is accepted with application/json)
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *       400:
+ *         description: Empty comment or unknown mentioned user
+ *       403:
+ *         description: Not authorized to access this task
+ *       404:
+ *         description: Task not found
+ */
+router.get(
+  '/:taskId/comments',
+  [
+    param('taskId', 'Task ID must be a valid MongoDB ID').isMongoId(),
+    query('type', 'Type must be Comment or System').optional().isIn(['Comment', 'System']),
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  taskCommentController.getComments
+);
+
+router.post(
+  '/:taskId/comments',
+  bindAuditContext(upload.array('attachments', 5)),
+  [
+    param('taskId', 'Task ID must be a valid MongoDB ID').isMongoId(),
+    check('body', 'Comment cannot be more than 2000 characters').optional().isLength({ max: 2000 })
+  ],
+  taskCommentController.addComment
+);
+
+/**
+ * @swagger
+ * /tasks/{taskId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Only the author or an Admin can delete a comment. System entries are kept.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       400:
+ *         description: System entries cannot be deleted
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Comment not found
+ */
+router.delete(
+  '/:taskId/comments/:commentId',
+  [
+    param('taskId', 'Task ID must be a valid MongoDB ID').isMongoId(),
+    param('commentId', 'Comment ID must be a valid MongoDB ID').isMongoId()
+  ],
+  taskCommentController.deleteComment
+);
+
 /**
  * @swagger
  * /tasks/{taskId}:
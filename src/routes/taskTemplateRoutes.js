@@ -0,0 +1,303 @@
+const express = require('express');
+const { check, param, query } = require('express-validator');
+const taskTemplateController = require('../controllers/taskTemplateController');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Recurring tasks are set up by admins and managers
+router.use(protect);
+router.use(requirePermission('tasks'));
+router.use(restrictTo('Admin', 'Mid-Level Manager', 'Sub Admin'));
+
+const idValidator = param('id', 'Task template ID must be valid').isMongoId();
+
+const templateValidators = [
+  check('assignedTo', 'Assigned To must be a valid MongoDB ID').optional().isMongoId(),
+  check('distributorId', 'Distributor ID must be a valid MongoDB ID').optional().isMongoId(),
+  check('quantity', 'Quantity must be a positive number').optional().isInt({ min: 1 }),
+  check('items', 'Items must be an array of product information').optional().isArray(),
+  check('checklist', 'Checklist must be an array of items').optional().isArray(),
+  check('checklist.*.label', 'Checklist item label is required').optional().not().isEmpty(),
+  check('deadlineHours', 'Deadline hours must be a positive number').optional().isInt({ min: 1 }),
+  check('recurrence.frequency', 'Frequency must be daily, weekly or monthly').optional().isIn(['daily', 'weekly', 'monthly']),
+  check('recurrence.daysOfWeek.*', 'Days of week must be 0 (Sunday) to 6 (Saturday)').optional().isInt({ min: 0, max: 6 }),
+  check('recurrence.dayOfMonth', 'Day of month must be 1 to 28').optional().isInt({ min: 1, max: 28 }),
+  check('recurrence.time', 'Time must be in HH:mm format').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid date').optional().isISO8601()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Task Templates
+ *   description: Recurring tasks created automatically on a schedule
+ */
+
+/**
+ * @swagger
+ * /api/task-templates:
+ *   post:
+ *     summary: Create a recurring task template
+ *     description: >
+ *       The template creates a Pending task for the assignee at each occurrence. It copies
+ *       the template's fields and links back through template and occurrenceDate.
+ *       Weekly templates need daysOfWeek, and monthly templates need dayOfMonth (1-28).
+ *     tags: [Task Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - staffRole
+ *               - assignedTo
+ *               - recurrence
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               staffRole:
+ *                 type: string
+ *                 enum: [Marketing Staff, Godown Incharge, Mid-Level Manager]
+ *               assignedTo:
+ *                 type: string
+ *               distributorId:
+ *                 type: string
+ *               brand:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               checklist:
+ *                 type: array
+ *                 description: Copied to each task; see POST /api/tasks/{taskId}/complete
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                     required:
+ *                       type: boolean
+ *               deadlineHours:
+ *                 type: integer
+ *                 description: Deadline of each task, in hours after it is created
+ *               recurrence:
+ *                 type: object
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly, monthly]
+ *                   daysOfWeek:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   dayOfMonth:
+ *                     type: integer
+ *                   time:
+ *                     type: string
+ *                     example: '09:00'
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Template created, with nextRunAt set
+ *       400:
+ *         description: Invalid template or assignee
+ */
+router.post(
+  '/',
+  [
+    check('title', 'Title is required').not().isEmpty(),
+    check('staffRole', 'Staff role must be Marketing Staff, Godown Incharge, or Mid-Level Manager')
+      .isIn(['Marketing Staff', 'Godown Incharge', 'Mid-Level Manager']),
+    check('assignedTo', 'Assigned To is required').isMongoId(),
+    check('recurrence.frequency', 'Recurrence frequency is required').not().isEmpty(),
+    ...templateValidators
+  ],
+  taskTemplateController.createTemplate
+);
+
+/**
+ * @swagger
+ * /api/task-templates:
+ *   get:
+ *     summary: List task templates
+ *     tags: [Task Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: staffRole
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: paused
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of templates
+ */
+router.get(
+  '/',
+  [
+    query('staffRole', 'Invalid staff role').optional().isIn(['Marketing Staff', 'Godown Incharge', 'Mid-Level Manager']),
+    query('assignedTo', 'Assigned To must be valid').optional().isMongoId(),
+    query('paused', 'paused must be a boolean').optional().isBoolean(),
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  taskTemplateController.getTemplates
+);
+
+/**
+ * @swagger
+ * /api/task-templates/{id}:
+ *   get:
+ *     summary: Get a template and the tasks most recently created from it
+ *     tags: [Task Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template with recentTasks
+ *       404:
+ *         description: Task template not found
+ *   put:
+ *     summary: Update a template
+ *     description: >
+ *       Only future tasks use the changes. Tasks already created are not touched.
+ *       Sending recurrence replaces it entirely. A schedule change moves nextRunAt.
+ *     tags: [Task Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       400:
+ *         description: Invalid template or assignee
+ *       404:
+ *         description: Task template not found
+ *   delete:
+ *     summary: Delete a template
+ *     description: Tasks already created from the template are kept.
+ *     tags: [Task Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       404:
+ *         description: Task template not found
+ */
+router.get('/:id', [idValidator], taskTemplateController.getTemplate);
+
+router.put(
+  '/:id',
+  [
+    idValidator,
+    check('title', 'Title cannot be empty').optional().not().isEmpty(),
+    check('staffRole', 'Staff role must be Marketing Staff, Godown Incharge, or Mid-Level Manager')
+      .optional()
+      .isIn(['Marketing Staff', 'Godown Incharge', 'Mid-Level Manager']),
+    ...templateValidators
+  ],
+  taskTemplateController.updateTemplate
+);
+
+router.delete('/:id', [idValidator], taskTemplateController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/task-templates/{id}/pause:
+ *   post:
+ *     summary: Pause a template
+ *     tags: [Task Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template paused
+ *       404:
+ *         description: Task template not found
+ */
+router.post('/:id/pause', [idValidator], taskTemplateController.pauseTemplate);
+
+/**
+ * @swagger
+ * /api/task-templates/{id}/resume:
+ *   post:
+ *     summary: Resume a paused template
+ *     description: Occurrences that fell while the template was paused are skipped.
+ *     tags: [Task Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template resumed
+ *       404:
+ *         description: Task template not found
+ */
+router.post('/:id/resume', [idValidator], taskTemplateController.resumeTemplate);
+
+module.exports = router;
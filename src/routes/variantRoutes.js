@@ -1,7 +1,7 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const variantController = require('../controllers/variantController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, restrictTo, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -101,6 +101,7 @@ router.get('/:id', variantController.getVariant);
  */
 router.post(
   '/',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     check('name', 'Name is required').not().isEmpty(),
@@ -162,6 +163,7 @@ router.post(
  */
 router.put(
   '/:id',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     param('id', 'Variant ID must be a valid MongoDB ID').isMongoId(),
@@ -198,6 +200,7 @@ router.put(
  */
 router.delete(
   '/:id',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     param('id', 'Variant ID must be a valid MongoDB ID').isMongoId()
@@ -246,6 +249,7 @@ router.delete(
  */
 router.post(
   '/:id/sizes',
+  requirePermission('godown'),
   restrictTo('Admin'),
   [
     param('id', 'Variant ID must be a valid MongoDB ID').isMongoId(),
@@ -0,0 +1,70 @@
+/**
+ * Give orders, sales inquiries and supply estimates created before document
+ * numbers were introduced a number from the counter, oldest first, in the
+ * financial year of their creation date. Run it once right after deploying,
+ * before many new documents are created, so numbers follow creation order.
+ * Damage claims keep the tracking IDs they were issued.
+ *
+ * Usage:
+ *   node src/scripts/backfillDocumentNumbers.js            # assign numbers
+ *   node src/scripts/backfillDocumentNumbers.js --dry-run  # count only
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Order = require('../models/Order');
+const SalesInquiry = require('../models/SalesInquiry');
+const SupplyEstimate = require('../models/SupplyEstimate');
+const { nextNumber } = require('../utils/documentNumbers');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Collections to number and the field each one uses
+const TARGETS = [
+  { model: Order, type: 'order', field: 'orderNumber' },
+  { model: SalesInquiry, type: 'salesInquiry', field: 'inquiryNumber' },
+  { model: SupplyEstimate, type: 'supplyEstimate', field: 'estimateNumber' }
+];
+
+/**
+ * Number one collection
+ * @param {Object} target - Entry from TARGETS
+ * @returns {Promise<Number>} - Documents numbered (or to be numbered on a dry run)
+ */
+const backfill = async ({ model, type, field }) => {
+  const query = { [field]: { $exists: false } };
+
+  if (dryRun) {
+    return model.countDocuments(query);
+  }
+
+  let numbered = 0;
+  const cursor = model.find(query).select('createdAt').sort({ createdAt: 1 }).lean().cursor();
+
+  for await (const doc of cursor) {
+    const number = await nextNumber(type, doc.createdAt || new Date());
+    // Bypass save hooks and timestamps; only the number changes
+    await model.updateOne({ _id: doc._id, [field]: { $exists: false } }, { $set: { [field]: number } }, { timestamps: false });
+    numbered++;
+  }
+
+  return numbered;
+};
+
+const backfillDocumentNumbers = async () => {
+  try {
+    await connectDB();
+    console.log(`✅ Connected to database${dryRun ? ' (dry run)' : ''}\n`);
+
+    for (const target of TARGETS) {
+      const count = await backfill(target);
+      console.log(`${target.model.modelName}: ${dryRun ? 'would number' : 'numbered'} ${count} document(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Document number backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+backfillDocumentNumbers();
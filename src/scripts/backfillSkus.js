@@ -0,0 +1,124 @@
+/**
+ * Resolve the brand/variant/size strings on historical line items to catalog
+ * SKUs and store the references alongside the display names. Strings that do
+ * not resolve are reported so they can be fixed in the catalog (see
+ * migrateCatalog.js --add-missing) or corrected by hand, then re-run.
+ *
+ * Usage:
+ *   node src/scripts/backfillSkus.js            # write references and report
+ *   node src/scripts/backfillSkus.js --dry-run  # report only
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Order = require('../models/Order');
+const SalesInquiry = require('../models/SalesInquiry');
+const DamageClaim = require('../models/DamageClaim');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const { loadCatalog, lookup } = require('../utils/catalog');
+
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+// Line item arrays to backfill and the field names they use
+const TARGETS = [
+  { model: Order, path: 'items', fields: { brand: 'productName' } },
+  { model: SalesInquiry, path: 'products', fields: { brand: 'brand', variant: 'variant', size: 'size' } },
+  { model: RetailerShopActivity, path: 'salesOrders', fields: { brand: 'brandName', variant: 'variant', size: 'size' } },
+  { model: DamageClaim, path: null, fields: { brand: 'brand', variant: 'variant', size: 'size' } }
+];
+
+/**
+ * Backfill one collection
+ * @param {Object} catalog - Result of loadCatalog
+ * @param {Object} target - Entry from TARGETS
+ * @param {Map} unresolved - Accumulates unresolvable strings
+ * @returns {Promise<Object>} - { documents, lines }
+ */
+const backfill = async (catalog, { model, path, fields }, unresolved) => {
+  const query = path
+    ? { [path]: { $elemMatch: { sku: { $exists: false } } } }
+    : { sku: { $exists: false } };
+
+  let operations = [];
+  let documents = 0;
+  let lines = 0;
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await model.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  const cursor = model.find(query).select(path || Object.values(fields).join(' ')).lean().cursor();
+
+  for await (const doc of cursor) {
+    const lineItems = path ? doc[path] || [] : [doc];
+    const update = {};
+
+    lineItems.forEach((line, index) => {
+      if (line.sku) return;
+
+      const item = {
+        brand: line[fields.brand],
+        variant: fields.variant ? line[fields.variant] : undefined,
+        size: fields.size ? line[fields.size] : undefined
+      };
+      const match = lookup(catalog, item);
+
+      if (match && match.sku) {
+        const prefix = path ? `${path}.${index}.` : '';
+        update[`${prefix}productId`] = match.productId;
+        update[`${prefix}sku`] = match.sku;
+        lines++;
+      } else {
+        const key = `${model.modelName}: ${[item.brand, item.variant, item.size].filter(Boolean).join(' / ')}`;
+        unresolved.set(key, (unresolved.get(key) || 0) + 1);
+      }
+    });
+
+    if (Object.keys(update).length > 0) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+      documents++;
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  return { documents, lines };
+};
+
+const backfillSkus = async () => {
+  try {
+    await connectDB();
+    console.log(`✅ Connected to database${dryRun ? ' (dry run)' : ''}\n`);
+
+    const catalog = await loadCatalog();
+    const unresolved = new Map();
+
+    for (const target of TARGETS) {
+      const { documents, lines } = await backfill(catalog, target, unresolved);
+      console.log(`${target.model.modelName}: linked ${lines} line(s) in ${documents} document(s)`);
+    }
+
+    if (unresolved.size === 0) {
+      console.log('\nAll line items resolved to a catalog SKU');
+    } else {
+      console.log(`\n${unresolved.size} unresolvable value(s) (occurrences):`);
+      [...unresolved.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([key, count]) => console.log(`  ${key} (${count})`));
+    }
+  } catch (error) {
+    console.error('❌ SKU backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+backfillSkus();
@@ -0,0 +1,171 @@
+/**
+ * Merge the legacy Brand/Variant collections into the canonical Product
+ * catalog, assign SKU ids (renumbering duplicates), and report brand/variant/size strings in
+ * transactional documents that do not match the catalog.
+ *
+ * Usage:
+ *   node src/scripts/migrateCatalog.js                # merge and report
+ *   node src/scripts/migrateCatalog.js --add-missing  # also add unmatched combinations to the catalog
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Brand = require('../models/Brand');
+const Variant = require('../models/Variant');
+const Product = require('../models/Product');
+const DamageClaim = require('../models/DamageClaim');
+const SalesInquiry = require('../models/SalesInquiry');
+const Task = require('../models/Task');
+const SupplyEstimate = require('../models/SupplyEstimate');
+const { syncBrand, syncVariant, findProductByBrand, loadCatalog, lookup } = require('../utils/catalog');
+
+const addMissing = process.argv.includes('--add-missing');
+
+/**
+ * Collect the distinct brand/variant/size combinations used by transactional documents
+ * @returns {Promise<Array>} - [{ brand, variant, size, source }]
+ */
+const collectTransactionalItems = async () => {
+  const combination = (brand, variant, size) => ({ brand, variant, size });
+  const distinct = (model, pipeline, source) => model.aggregate([
+    ...pipeline,
+    { $group: { _id: '$combo' } }
+  ]).then(rows => rows.map(row => ({ ...row._id, source })));
+
+  const results = await Promise.all([
+    distinct(DamageClaim, [
+      { $project: { combo: combination('$brand', '$variant', '$size') } }
+    ], 'DamageClaim'),
+    distinct(SalesInquiry, [
+      { $unwind: '$products' },
+      { $project: { combo: combination('$products.brand', '$products.variant', '$products.size') } }
+    ], 'SalesInquiry'),
+    distinct(Task, [
+      { $match: { brand: { $nin: [null, ''] } } },
+      { $project: { combo: combination('$brand', '$variant', '$size') } }
+    ], 'Task'),
+    distinct(Task, [
+      { $unwind: '$items' },
+      { $project: { combo: combination('$items.brand', '$items.variant', '$items.size') } }
+    ], 'Task items'),
+    distinct(SupplyEstimate, [
+      { $unwind: '$brands' },
+      { $unwind: '$brands.variants' },
+      { $unwind: '$brands.variants.sizes' },
+      { $project: { combo: combination('$brands.brand', '$brands.variants.variant', '$brands.variants.sizes.size') } }
+    ], 'SupplyEstimate')
+  ]);
+
+  return results.flat().filter(item => item.brand);
+};
+
+/**
+ * Add a brand/variant/size combination to the catalog
+ * @param {Object} item - { brand, variant, size }
+ */
+const addToCatalog = async ({ brand, variant, size }) => {
+  let product = await findProductByBrand(brand);
+  if (!product) {
+    product = new Product({ brandName: brand.trim(), variants: [] });
+  }
+  product.isActive = true;
+
+  const sameName = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+  let productVariant = product.variants.find(v => sameName(v.name, variant));
+  if (!productVariant) {
+    product.variants.push({ name: (variant || 'Standard').trim(), sizes: [] });
+    productVariant = product.variants[product.variants.length - 1];
+  }
+  productVariant.isActive = true;
+
+  if (size && !['n/a', 'na'].includes(size.trim().toLowerCase())) {
+    const productSize = productVariant.sizes.find(s => sameName(s.name, size));
+    if (productSize) {
+      productSize.isActive = true;
+    } else {
+      productVariant.sizes.push({ name: size.trim() });
+    }
+  }
+
+  await product.save();
+};
+
+const migrateCatalog = async () => {
+  try {
+    await connectDB();
+    console.log('✅ Connected to database\n');
+
+    // 1. Merge legacy brands and variants into the catalog
+    const brands = await Brand.find({});
+    for (const brand of brands) {
+      await syncBrand(brand, null, brand.createdBy);
+    }
+    console.log(`Merged ${brands.length} legacy brand(s)`);
+
+    const variants = await Variant.find({});
+    let skippedVariants = 0;
+    for (const variant of variants) {
+      const product = await syncVariant(variant, null, variant.createdBy);
+      if (!product) skippedVariants++;
+    }
+    console.log(`Merged ${variants.length - skippedVariants} legacy variant(s), skipped ${skippedVariants} without a brand`);
+
+    // 2. Assign SKU ids (the pre-validate hook fills in missing ones). Sizes
+    // sharing an id with an earlier size are cleared so they get a suffixed
+    // one; the unique SKU index cannot be built while duplicates remain.
+    const products = await Product.find({}).sort({ createdAt: 1 });
+    const seenSkus = new Set();
+    let assigned = 0;
+    let renumbered = 0;
+    for (const product of products) {
+      let missing = 0;
+      product.variants.forEach(variant => variant.sizes.forEach(size => {
+        if (size.sku && seenSkus.has(size.sku)) {
+          size.sku = undefined;
+          renumbered++;
+        }
+        if (size.sku) {
+          seenSkus.add(size.sku);
+        } else {
+          missing++;
+        }
+      }));
+      if (missing > 0) {
+        await product.save();
+        assigned += missing;
+        product.variants.forEach(variant => variant.sizes.forEach(size => seenSkus.add(size.sku)));
+      }
+    }
+    console.log(`Assigned ${assigned} SKU id(s), ${renumbered} of them replacing duplicates`);
+    await Product.syncIndexes();
+
+    // 3. Report transactional combinations that do not match the catalog
+    const catalog = await loadCatalog();
+    const items = await collectTransactionalItems();
+    const unmatched = items.filter(item => !lookup(catalog, item));
+
+    if (unmatched.length === 0) {
+      console.log('\nAll transactional brand/variant/size values match the catalog');
+    } else {
+      console.log(`\n${unmatched.length} unmatched combination(s):`);
+      unmatched.forEach(item => {
+        console.log(`  [${item.source}] ${item.brand} / ${item.variant || '-'} / ${item.size || '-'}`);
+      });
+
+      if (addMissing) {
+        for (const item of unmatched) {
+          await addToCatalog(item);
+        }
+        console.log(`\nAdded ${unmatched.length} combination(s) to the catalog`);
+      } else {
+        console.log('\nRe-run with --add-missing to add them to the catalog');
+      }
+    }
+  } catch (error) {
+    console.error('❌ Catalog migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrateCatalog();
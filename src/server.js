@@ -4,11 +4,16 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const path = require('path');
 const config = require('./config/config');
+// Loaded first: it registers the audit plugin, which only applies to models compiled after it
+const { unauditedModels } = require('./utils/audit');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
 const logger = require('./utils/logger');
 const { swaggerDocs } = require('./utils/swagger');
+const { auditContext } = require('./middleware/auditMiddleware');
+const { idempotency } = require('./middleware/idempotencyMiddleware');
+const { startPushWorker } = require('./utils/pushDelivery');
 
 // Debugging: Log configuration values to verify they are loaded from .env
 console.log('Configuration Loaded:');
@@ -30,6 +35,13 @@ const taskRoutes = require('./routes/taskRoutes');
 const staffRoutes = require('./routes/staffRoutes');
 const supplyEstimateRoutes = require('./routes/supplyEstimateRoutes');
 const mobileAppRoutes = require('./routes/mobileAppRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const syncRoutes = require('./routes/syncRoutes');
+const beatPlanRoutes = require('./routes/beatPlanRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const taskTemplateRoutes = require('./routes/taskTemplateRoutes');
 const brandRoutes = require('./routes/brandRoutes');
 const variantRoutes = require('./routes/variantRoutes');
 const productRoutes = require('./routes/productRoutes');
@@ -38,8 +50,21 @@ const { router: marketingActivityRoutes, mobileRouter: mobileMarketingActivityRo
 const retailerShopActivityRoutes = require('./routes/retailerShopActivityRoutes');
 const salesInquiryRoutes = require('./routes/salesInquiryRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const priceListRoutes = require('./routes/priceListRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 const staffDistributorAssignmentRoutes = require('./routes/staffDistributorAssignmentRoutes');
 
+// Scheduled jobs load the models they work on
+const { registerJobs } = require('./utils/jobs');
+const { startScheduler } = require('./utils/scheduler');
+
+// Every model is loaded by now; fail fast if one was compiled before the audit plugin
+const missingAudit = unauditedModels();
+if (missingAudit.length > 0) {
+  throw new Error(`Models compiled without audit hooks: ${missingAudit.join(', ')}. Require utils/audit before them.`);
+}
+
 // Create Express app
 const app = express();
 
@@ -86,7 +111,19 @@ const authLimiter = rateLimit({
   }
 });
 
+// Password reset requests send email/SMS, so keep them well below the login limit
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 reset requests per 15 minutes
+  message: {
+    success: false,
+    error: 'Too many password reset requests from this IP, please try again after 15 minutes'
+  }
+});
+
 // Standard middleware
+// Offline sync batches carry many operations, so they get a larger body limit
+app.use('/api/mobile/sync', express.json({ limit: config.sync.bodyLimit }));
 app.use(express.json({ limit: '10kb' })); // Body limit of 10kb
 app.use(express.urlencoded({ extended: false }));
 app.use(cors({
@@ -104,10 +141,19 @@ app.options('*', cors());
 // Add request logger middleware
 app.use(requestLogger);
 
+// Record who changed what for every state-changing request
+app.use(auditContext);
+
 // Reorganize route mounting to ensure mobile routes are properly accessible
 app.use('/api/auth/login', authLimiter); // Apply stricter rate limiting to login route
+app.use('/api/auth/forgot-password', passwordResetLimiter);
+app.use('/api/auth/reset-password', passwordResetLimiter);
 app.use('/api/auth', authRoutes);
 
+// Retried POSTs from the app with the same Idempotency-Key are answered from the stored response;
+// multipart uploads are checked on their routes, once multer has parsed them
+app.use('/api/mobile', idempotency);
+
 // Mount mobile routes first to ensure they take precedence
 app.use('/api/mobile', mobileAppRoutes);
 // Fix: Import freshOrderRoutes before using
@@ -115,6 +161,9 @@ const freshOrderRoutes = require('./routes/freshOrder');
 app.use('/api/mobile', freshOrderRoutes);
 app.use('/api/mobile/marketing-activity', mobileMarketingActivityRoutes);
 app.use('/api/mobile/shops', mobileShopRoutes);
+app.use('/api/mobile/notifications', notificationRoutes);
+app.use('/api/mobile/devices', deviceRoutes);
+app.use('/api/mobile/sync', syncRoutes);
 
 // Mount other API routes
 app.use('/api/distributors', distributorRoutes);
@@ -132,7 +181,14 @@ app.use('/api/marketing-activity', marketingActivityRoutes);
 app.use('/api/retailer-shop-activity', retailerShopActivityRoutes);
 app.use('/api/sales-inquiries', salesInquiryRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/staff-assignments', staffDistributorAssignmentRoutes);
+app.use('/api/beat-plans', beatPlanRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/task-templates', taskTemplateRoutes);
 
 // Setup Swagger documentation
 swaggerDocs(app);
@@ -243,6 +299,13 @@ const server = app.listen(config.port, '0.0.0.0', () => {
   logger.info(`Server running in ${config.nodeEnv} mode on port ${config.port}`);
 });
 
+// Deliver queued and retried push notifications in the background
+startPushWorker();
+
+// Run recurring jobs (auto punch-out and others defined in utils/jobs.js)
+registerJobs();
+startScheduler();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Rejection: ${err.message}`);
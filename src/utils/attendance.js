@@ -0,0 +1,202 @@
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const Task = require('../models/Task');
+const config = require('../config/config');
+const { startOfDay, addDays, dayKey } = require('./dates');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes after midnight for an HH:mm setting
+ * @param {String} value - e.g. '10:00'
+ * @returns {Number}
+ */
+const clockMinutes = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * Total minutes covered by a set of intervals, counting overlaps once
+ * (a task punch inside a distributor visit is not extra field time)
+ * @param {Array} intervals - [{ start, end }]
+ * @returns {Number}
+ */
+const coveredMinutes = (intervals) => {
+  const sorted = intervals
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  let total = 0;
+  let current = null;
+  sorted.forEach(interval => {
+    if (current && interval.start <= current.end) {
+      if (interval.end > current.end) current.end = interval.end;
+      return;
+    }
+    if (current) total += current.end - current.start;
+    current = { start: interval.start, end: interval.end };
+  });
+  if (current) total += current.end - current.start;
+
+  return Math.round(total / MINUTE_MS);
+};
+
+/**
+ * Load distributor visits and task punches for staff members in a date range
+ * @param {Array} staffIds - User IDs
+ * @param {Date} from - Start of the first day
+ * @param {Date} to - Start of the day after the last day
+ * @returns {Promise<Map>} - staffId -> [{ start, end, type }]
+ */
+const loadSessions = async (staffIds, from, to) => {
+  const [activities, tasks] = await Promise.all([
+    MarketingStaffActivity.find({
+      marketingStaffId: { $in: staffIds },
+      meetingStartTime: { $gte: from, $lt: to }
+    }).select('marketingStaffId meetingStartTime meetingEndTime').lean(),
+    Task.find({
+      assignedTo: { $in: staffIds },
+      punchHistory: { $elemMatch: { punchInTime: { $gte: from, $lt: to } } }
+    }).select('assignedTo punchHistory').lean()
+  ]);
+
+  const sessions = new Map();
+  const add = (staffId, session) => {
+    const key = String(staffId);
+    if (!sessions.has(key)) sessions.set(key, []);
+    sessions.get(key).push(session);
+  };
+
+  activities.forEach(activity => add(activity.marketingStaffId, {
+    type: 'visit',
+    start: new Date(activity.meetingStartTime),
+    end: activity.meetingEndTime ? new Date(activity.meetingEndTime) : null
+  }));
+
+  tasks.forEach(task => {
+    (task.punchHistory || []).forEach(punch => {
+      const start = new Date(punch.punchInTime);
+      if (start < from || start >= to) return;
+      add(task.assignedTo, {
+        type: 'task',
+        start,
+        end: punch.punchOutTime ? new Date(punch.punchOutTime) : null
+      });
+    });
+  });
+
+  return sessions;
+};
+
+/**
+ * Summarise one staff member's sessions for a single day. A session belongs
+ * to the day it started on. A session still open today counts up to now;
+ * one left open on an earlier day adds no time and is flagged instead.
+ * @param {Array} sessions - Sessions that started on this day
+ * @param {Date} day - Start of the day
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+const summariseDay = (sessions, day, now) => {
+  const isToday = dayKey(day) === dayKey(now);
+  const starts = sessions.map(session => session.start);
+  const ends = sessions.filter(session => session.end).map(session => session.end);
+
+  const firstIn = starts.length ? new Date(Math.min(...starts)) : null;
+  const lastOut = ends.length ? new Date(Math.max(...ends)) : null;
+  const openSession = sessions.some(session => !session.end);
+
+  const intervals = sessions
+    .map(session => ({ start: session.start, end: session.end || (isToday ? now : null) }))
+    .filter(interval => interval.end);
+
+  return {
+    firstIn,
+    lastOut,
+    fieldMinutes: coveredMinutes(intervals),
+    distributorVisits: sessions.filter(session => session.type === 'visit').length,
+    taskPunches: sessions.filter(session => session.type === 'task').length,
+    openSession,
+    late: Boolean(firstIn) && firstIn.getHours() * 60 + firstIn.getMinutes() > clockMinutes(config.attendance.lateAfter)
+  };
+};
+
+/**
+ * Build day-by-day attendance for staff members from their punch data.
+ * Days with no punches are Absent on working days and Weekly Off otherwise;
+ * days before the staff member joined, and days still to come, have no status.
+ * @param {Array} staffMembers - Users with _id, name, role and createdAt
+ * @param {Date} from - First day of the period
+ * @param {Date} to - Last day of the period (inclusive)
+ * @returns {Promise<Object>} - { days, staff }
+ */
+const buildAttendance = async (staffMembers, from, to) => {
+  const start = startOfDay(from);
+  const end = addDays(startOfDay(to), 1);
+  const now = new Date();
+  const today = startOfDay(now);
+  const weeklyOffDays = new Set(config.attendance.weeklyOffDays);
+
+  const days = [];
+  for (let day = start; day < end; day = addDays(day, 1)) {
+    days.push({ date: dayKey(day), dayOfWeek: day.getDay(), weeklyOff: weeklyOffDays.has(day.getDay()), start: day });
+  }
+
+  const sessions = await loadSessions(staffMembers.map(member => member._id), start, end);
+
+  const staff = staffMembers.map(member => {
+    const joined = member.createdAt ? startOfDay(member.createdAt) : start;
+    const byDay = new Map();
+    (sessions.get(String(member._id)) || []).forEach(session => {
+      const key = dayKey(session.start);
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(session);
+    });
+
+    const summary = { present: 0, absent: 0, late: 0, weeklyOff: 0, fieldMinutes: 0, distributorVisits: 0 };
+
+    const memberDays = days.map(day => {
+      const daySessions = byDay.get(day.date) || [];
+      let status = null;
+
+      if (daySessions.length) {
+        status = 'Present';
+      } else if (day.start > today || day.start < joined) {
+        status = null;
+      } else if (day.weeklyOff) {
+        status = 'Weekly Off';
+      } else if (day.start < today) {
+        // Today only counts as missed once it is over
+        status = 'Absent';
+      }
+
+      const record = { date: day.date, status, ...summariseDay(daySessions, day.start, now) };
+
+      if (status === 'Present') summary.present += 1;
+      if (status === 'Absent') summary.absent += 1;
+      if (status === 'Weekly Off') summary.weeklyOff += 1;
+      if (record.late) summary.late += 1;
+      summary.fieldMinutes += record.fieldMinutes;
+      summary.distributorVisits += record.distributorVisits;
+
+      return record;
+    });
+
+    return {
+      staffId: member._id,
+      name: member.name,
+      role: member.role,
+      summary,
+      days: memberDays
+    };
+  });
+
+  return {
+    days: days.map(({ date, dayOfWeek, weeklyOff }) => ({ date, dayOfWeek, weeklyOff })),
+    staff
+  };
+};
+
+module.exports = {
+  buildAttendance
+};
@@ -0,0 +1,317 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+
+// Holds { req, entries } for the request currently being handled, so model
+// hooks can attribute writes without every controller passing req around
+const auditStorage = new AsyncLocalStorage();
+
+// Models that are logs themselves, only hold per-user read state, churn on
+// every token refresh, cache responses for retries, or record job runs
+const EXCLUDED_MODELS = new Set(['AuditLog', 'StaffActivity', 'Notification', 'Session', 'SyncOperation', 'IdempotencyKey', 'JobRun', 'Counter']);
+
+const SENSITIVE_FIELD = /password|token|secret|otp/i;
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+const AUDIT = Symbol('audit');
+
+/**
+ * Convert a value to plain JSON and mask credentials anywhere inside it
+ * @param {*} value - Field value
+ * @returns {*} - Sanitized value
+ */
+const sanitize = (value) => {
+  if (value === undefined || value === null) return value;
+
+  const mask = (node) => {
+    if (Array.isArray(node)) return node.map(mask);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(
+        Object.entries(node).map(([key, child]) => [key, SENSITIVE_FIELD.test(key) ? '[REDACTED]' : mask(child)])
+      );
+    }
+    return node;
+  };
+
+  return mask(JSON.parse(JSON.stringify(value)));
+};
+
+/**
+ * Compare two snapshots field by field (top-level fields only)
+ * @param {Object|null} before - Document before the write
+ * @param {Object|null} after - Document after the write
+ * @returns {Array} - [{ field, before, after }]
+ */
+const diff = (before, after) => {
+  const previous = sanitize(before) || {};
+  const current = sanitize(after) || {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.has(field)) return;
+    if (JSON.stringify(previous[field]) === JSON.stringify(current[field])) return;
+
+    const redacted = SENSITIVE_FIELD.test(field);
+    changes.push({
+      field,
+      before: redacted && previous[field] !== undefined ? '[REDACTED]' : previous[field],
+      after: redacted && current[field] !== undefined ? '[REDACTED]' : current[field]
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Write an audit entry for the given request context. Failures are logged
+ * and never affect the request.
+ * @param {Object} context - Audit context from auditStorage
+ * @param {Object} entry - Entry fields (action, targetModel, targetId, changes, statusCode)
+ */
+const recordAudit = (context, entry) => {
+  const { req } = context;
+  context.entries += 1;
+
+  AuditLog.create({
+    actor: req.user ? req.user._id : undefined,
+    actorName: req.user ? req.user.name : undefined,
+    actorRole: req.user ? req.user.role : undefined,
+    method: req.method,
+    route: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    ...entry
+  }).catch(error => logger.error(`Failed to write audit log: ${error.message}`));
+};
+
+/**
+ * Record an event that is not a plain document write (e.g. an account lock)
+ * against the current request. Does nothing outside a request.
+ * @param {Object} entry - Entry fields (action, targetModel, targetId, changes)
+ */
+const recordAuditEvent = (entry) => {
+  const context = auditStorage.getStore();
+  if (context) {
+    recordAudit(context, entry);
+  }
+};
+
+/**
+ * Current audit context if the write belongs to a request and the model is audited
+ * @param {String} modelName - Model being written
+ * @returns {Object|undefined}
+ */
+const contextFor = (modelName) => {
+  if (!modelName || EXCLUDED_MODELS.has(modelName)) return undefined;
+  return auditStorage.getStore();
+};
+
+/**
+ * Record one Create entry per inserted document
+ * @param {Object} context - Audit context from auditStorage
+ * @param {String} modelName - Model written
+ * @param {Array} docs - Inserted documents
+ */
+const recordInserts = (context, modelName, docs) => {
+  (docs || []).forEach(doc => {
+    recordAudit(context, {
+      action: 'Create',
+      targetModel: modelName,
+      targetId: doc._id,
+      changes: diff(null, doc.toObject ? doc.toObject({ depopulate: true }) : doc)
+    });
+  });
+};
+
+/**
+ * Mongoose plugin recording creates, updates and deletes with a diff of the
+ * changed fields, one entry per document, bulk writes included. Writes made
+ * outside a request (scripts, jobs) are not recorded.
+ * @param {mongoose.Schema} schema - Schema the plugin is applied to
+ */
+const auditPlugin = (schema) => {
+  schema.pre('save', async function () {
+    // Subdocuments are covered by their parent's diff
+    if (this.$isSubdocument) return;
+    const context = contextFor(this.constructor.modelName);
+    if (!context) return;
+
+    this.$locals[AUDIT] = {
+      context,
+      isNew: this.isNew,
+      before: this.isNew ? null : await this.constructor.findById(this._id).lean()
+    };
+  });
+
+  schema.post('save', function (doc) {
+    const audit = doc.$locals[AUDIT];
+    if (!audit) return;
+    delete doc.$locals[AUDIT];
+
+    const changes = diff(audit.before, doc.toObject({ depopulate: true }));
+    if (!audit.isNew && changes.length === 0) return;
+
+    recordAudit(audit.context, {
+      action: audit.isNew ? 'Create' : 'Update',
+      targetModel: doc.constructor.modelName,
+      targetId: doc._id,
+      changes
+    });
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne'], async function () {
+    const context = contextFor(this.model.modelName);
+    if (!context) return;
+
+    this[AUDIT] = {
+      context,
+      before: await this.model.findOne(this.getFilter()).lean()
+    };
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne'], async function () {
+    const audit = this[AUDIT];
+    if (!audit) return;
+
+    // Without a previous document this was either a miss or an upsert
+    const after = audit.before
+      ? await this.model.findById(audit.before._id).lean()
+      : await this.model.findOne(this.getFilter()).lean();
+    if (!after) return;
+
+    const changes = diff(audit.before, after);
+    if (audit.before && changes.length === 0) return;
+
+    recordAudit(audit.context, {
+      action: audit.before ? 'Update' : 'Create',
+      targetModel: this.model.modelName,
+      targetId: after._id,
+      changes
+    });
+  });
+
+  // Document deleteOne() runs through the query hooks as well
+  schema.pre(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function () {
+    const context = contextFor(this.model.modelName);
+    if (!context) return;
+
+    this[AUDIT] = {
+      context,
+      before: await this.model.findOne(this.getFilter()).lean()
+    };
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, function () {
+    const audit = this[AUDIT];
+    if (!audit || !audit.before) return;
+
+    recordAudit(audit.context, {
+      action: 'Delete',
+      targetModel: this.model.modelName,
+      targetId: audit.before._id,
+      changes: diff(audit.before, null)
+    });
+  });
+
+  schema.pre(['updateMany', 'deleteMany'], { document: false, query: true }, async function () {
+    const context = contextFor(this.model.modelName);
+    if (!context) return;
+
+    this[AUDIT] = {
+      context,
+      before: await this.model.find(this.getFilter()).lean()
+    };
+  });
+
+  schema.post('updateMany', async function (result) {
+    const audit = this[AUDIT];
+    if (!audit) return;
+
+    // Read back by id: the update may have changed the fields the filter matched on
+    const after = await this.model.find({ _id: { $in: audit.before.map(doc => doc._id) } }).lean();
+    const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+
+    audit.before.forEach(before => {
+      const changes = diff(before, afterById.get(String(before._id)) || null);
+      if (changes.length === 0) return;
+
+      recordAudit(audit.context, {
+        action: 'Update',
+        targetModel: this.model.modelName,
+        targetId: before._id,
+        changes
+      });
+    });
+
+    if (result && result.upsertedId) {
+      const upserted = await this.model.findById(result.upsertedId).lean();
+      recordInserts(audit.context, this.model.modelName, upserted ? [upserted] : []);
+    }
+  });
+
+  schema.post('deleteMany', { document: false, query: true }, function () {
+    const audit = this[AUDIT];
+    if (!audit) return;
+
+    audit.before.forEach(before => {
+      recordAudit(audit.context, {
+        action: 'Delete',
+        targetModel: this.model.modelName,
+        targetId: before._id,
+        changes: diff(before, null)
+      });
+    });
+  });
+
+  schema.post('insertMany', function (docs) {
+    const context = contextFor(this.modelName);
+    if (context) {
+      recordInserts(context, this.modelName, docs);
+    }
+  });
+
+  // An unordered insertMany that hit duplicates still inserted the rest
+  schema.post('insertMany', function (error, docs, next) {
+    const context = contextFor(this.modelName);
+    if (context && error.insertedDocs) {
+      recordInserts(context, this.modelName, error.insertedDocs);
+    }
+    next(error);
+  });
+};
+
+// Registered as soon as this module loads so that any model compiled
+// afterwards is audited; require it before anything that loads a model
+mongoose.plugin(auditPlugin);
+
+/**
+ * Models that should be audited but were compiled without the plugin, i.e.
+ * loaded before this module
+ * @returns {Array<String>} - Model names
+ */
+const unauditedModels = () => {
+  return mongoose.modelNames().filter(name =>
+    !EXCLUDED_MODELS.has(name) &&
+    !mongoose.model(name).schema.plugins.some(plugin => plugin.fn === auditPlugin)
+  );
+};
+
+/**
+ * Wrap a middleware whose callbacks lose the async context (e.g. multer,
+ * which calls next from stream events) so the rest of the chain keeps it
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} - Wrapped middleware
+ */
+const bindAuditContext = (middleware) => (req, res, next) => {
+  middleware(req, res, AsyncResource.bind(next));
+};
+
+module.exports = {
+  auditStorage,
+  recordAudit,
+  recordAuditEvent,
+  unauditedModels,
+  bindAuditContext
+};
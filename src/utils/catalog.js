@@ -0,0 +1,235 @@
+const Product = require('../models/Product');
+const Brand = require('../models/Brand');
+
+/**
+ * The Product collection (brand → variants → sizes, each size with a SKU id)
+ * is the canonical catalog. The legacy Brand/Variant collections are kept in
+ * sync with it and transactional documents are validated against it.
+ */
+
+const normalise = (value) => (value ? value.toString().trim().toLowerCase() : '');
+
+// Size values sent by the apps when a line has no size; only accepted for
+// variants that have no sizes in the catalog
+const NO_SIZE = ['', 'n/a', 'na'];
+
+/**
+ * Find a product by brand name (case-insensitive)
+ * @param {String} brandName - Brand name
+ * @returns {Promise<Object|null>}
+ */
+exports.findProductByBrand = async (brandName) => {
+  return Product.findOne({ brandName: (brandName || '').trim() })
+    .collation({ locale: 'en', strength: 2 });
+};
+
+/**
+ * Load the active catalog into lookups keyed by normalised names. `variants`
+ * only holds variants without active sizes and `products` only brands without
+ * active variants, since only those can be ordered without a size or variant.
+ * @returns {Promise<Object>} - { skus, variants, products, bySku, byName } maps
+ */
+const loadCatalog = async () => {
+  const products = await Product.find({ isActive: true }).lean();
+  const skus = new Map();
+  const variants = new Map();
+  const brands = new Map();
+  const bySku = new Map();
+  const byName = new Map();
+
+  products.forEach(product => {
+    const activeVariants = product.variants.filter(variant => variant.isActive !== false);
+    if (activeVariants.length === 0) {
+      brands.set(normalise(product.brandName), { productId: product._id, brandName: product.brandName });
+    }
+
+    activeVariants
+      .forEach(variant => {
+        const variantKey = `${normalise(product.brandName)}|${normalise(variant.name)}`;
+        const variantEntry = {
+          productId: product._id,
+          variantId: variant._id,
+          brandName: product.brandName,
+          variant: variant.name
+        };
+
+        const activeSizes = variant.sizes.filter(size => size.isActive !== false);
+        if (activeSizes.length === 0) {
+          variants.set(variantKey, variantEntry);
+          byName.set(normalise(`${product.brandName} ${variant.name}`), variantEntry);
+        }
+
+        activeSizes
+          .forEach(size => {
+            const entry = {
+              ...variantEntry,
+              sizeId: size._id,
+              size: size.name,
+              sku: size.sku
+            };
+            skus.set(`${variantKey}|${normalise(size.name)}`, entry);
+            if (size.sku) bySku.set(size.sku, entry);
+            // Single-string product names, e.g. order items ("Brand Variant Size")
+            byName.set(normalise(`${product.brandName} ${variant.name} ${size.name}`), entry);
+          });
+      });
+  });
+
+  return { skus, variants, products: brands, bySku, byName };
+};
+
+exports.loadCatalog = loadCatalog;
+
+/**
+ * Find the catalog entry for a line item. A SKU id wins over names; lines
+ * without a size match only a variant that has no sizes, and lines without a
+ * variant (order items) their full product name or a brand with no variants.
+ * @param {Object} catalog - Result of loadCatalog
+ * @param {Object} item - { brand, variant, size, sku }
+ * @returns {Object|null}
+ */
+const lookup = (catalog, { brand, variant, size, sku }) => {
+  if (sku) {
+    return catalog.bySku.get(sku.toString().trim().toUpperCase()) || null;
+  }
+  if (!normalise(variant)) {
+    return catalog.byName.get(normalise(brand)) || catalog.products.get(normalise(brand)) || null;
+  }
+
+  const variantKey = `${normalise(brand)}|${normalise(variant)}`;
+  if (NO_SIZE.includes(normalise(size))) {
+    return catalog.variants.get(variantKey) || null;
+  }
+  return catalog.skus.get(`${variantKey}|${normalise(size)}`) || null;
+};
+
+exports.lookup = lookup;
+
+/**
+ * Resolve line items against the active catalog
+ * @param {Array} items - Line items
+ * @param {Object} fields - Field names on the items ({ brand, variant, size }), defaults to brand/variant/size
+ * @returns {Promise<Array>} - [{ item, match }] where match is null if the combination is not in the catalog
+ */
+exports.resolveItems = async (items, fields = {}) => {
+  const { brand = 'brand', variant = 'variant', size = 'size' } = fields;
+  const catalog = await loadCatalog();
+
+  return items.map(item => ({
+    item,
+    match: lookup(catalog, { brand: item[brand], variant: item[variant], size: item[size], sku: item.sku })
+  }));
+};
+
+/**
+ * Attach catalog references (productId, sku) to line items alongside their
+ * display names. Items sent with only a SKU get their names filled in.
+ * Unresolvable items are returned without catalog references.
+ * @param {Array} items - Line items
+ * @param {Object} fields - Field names on the items ({ brand, variant, size }); null for fields the items do not have
+ * @returns {Promise<Array>}
+ */
+exports.attachSkus = async (items, fields = {}) => {
+  if (!Array.isArray(items) || items.length === 0) return items;
+
+  const { brand = 'brand', variant = 'variant', size = 'size' } = fields;
+  const resolved = await exports.resolveItems(items, fields);
+
+  return resolved.map(({ item, match }) => {
+    if (!match) {
+      // Never keep a SKU the catalog does not know about
+      const { sku, ...unresolved } = item;
+      return unresolved;
+    }
+
+    const attached = {
+      ...item,
+      productId: match.productId,
+      [brand]: item[brand] || match.brandName
+    };
+    if (match.sku) attached.sku = match.sku;
+    if (variant && match.variant) attached[variant] = item[variant] || match.variant;
+    if (size && match.size) attached[size] = item[size] || match.size;
+
+    return attached;
+  });
+};
+
+/**
+ * Validate that every line item is an active brand/variant/size combination
+ * @param {Array} items - Line items
+ * @param {Object} fields - Field names on the items ({ brand, variant, size })
+ * @returns {Promise<Array>} - Error messages, empty if every item is valid
+ */
+exports.validateItems = async (items, fields = {}) => {
+  const { brand = 'brand', variant = 'variant', size = 'size' } = fields;
+  const resolved = await exports.resolveItems(items, fields);
+
+  return resolved
+    .filter(({ match }) => !match)
+    .map(({ item }) => {
+      const name = [item[brand], item[variant], item[size]].filter(Boolean).join(' / ');
+      return `${name || 'Unnamed item'} is not an active catalog item`;
+    });
+};
+
+/**
+ * Mirror a legacy Brand document into the catalog
+ * @param {Object} brand - Brand document
+ * @param {String} previousName - Brand name before a rename, if any
+ * @param {String} userId - User making the change
+ * @returns {Promise<Object>} - Catalog product
+ */
+exports.syncBrand = async (brand, previousName, userId) => {
+  let product = await exports.findProductByBrand(previousName || brand.name);
+  if (!product) {
+    product = new Product({ brandName: brand.name, variants: [], createdBy: userId });
+  }
+
+  product.brandName = brand.name;
+  product.isActive = brand.isActive !== false;
+  product.updatedBy = userId;
+
+  return product.save();
+};
+
+/**
+ * Mirror a legacy Variant document (and its sizes) into the catalog
+ * @param {Object} variant - Variant document
+ * @param {String} previousName - Variant name before a rename, if any
+ * @param {String} userId - User making the change
+ * @returns {Promise<Object|null>} - Catalog product, or null if the brand no longer exists
+ */
+exports.syncVariant = async (variant, previousName, userId) => {
+  const brand = await Brand.findById(variant.brand._id || variant.brand);
+  if (!brand) return null;
+
+  let product = await exports.findProductByBrand(brand.name);
+  if (!product) {
+    product = new Product({
+      brandName: brand.name,
+      variants: [],
+      isActive: brand.isActive !== false,
+      createdBy: userId
+    });
+  }
+
+  let productVariant = product.variants.find(v => normalise(v.name) === normalise(previousName || variant.name));
+  if (!productVariant) {
+    product.variants.push({ name: variant.name, sizes: [] });
+    productVariant = product.variants[product.variants.length - 1];
+  }
+
+  productVariant.name = variant.name;
+  productVariant.isActive = variant.isActive !== false;
+
+  // Only add sizes; sizes deactivated through the catalog stay deactivated
+  variant.sizes.forEach(size => {
+    const exists = productVariant.sizes.some(s => normalise(s.name) === normalise(size.name));
+    if (!exists) productVariant.sizes.push({ name: size.name });
+  });
+
+  product.updatedBy = userId;
+
+  return product.save();
+};
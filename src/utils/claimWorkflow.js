@@ -0,0 +1,159 @@
+const { WORKFLOW } = require('../config/damageClaimWorkflow');
+
+/**
+ * Roles that may take an action on a claim once its escalation rules apply
+ * @param {Object} claim - DamageClaim document
+ * @param {Object} definition - Action definition from the workflow
+ * @returns {Object} - { roles, reason } where reason explains a narrowed list
+ */
+const allowedRoles = (claim, definition) => {
+  let roles = definition.roles;
+  let reason = null;
+
+  (definition.escalations || []).forEach(rule => {
+    if (Number(claim[rule.field]) > rule.over) {
+      roles = roles.filter(role => rule.roles.includes(role));
+      reason = rule.message;
+    }
+  });
+
+  return { roles, reason };
+};
+
+/**
+ * Check whether a user may take an action on a claim
+ * @param {Object} claim - DamageClaim document
+ * @param {String} action - Workflow action (comment, approve, partiallyApprove, reject)
+ * @param {Object} user - req.user
+ * @param {Object} [input] - { comment, approvedPieces }; omit to only check stage and role
+ * @returns {Object} - { definition } or { status, error }
+ */
+const checkTransition = (claim, action, user, input) => {
+  const definition = WORKFLOW.actions[action];
+  if (!definition) {
+    return { status: 400, error: `Unknown damage claim action ${action}` };
+  }
+
+  if (!definition.from.includes(claim.status)) {
+    return { status: 400, error: `Cannot ${definition.label.toLowerCase()} a claim with status ${claim.status}` };
+  }
+
+  const { roles, reason } = allowedRoles(claim, definition);
+  if (!roles.includes(user.role)) {
+    return {
+      status: 403,
+      error: definition.roles.includes(user.role) && reason
+        ? reason
+        : `${user.role} cannot ${definition.label.toLowerCase()} damage claims`
+    };
+  }
+
+  if (!input) return { definition };
+
+  if (definition.requiresComment && !input.comment) {
+    return { status: 400, error: 'A comment is required' };
+  }
+
+  if (definition.requiresApprovedPieces) {
+    const approvedPieces = Number(input.approvedPieces);
+    if (!(approvedPieces > 0 && approvedPieces < claim.pieces)) {
+      return { status: 400, error: 'Approved pieces must be greater than zero and less than the damaged pieces' };
+    }
+  }
+
+  return { definition };
+};
+
+/**
+ * Actions the user can take on a claim in its current stage
+ * @param {Object} claim - DamageClaim document
+ * @param {Object} user - req.user
+ * @returns {Array<Object>} - [{ action, label, to }]
+ */
+const availableActions = (claim, user) => {
+  return Object.keys(WORKFLOW.actions)
+    .filter(action => !checkTransition(claim, action, user).error)
+    .map(action => ({
+      action,
+      label: WORKFLOW.actions[action].label,
+      to: WORKFLOW.actions[action].to
+    }));
+};
+
+/**
+ * First history entry of a new claim
+ * @param {Object} user - req.user of the claimant
+ * @returns {Object}
+ */
+const submissionEntry = (user) => ({
+  action: 'submit',
+  toStatus: WORKFLOW.initialStage,
+  actor: user.id,
+  actorRole: user.role
+});
+
+/**
+ * Move a claim through the workflow and save it. The save only succeeds if
+ * the claim is still in the stage the transition was checked against, so two
+ * managers deciding at once cannot both win.
+ * @param {Object} claim - DamageClaim document
+ * @param {String} action - Workflow action
+ * @param {Object} user - req.user
+ * @param {Object} input - { comment, approvedPieces }
+ * @returns {Promise<Object>} - { claim } or { status, error }
+ */
+const transitionClaim = async (claim, action, user, input = {}) => {
+  const { definition, status, error } = checkTransition(claim, action, user, input);
+  if (error) return { status, error };
+
+  const fromStatus = claim.status;
+  claim.status = definition.to;
+
+  if (definition.effect === 'comment') {
+    claim.mlmComment = input.comment;
+    claim.mlmId = user.id;
+  } else {
+    claim.approvedBy = user.id;
+    claim.comment = input.comment || '';
+    claim.approvedDate = new Date();
+    if (definition.to === 'Approved') {
+      claim.approvedPieces = claim.pieces;
+    } else if (definition.to === 'Partially Approved') {
+      claim.approvedPieces = Number(input.approvedPieces);
+    } else {
+      claim.approvedPieces = 0;
+    }
+    if (['Admin', 'Administrator'].includes(user.role)) {
+      claim.adminId = user.id;
+    }
+  }
+
+  claim.history.push({
+    action,
+    fromStatus,
+    toStatus: definition.to,
+    actor: user.id,
+    actorRole: user.role,
+    comment: input.comment,
+    approvedPieces: definition.effect === 'decision' ? claim.approvedPieces : undefined
+  });
+
+  claim.$where = { status: fromStatus };
+  try {
+    await claim.save();
+  } catch (saveError) {
+    if (saveError.name === 'DocumentNotFoundError') {
+      return { status: 409, error: 'The claim was updated by someone else. Reload it and try again.' };
+    }
+    throw saveError;
+  }
+
+  return { claim };
+};
+
+module.exports = {
+  checkTransition,
+  availableActions,
+  submissionEntry,
+  transitionClaim
+};
@@ -0,0 +1,135 @@
+// Standard 5-field cron expressions: minute hour day-of-month month day-of-week.
+// Each field accepts *, numbers, ranges (1-5), steps (*/15, 1-30/5) and lists (1,15).
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Searching further ahead than this means the expression never matches (e.g. 31 February)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Expand one cron field into the set of values it matches
+ * @param {String} value - Field text
+ * @param {Object} field - Entry of FIELDS
+ * @returns {Set<Number>}
+ */
+const parseField = (value, field) => {
+  const values = new Set();
+
+  value.split(',').forEach(part => {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    let [from, to] = [field.min, field.max];
+    if (match[1] !== '*') {
+      [from, to] = match[1].split('-').map(Number);
+      if (to === undefined) to = match[2] ? field.max : from;
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+    for (let current = from; current <= to; current += step) values.add(current);
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - e.g. '*\/15 * * * *'
+ * @returns {Object} - { minute, hour, dayOfMonth, month, dayOfWeek, restrictedDays }
+ * @throws {Error} - When the expression is invalid
+ */
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is another name for Sunday
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // When both day fields are restricted a day matches if either does
+    restrictedDays: { dayOfMonth: parts[2] !== '*', dayOfWeek: parts[4] !== '*' }
+  };
+};
+
+const matchesDay = (schedule, date) => {
+  const byMonthDay = schedule.dayOfMonth.has(date.getDate());
+  const byWeekDay = schedule.dayOfWeek.has(date.getDay());
+  const { restrictedDays } = schedule;
+
+  if (restrictedDays.dayOfMonth && restrictedDays.dayOfWeek) return byMonthDay || byWeekDay;
+  return byMonthDay && byWeekDay;
+};
+
+/**
+ * Next time a cron expression fires after a given moment (server time)
+ * @param {String} expression - Cron expression
+ * @param {Date} [after] - Defaults to now
+ * @returns {Date}
+ * @throws {Error} - When the expression is invalid or never fires
+ */
+const nextCronDate = (expression, after = new Date()) => {
+  const schedule = parseCron(expression);
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(after);
+  limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+
+  while (date <= limit) {
+    if (!schedule.month.has(date.getMonth() + 1) || !matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${expression}" never fires`);
+};
+
+/**
+ * Whether a cron expression is valid
+ * @param {String} expression - Cron expression
+ * @returns {Boolean}
+ */
+const isValidCron = (expression) => {
+  try {
+    nextCronDate(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  parseCron,
+  nextCronDate,
+  isValidCron
+};
@@ -0,0 +1,30 @@
+/**
+ * Midnight (server time) at the start of the given day
+ * @param {Date|String} value - Any time on the day
+ * @returns {Date}
+ */
+exports.startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Shift a date by whole calendar days
+ * @param {Date} date - Date to start from
+ * @param {Number} days - Days to add, negative to go back
+ * @returns {Date} - A new date; the input is not changed
+ */
+exports.addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Calendar day of a date in server time, for grouping by day
+ * @param {Date} date
+ * @returns {String} - e.g. 2026-10-19
+ */
+exports.dayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
@@ -0,0 +1,52 @@
+const Counter = require('../models/Counter');
+const config = require('../config/config');
+
+// Prefix of each numbered document type
+const PREFIXES = {
+  damageClaim: 'DMG',
+  order: 'SO',
+  salesInquiry: 'INQ',
+  supplyEstimate: 'SE'
+};
+
+/**
+ * Financial year a date falls in, e.g. '2026-27' for 19 Oct 2026 when the
+ * year starts in April
+ * @param {Date} [date] - Defaults to now
+ * @returns {String}
+ */
+const financialYear = (date = new Date()) => {
+  const startMonth = config.documentNumbers.financialYearStartMonth;
+  const startYear = date.getMonth() + 1 >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+  if (startMonth === 1) return String(startYear);
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Take the next number of a type's sequence for the financial year of the
+ * given date. The increment is a single atomic update, so concurrent requests
+ * and multiple instances never receive the same number. A number taken by a
+ * save that then fails is not reused, which can leave gaps.
+ * @param {String} type - Key of PREFIXES (damageClaim, order, salesInquiry, supplyEstimate)
+ * @param {Date} [date] - Document date; defaults to now
+ * @returns {Promise<String>} - e.g. 'DMG/2026-27/00042'
+ */
+const nextNumber = async (type, date = new Date()) => {
+  const prefix = PREFIXES[type];
+  if (!prefix) throw new Error(`Unknown document number type ${type}`);
+
+  const key = `${prefix}/${financialYear(date)}`;
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return `${key}/${String(counter.seq).padStart(config.documentNumbers.padding, '0')}`;
+};
+
+module.exports = {
+  PREFIXES,
+  financialYear,
+  nextNumber
+};
@@ -0,0 +1,53 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Normalise a location payload from the mobile app into a GeoJSON point
+ * @param {Object} location - Location object ({ latitude, longitude, accuracy })
+ * @returns {Object|null} - GeoJSON point with accuracy, or null if coordinates are missing/invalid
+ */
+exports.toGeoPoint = (location) => {
+  if (!location) return null;
+
+  const latitude = parseFloat(location.latitude);
+  const longitude = parseFloat(location.longitude);
+
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+
+  const accuracy = parseFloat(location.accuracy);
+
+  return {
+    type: 'Point',
+    // GeoJSON stores coordinates as [longitude, latitude]
+    coordinates: [longitude, latitude],
+    accuracy: Number.isNaN(accuracy) ? undefined : accuracy
+  };
+};
+
+/**
+ * Check whether a stored GeoJSON point has usable coordinates
+ * @param {Object} point - GeoJSON point
+ * @returns {Boolean}
+ */
+exports.hasCoordinates = (point) => {
+  return Boolean(point && Array.isArray(point.coordinates) && point.coordinates.length === 2);
+};
+
+/**
+ * Calculate the great-circle distance between two GeoJSON points (haversine)
+ * @param {Object} from - GeoJSON point
+ * @param {Object} to - GeoJSON point
+ * @returns {Number} - Distance in meters
+ */
+exports.distanceInMeters = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const [fromLng, fromLat] = from.coordinates;
+  const [toLng, toLat] = to.coordinates;
+
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
@@ -0,0 +1,32 @@
+const { defineJob } = require('./scheduler');
+const { closeStaleSessions } = require('./punchSessions');
+const { processTaskDeadlines } = require('./taskDeadlines');
+const { spawnDueTasks } = require('./recurringTasks');
+const config = require('../config/config');
+
+/**
+ * Define the recurring jobs run by the scheduler. Call before startScheduler().
+ */
+const registerJobs = () => {
+  defineJob('auto-punch-out', {
+    description: 'Close marketing sessions left punched in past the cutoff time',
+    cron: config.autoPunchOut.cron,
+    handler: async () => ({ closed: await closeStaleSessions() })
+  });
+
+  defineJob('task-deadlines', {
+    description: 'Remind assignees of upcoming task deadlines and escalate overdue tasks to their creator',
+    cron: config.tasks.deadlineCron,
+    handler: processTaskDeadlines
+  });
+
+  defineJob('recurring-tasks', {
+    description: 'Create tasks from recurring task templates that are due',
+    cron: config.tasks.recurringCron,
+    handler: async () => ({ created: await spawnDueTasks() })
+  });
+};
+
+module.exports = {
+  registerJobs
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('./logger');
+
+/*
+ * Outbound email and SMS. A provider exposes
+ * `send({ channel, to, subject, body })` and rejects on failure. Email and
+ * SMS pick their provider separately (MAIL_PROVIDER / SMS_PROVIDER) so that,
+ * for example, SMS can go through a gateway while email is still logged.
+ */
+
+const consoleProvider = {
+  name: 'console',
+  send: async ({ channel, to, subject, body }) => {
+    // Printed directly so the message is visible whatever the log level
+    console.log(`[${channel}] to ${to}${subject ? ` | ${subject}` : ''}\n${body}`);
+  }
+};
+
+const fileProvider = {
+  name: 'file',
+  send: async (message) => {
+    const filePath = path.resolve(config.messaging.filePath);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+  }
+};
+
+// Generic gateway adapter: POSTs the message as JSON to a webhook that
+// forwards it to the actual mail/SMS service
+const httpProvider = {
+  name: 'http',
+  send: async (message) => {
+    if (!config.messaging.webhookUrl) {
+      throw new Error('MESSAGING_WEBHOOK_URL is not configured');
+    }
+
+    await axios.post(config.messaging.webhookUrl, message, {
+      headers: config.messaging.webhookKey ? { Authorization: `Bearer ${config.messaging.webhookKey}` } : {},
+      timeout: 10000
+    });
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  http: httpProvider
+};
+
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    logger.warn(`Unknown messaging provider "${name}", falling back to console`);
+    return consoleProvider;
+  }
+  return provider;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, body }
+ * @returns {Promise<void>}
+ */
+const sendMail = ({ to, subject, body }) =>
+  getProvider(config.messaging.mailProvider).send({ channel: 'email', to, subject, body });
+
+/**
+ * Send an SMS
+ * @param {Object} message - { to, body }
+ * @returns {Promise<void>}
+ */
+const sendSms = ({ to, body }) =>
+  getProvider(config.messaging.smsProvider).send({ channel: 'sms', to, body });
+
+module.exports = {
+  sendMail,
+  sendSms
+};
@@ -0,0 +1,295 @@
+const EventEmitter = require('events');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { deliverNotification } = require('./pushDelivery');
+const logger = require('./logger');
+
+// Controllers emit domain events here; listeners below turn them into inbox entries
+const notificationEvents = new EventEmitter();
+
+const EVENTS = {
+  DAMAGE_CLAIM_PROCESSED: 'damageClaim:processed',
+  SHOP_APPROVAL_UPDATED: 'shop:approvalUpdated',
+  TASK_ASSIGNED: 'task:assigned',
+  TASK_DEADLINE_REMINDER: 'task:deadlineReminder',
+  TASK_OVERDUE: 'task:overdue',
+  TASK_COMPLETED: 'task:completed',
+  TASK_REVIEWED: 'task:reviewed',
+  TASK_COMMENTED: 'task:commented',
+  SESSION_AUTO_CLOSED: 'marketingActivity:autoClosed'
+};
+
+const resolveId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Create an inbox notification. Users are not notified about their own actions.
+ * High priority notifications are pushed right away; normal ones are left to
+ * the push worker.
+ * @param {Object} notification - Notification fields (recipient, type, priority, title, message, data, relatedId, onModel, createdBy)
+ * @returns {Promise<Object|null>} - Created notification, or null if skipped
+ */
+const createNotification = async (notification) => {
+  const recipient = resolveId(notification.recipient);
+  const createdBy = resolveId(notification.createdBy);
+
+  if (!recipient) return null;
+  if (createdBy && recipient.toString() === createdBy.toString()) return null;
+
+  const created = await Notification.create({ ...notification, recipient, createdBy });
+
+  if (created.priority === 'High') {
+    deliverNotification(created._id)
+      .catch(error => logger.error(`Immediate push for notification ${created._id} failed: ${error.message}`));
+  }
+
+  return created;
+};
+
+/**
+ * Register a listener. Listener failures are logged and never reach the
+ * request that emitted the event.
+ * @param {String} event - Event name
+ * @param {Function} handler - Async handler receiving the event payload
+ */
+const on = (event, handler) => {
+  notificationEvents.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => logger.error(`Notification listener for ${event} failed: ${error.message}`));
+  });
+};
+
+on(EVENTS.DAMAGE_CLAIM_PROCESSED, ({ damageClaim, actorId }) => {
+  const product = `${damageClaim.brand} ${damageClaim.variant} (${damageClaim.size})`;
+  let title;
+  let message;
+
+  if (damageClaim.status === 'Approved') {
+    title = 'Damage claim approved';
+    message = `Your damage claim for ${product} was approved. Tracking ID: ${damageClaim.trackingId}`;
+  } else if (damageClaim.status === 'Partially Approved') {
+    title = 'Damage claim partially approved';
+    message = `Your damage claim for ${product} was partially approved (${damageClaim.approvedPieces} of ${damageClaim.pieces} pieces). Tracking ID: ${damageClaim.trackingId}`;
+  } else {
+    title = 'Damage claim rejected';
+    message = `Your damage claim for ${product} was rejected.`;
+  }
+
+  const comment = damageClaim.adminComment || damageClaim.comment;
+  if (comment) message += ` Comment: ${comment}`;
+
+  return createNotification({
+    recipient: damageClaim.createdBy,
+    type: 'Damage Claim',
+    priority: damageClaim.status === 'Rejected' ? 'High' : 'Normal',
+    title,
+    message,
+    data: {
+      status: damageClaim.status,
+      trackingId: damageClaim.trackingId,
+      approvedPieces: damageClaim.approvedPieces
+    },
+    relatedId: damageClaim._id,
+    onModel: 'DamageClaim',
+    createdBy: actorId
+  });
+});
+
+on(EVENTS.SHOP_APPROVAL_UPDATED, ({ shop, actorId }) => {
+  const approved = shop.approvalStatus === 'Approved';
+
+  return createNotification({
+    recipient: shop.createdBy,
+    type: 'Shop Approval',
+    title: approved ? 'Shop approved' : 'Shop rejected',
+    message: approved
+      ? `Your shop ${shop.name} was approved.`
+      : `Your shop ${shop.name} was rejected. Reason: ${shop.rejectionReason}`,
+    data: {
+      approvalStatus: shop.approvalStatus,
+      distributorId: resolveId(shop.distributorId)
+    },
+    relatedId: shop._id,
+    onModel: 'Shop',
+    createdBy: actorId
+  });
+});
+
+on(EVENTS.TASK_ASSIGNED, ({ task, actorId }) => {
+  return createNotification({
+    recipient: task.assignedTo,
+    type: 'Task Assigned',
+    priority: 'High',
+    title: 'New task assigned',
+    message: task.deadline
+      ? `You have been assigned "${task.title}" (due ${new Date(task.deadline).toDateString()}).`
+      : `You have been assigned "${task.title}".`,
+    data: {
+      taskType: task.taskType,
+      deadline: task.deadline
+    },
+    relatedId: task._id,
+    onModel: 'Task',
+    createdBy: actorId
+  });
+});
+
+/**
+ * Describe a duration in minutes as hours or days for notification text
+ * @param {Number} minutes - Duration
+ * @returns {String}
+ */
+const describeDuration = (minutes) => {
+  if (minutes >= 24 * 60) {
+    const days = Math.round(minutes / (24 * 60));
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes >= 60) {
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+on(EVENTS.TASK_DEADLINE_REMINDER, ({ task, minutesLeft }) => {
+  return createNotification({
+    recipient: task.assignedTo,
+    type: 'Task Reminder',
+    priority: minutesLeft <= 60 ? 'High' : 'Normal',
+    title: 'Task due soon',
+    message: `"${task.title}" is due in ${describeDuration(minutesLeft)} (${new Date(task.deadline).toLocaleString()}).`,
+    data: {
+      deadline: task.deadline,
+      minutesLeft
+    },
+    relatedId: task._id,
+    onModel: 'Task'
+  });
+});
+
+on(EVENTS.TASK_OVERDUE, ({ task }) => {
+  const assignee = task.assignedTo && task.assignedTo.name
+    ? task.assignedTo.name
+    : (task.externalAssignee && task.externalAssignee.name) || 'The assignee';
+
+  return createNotification({
+    recipient: task.createdBy,
+    type: 'Task Overdue',
+    priority: 'High',
+    title: 'Task overdue',
+    message: `${assignee} has not completed "${task.title}", which was due ${new Date(task.deadline).toLocaleString()}. Status: ${task.status}.`,
+    data: {
+      deadline: task.deadline,
+      status: task.status,
+      assignedTo: resolveId(task.assignedTo)
+    },
+    relatedId: task._id,
+    onModel: 'Task'
+  });
+});
+
+on(EVENTS.TASK_COMPLETED, ({ task, actorId }) => {
+  return createNotification({
+    recipient: task.createdBy,
+    type: 'Task Completed',
+    title: 'Task completed',
+    message: `"${task.title}" has been completed and is waiting for your review.`,
+    data: {
+      photos: task.completion.photos.length,
+      submittedAt: task.completion.submittedAt
+    },
+    relatedId: task._id,
+    onModel: 'Task',
+    createdBy: actorId
+  });
+});
+
+on(EVENTS.TASK_REVIEWED, ({ task, comment, actorId }) => {
+  const reopened = task.reviewStatus === 'Reopened';
+
+  return createNotification({
+    recipient: task.assignedTo,
+    type: 'Task Review',
+    priority: reopened ? 'High' : 'Normal',
+    title: reopened ? 'Task reopened' : 'Task accepted',
+    message: reopened
+      ? `"${task.title}" was reopened: ${comment}`
+      : `"${task.title}" was accepted.${comment ? ` ${comment}` : ''}`,
+    data: {
+      reviewStatus: task.reviewStatus,
+      comment
+    },
+    relatedId: task._id,
+    onModel: 'Task',
+    createdBy: actorId
+  });
+});
+
+// Mentioned users get a mention; the task's assignee and creator hear about
+// every other comment
+on(EVENTS.TASK_COMMENTED, ({ task, comment, actorId }) => {
+  const mentioned = comment.mentions.map(id => id.toString());
+  const participants = [resolveId(task.assignedTo), resolveId(task.createdBy)]
+    .filter(Boolean)
+    .map(id => id.toString())
+    .filter((id, index, ids) => ids.indexOf(id) === index && !mentioned.includes(id));
+  const preview = comment.body.length > 100 ? `${comment.body.slice(0, 100)}...` : comment.body;
+
+  return Promise.all([
+    ...mentioned.map(recipient => createNotification({
+      recipient,
+      type: 'Task Mention',
+      priority: 'High',
+      title: 'You were mentioned',
+      message: `You were mentioned on "${task.title}": ${preview || 'attachment'}`,
+      data: { commentId: comment._id },
+      relatedId: task._id,
+      onModel: 'Task',
+      createdBy: actorId
+    })),
+    ...participants.map(recipient => createNotification({
+      recipient,
+      type: 'Task Comment',
+      title: 'New comment',
+      message: `New comment on "${task.title}": ${preview || 'attachment'}`,
+      data: { commentId: comment._id },
+      relatedId: task._id,
+      onModel: 'Task',
+      createdBy: actorId
+    }))
+  ]);
+});
+
+// Staff have no direct manager field: the Mid-Level Manager who created the
+// account is used, otherwise every Mid-Level Manager is told
+on(EVENTS.SESSION_AUTO_CLOSED, async ({ activity }) => {
+  const staff = await User.findById(activity.marketingStaffId).select('name createdBy');
+  if (!staff) return null;
+
+  const creator = staff.createdBy ? await User.findById(staff.createdBy).select('role') : null;
+  const managers = creator && creator.role === 'Mid-Level Manager'
+    ? [creator]
+    : await User.find({ role: 'Mid-Level Manager' }).select('_id');
+
+  return Promise.all(managers.map(manager => createNotification({
+    recipient: manager._id,
+    type: 'Auto Punch-Out',
+    title: 'Session closed automatically',
+    message: `${staff.name} did not punch out at ${activity.distributor}. The session was closed at ${new Date(activity.meetingEndTime).toLocaleString()}.`,
+    data: {
+      staffId: staff._id,
+      distributorId: activity.distributorId,
+      meetingStartTime: activity.meetingStartTime,
+      meetingEndTime: activity.meetingEndTime,
+      reason: activity.autoCloseReason
+    },
+    relatedId: activity._id,
+    onModel: 'MarketingStaffActivity'
+  })));
+});
+
+module.exports = {
+  notificationEvents,
+  EVENTS,
+  createNotification
+};
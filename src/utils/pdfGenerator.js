@@ -0,0 +1,223 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const MARGIN = 50;
+const ROW_PADDING = 4;
+
+/**
+ * Format a date for printed documents, e.g. 19 Oct 2026
+ * @param {Date|String} date - Date to format
+ * @returns {String} - Formatted date, or an empty string if there is none
+ */
+const formatDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+/**
+ * File name for a document number, which may contain slashes
+ * @param {String} prefix - e.g. Dispatch_Challan
+ * @param {String} number - e.g. SO/2026-27/00042
+ * @returns {String} - e.g. Dispatch_Challan_SO-2026-27-00042.pdf
+ */
+const pdfFilename = (prefix, number) => `${prefix}_${String(number).replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+
+/**
+ * Print the company letterhead from config.company
+ * @param {PDFDocument} doc
+ */
+const drawLetterhead = (doc) => {
+  const { name, address, phone, email, gstin, logoPath } = config.company;
+  const top = doc.y;
+  let textX = MARGIN;
+
+  if (logoPath && fs.existsSync(logoPath)) {
+    try {
+      doc.image(logoPath, MARGIN, top, { fit: [60, 60] });
+      textX = MARGIN + 70;
+    } catch (error) {
+      logger.warn(`Could not draw company logo ${logoPath}: ${error.message}`);
+    }
+  }
+
+  const textWidth = doc.page.width - MARGIN - textX;
+  doc.font('Helvetica-Bold').fontSize(16).text(name, textX, top, { width: textWidth });
+  doc.font('Helvetica').fontSize(9);
+  [
+    address,
+    [phone && `Phone: ${phone}`, email && `Email: ${email}`].filter(Boolean).join('   '),
+    gstin && `GSTIN: ${gstin}`
+  ].filter(Boolean).forEach(line => doc.text(line, textX, doc.y, { width: textWidth }));
+
+  const bottom = Math.max(doc.y, textX > MARGIN ? top + 60 : doc.y) + 8;
+  doc.moveTo(MARGIN, bottom).lineTo(doc.page.width - MARGIN, bottom).lineWidth(1).stroke();
+  doc.x = MARGIN;
+  doc.y = bottom + 12;
+};
+
+/**
+ * Print the recipient block on the left and label/value details on the right
+ * @param {PDFDocument} doc
+ * @param {Object} recipient - { heading, lines }
+ * @param {Array<Array>} details - [[label, value]]
+ */
+const drawParties = (doc, recipient, details) => {
+  const top = doc.y;
+  const columnWidth = (doc.page.width - MARGIN * 2) / 2 - 10;
+  const rightX = MARGIN + columnWidth + 20;
+
+  if (recipient) {
+    doc.font('Helvetica-Bold').fontSize(10).text(recipient.heading || 'To', MARGIN, top, { width: columnWidth });
+    doc.font('Helvetica').fontSize(10);
+    (recipient.lines || []).filter(Boolean).forEach(line => doc.text(line, MARGIN, doc.y, { width: columnWidth }));
+  }
+  const leftBottom = doc.y;
+
+  doc.y = top;
+  details.filter(([, value]) => value !== undefined && value !== null && value !== '').forEach(([label, value]) => {
+    const rowY = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}:`, rightX, rowY, { width: 100 });
+    doc.font('Helvetica').text(String(value), rightX + 100, rowY, { width: columnWidth - 100 });
+  });
+
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 15;
+};
+
+/**
+ * Print a table of line items, repeating the header on each new page
+ * @param {PDFDocument} doc
+ * @param {Array<Object>} columns - [{ header, key, width, align }], widths are fractions of the page width
+ * @param {Array<Object>} rows - Line items keyed by column key
+ */
+const drawTable = (doc, columns, rows) => {
+  const tableWidth = doc.page.width - MARGIN * 2;
+  const cells = [{ header: '#', key: '_index', width: 0.06, align: 'right' }, ...columns].map(column => ({
+    ...column,
+    width: column.width * tableWidth
+  }));
+  const pageBottom = doc.page.height - MARGIN;
+
+  const rowHeight = (values, font) => {
+    doc.font(font).fontSize(9);
+    return Math.max(...cells.map((cell, i) =>
+      doc.heightOfString(values[i], { width: cell.width - ROW_PADDING * 2 })
+    )) + ROW_PADDING * 2;
+  };
+
+  const drawRow = (values, font, fill) => {
+    const height = rowHeight(values, font);
+    if (doc.y + height > pageBottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    if (fill) {
+      doc.rect(MARGIN, y, tableWidth, height).fill(fill).fillColor('black');
+    }
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      doc.font(font).fontSize(9).text(values[i], x + ROW_PADDING, y + ROW_PADDING, {
+        width: cell.width - ROW_PADDING * 2,
+        align: cell.align || 'left'
+      });
+      x += cell.width;
+    });
+    doc.moveTo(MARGIN, y + height).lineTo(MARGIN + tableWidth, y + height).lineWidth(0.5).stroke();
+    doc.y = y + height;
+  };
+
+  const drawHeader = () => drawRow(cells.map(cell => cell.header), 'Helvetica-Bold', '#E5E7EB');
+
+  drawHeader();
+  rows.forEach((row, index) => {
+    drawRow(cells.map(cell => {
+      const value = cell.key === '_index' ? index + 1 : row[cell.key];
+      return value === undefined || value === null ? '' : String(value);
+    }), 'Helvetica');
+  });
+
+  doc.x = MARGIN;
+  doc.y += 15;
+};
+
+/**
+ * Print signature lines across the bottom of the last page
+ * @param {PDFDocument} doc
+ * @param {Array<String>} labels - e.g. ['Prepared by', 'Driver', 'Received by']
+ */
+const drawSignatures = (doc, labels) => {
+  const blockHeight = 60;
+  if (doc.y + blockHeight > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+  const y = Math.max(doc.y + 30, doc.page.height - MARGIN - blockHeight);
+  const slotWidth = (doc.page.width - MARGIN * 2) / labels.length;
+
+  labels.forEach((label, i) => {
+    const x = MARGIN + slotWidth * i;
+    doc.moveTo(x + 10, y + 30).lineTo(x + slotWidth - 10, y + 30).lineWidth(0.5).stroke();
+    doc.font('Helvetica').fontSize(9).text(label, x + 10, y + 35, { width: slotWidth - 20, align: 'center' });
+  });
+};
+
+/**
+ * Generate a PDF document on the company letterhead
+ * @param {Object} options - Options for generating the document
+ * @param {String} options.title - Document title, e.g. DISPATCH CHALLAN
+ * @param {Object} [options.recipient] - { heading, lines } printed on the left
+ * @param {Array<Array>} [options.details] - [[label, value]] printed on the right; empty values are skipped
+ * @param {Array<String>} [options.paragraphs] - Body text printed before the line items
+ * @param {Array<Object>} [options.columns] - Line item columns, see drawTable
+ * @param {Array<Object>} [options.rows] - Line items
+ * @param {String} [options.notes] - Remarks printed after the line items
+ * @param {Array<String>} [options.signatures] - Signature line labels
+ * @returns {PDFDocument} - The finished document, ready to pipe to a response
+ */
+const generatePdf = (options) => {
+  try {
+    const { title, recipient, details = [], paragraphs = [], columns, rows = [], notes, signatures = [] } = options;
+
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title, Author: config.company.name } });
+
+    drawLetterhead(doc);
+    doc.font('Helvetica-Bold').fontSize(14).text(title, { align: 'center' });
+    doc.moveDown();
+
+    drawParties(doc, recipient, details);
+
+    paragraphs.filter(Boolean).forEach(paragraph => {
+      doc.font('Helvetica').fontSize(10).text(paragraph, { align: 'justify' });
+      doc.moveDown(0.5);
+    });
+    if (paragraphs.length > 0) doc.moveDown(0.5);
+
+    if (columns) {
+      drawTable(doc, columns, rows);
+    }
+
+    if (notes) {
+      doc.font('Helvetica-Bold').fontSize(10).text('Remarks');
+      doc.font('Helvetica').fontSize(10).text(notes);
+      doc.moveDown();
+    }
+
+    if (signatures.length > 0) {
+      drawSignatures(doc, signatures);
+    }
+
+    doc.end();
+    return doc;
+  } catch (error) {
+    logger.error(`Error generating PDF: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  generatePdf,
+  pdfFilename,
+  formatDate
+};
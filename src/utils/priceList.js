@@ -0,0 +1,107 @@
+const PriceList = require('../models/PriceList');
+const config = require('../config/config');
+
+const normalise = (value) => (value ? value.toString().trim().toLowerCase() : '');
+
+// Distributor overrides beat shop type overrides, which beat the base rate
+const specificity = (entry) => (entry.distributorId ? 2 : 0) + (entry.shopType ? 1 : 0);
+
+/**
+ * Load every price list entry that could apply to the given brands on a date
+ * @param {Object} params - { brandNames, distributorId, date }
+ * @returns {Promise<Array>}
+ */
+const loadCandidates = async ({ brandNames, distributorId, date }) => {
+  const distributorScope = [{ distributorId: null }];
+  if (distributorId) distributorScope.push({ distributorId });
+
+  return PriceList.find({
+    isActive: true,
+    brandName: { $in: brandNames },
+    effectiveFrom: { $lte: date },
+    $and: [
+      { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }] },
+      { $or: distributorScope }
+    ]
+  })
+    .collation({ locale: 'en', strength: 2 }) // Reps type brand names in any case
+    .lean();
+};
+
+/**
+ * Pick the most specific, most recent entry for a brand/variant/size
+ * @param {Array} candidates - Entries returned by loadCandidates
+ * @param {Object} item - { brandName, variant, size }
+ * @param {String} shopType - 'Retailer' or 'Whole Seller'
+ * @returns {Object|null}
+ */
+const pickEntry = (candidates, item, shopType) => {
+  const matches = candidates.filter(entry =>
+    normalise(entry.brandName) === normalise(item.brandName) &&
+    normalise(entry.variant) === normalise(item.variant) &&
+    normalise(entry.size) === normalise(item.size) &&
+    (!entry.shopType || entry.shopType === shopType)
+  );
+
+  matches.sort((a, b) =>
+    specificity(b) - specificity(a) || new Date(b.effectiveFrom) - new Date(a.effectiveFrom)
+  );
+
+  return matches[0] || null;
+};
+
+/**
+ * Resolve the applicable price list entry for a single product
+ * @param {Object} params - { brandName, variant, size, distributorId, shopType, date }
+ * @returns {Promise<Object|null>}
+ */
+exports.resolveRate = async ({ brandName, variant, size, distributorId, shopType, date = new Date() }) => {
+  const candidates = await loadCandidates({ brandNames: [brandName], distributorId, date });
+  return pickEntry(candidates, { brandName, variant, size }, shopType);
+};
+
+/**
+ * Default missing rates from the price list and flag rates that deviate from it
+ * by more than the configured tolerance
+ * @param {Array} lines - Sales order lines ({ brandName, variant, size, rate, ... })
+ * @param {Object} context - { distributorId, shopType, date }
+ * @returns {Promise<Array>} - Lines with rate, listRate, priceListId, rateDeviationPercent and isRateFlagged
+ */
+exports.applyPriceList = async (lines, { distributorId, shopType, date = new Date() } = {}) => {
+  if (!Array.isArray(lines) || lines.length === 0) return lines;
+
+  const brandNames = [...new Set(lines.map(line => line.brandName).filter(Boolean))];
+  const candidates = await loadCandidates({ brandNames, distributorId, date });
+  const tolerance = config.rateDeviationTolerancePercent;
+
+  return lines.map(line => {
+    const entry = pickEntry(candidates, line, shopType);
+    if (!entry) {
+      return { ...line, isRateFlagged: false };
+    }
+
+    const enteredRate = Number(line.rate) || 0;
+    if (enteredRate === 0) {
+      return {
+        ...line,
+        rate: entry.rate,
+        listRate: entry.rate,
+        priceListId: entry._id,
+        rateDeviationPercent: 0,
+        isRateFlagged: false
+      };
+    }
+
+    const deviation = entry.rate > 0
+      ? Math.round(((enteredRate - entry.rate) / entry.rate) * 10000) / 100
+      : 0;
+
+    return {
+      ...line,
+      listRate: entry.rate,
+      priceListId: entry._id,
+      rateDeviationPercent: deviation,
+      isRateFlagged: Math.abs(deviation) > tolerance
+    };
+  });
+};
@@ -0,0 +1,114 @@
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const { notificationEvents, EVENTS } = require('./notifications');
+const config = require('../config/config');
+const logger = require('./logger');
+
+/**
+ * Aggregate the retailer shop visits and sales orders logged during a
+ * marketing activity, as stored on the activity at punch-out
+ * @param {String} marketingActivityId - MarketingStaffActivity ID
+ * @returns {Promise<Object>} - { salesOrders, totalSalesOrders, totalSalesValue, totalShopsVisited }
+ */
+const calculateSalesTotals = async (marketingActivityId) => {
+  const retailerActivities = await RetailerShopActivity.find({
+    marketingActivityId
+  });
+
+  let totalSalesOrders = 0;
+  let totalSalesValue = 0;
+  const salesOrders = [];
+
+  retailerActivities.forEach(activity => {
+    if (activity.salesOrders && activity.salesOrders.length > 0) {
+      totalSalesOrders += activity.salesOrders.length;
+      activity.salesOrders.forEach(order => {
+        const orderValue = (order.quantity || 0) * (order.rate || 0);
+        totalSalesValue += orderValue;
+        salesOrders.push({
+          ...order,
+          shopName: activity.shopName,
+          shopId: activity.shopId,
+          totalValue: orderValue
+        });
+      });
+    }
+  });
+
+  return {
+    salesOrders,
+    totalSalesOrders,
+    totalSalesValue,
+    totalShopsVisited: retailerActivities.length
+  };
+};
+
+/**
+ * The first cutoff after a punch-in. A session started after the cutoff
+ * time runs until the next day's cutoff.
+ * @param {Date} start - Punch-in time
+ * @returns {Date}
+ */
+const cutoffFor = (start) => {
+  const [hours, minutes] = config.autoPunchOut.cutoffTime.split(':').map(Number);
+  const cutoff = new Date(start);
+  cutoff.setHours(hours || 0, minutes || 0, 0, 0);
+  if (cutoff <= start) cutoff.setDate(cutoff.getDate() + 1);
+  return cutoff;
+};
+
+/**
+ * Close marketing activities still punched in past their cutoff. The punch-out
+ * time is set to the cutoff, totals are recomputed as on a normal punch-out,
+ * and the staff member's manager is notified.
+ * @param {Object} [options]
+ * @param {String} [options.staffId] - Only close this staff member's sessions
+ * @returns {Promise<Number>} - Number of sessions closed
+ */
+const closeStaleSessions = async ({ staffId } = {}) => {
+  const now = new Date();
+  const query = { status: 'Punched In', meetingEndTime: null };
+  if (staffId) query.marketingStaffId = staffId;
+
+  const openSessions = await MarketingStaffActivity.find(query).select('meetingStartTime');
+  let closed = 0;
+
+  for (const session of openSessions) {
+    const cutoff = cutoffFor(new Date(session.meetingStartTime));
+    if (cutoff > now) continue;
+
+    // Claim the session so a punch-out arriving at the same time is not overwritten
+    const activity = await MarketingStaffActivity.findOneAndUpdate(
+      { _id: session._id, status: 'Punched In', meetingEndTime: null },
+      {
+        $set: {
+          status: 'Punched Out',
+          meetingEndTime: cutoff,
+          durationMinutes: Math.round((cutoff - new Date(session.meetingStartTime)) / (1000 * 60)),
+          autoClosed: true,
+          autoCloseReason: `Not punched out by ${config.autoPunchOut.cutoffTime}; closed automatically`
+        }
+      },
+      { new: true }
+    );
+    if (!activity) continue;
+
+    try {
+      Object.assign(activity, await calculateSalesTotals(activity._id));
+      await activity.save();
+    } catch (error) {
+      logger.error(`Failed to recompute totals for auto-closed activity ${activity._id}: ${error.message}`);
+    }
+
+    closed++;
+    logger.info(`Auto punch-out: closed activity ${activity._id} of staff ${activity.marketingStaffId}`);
+    notificationEvents.emit(EVENTS.SESSION_AUTO_CLOSED, { activity });
+  }
+
+  return closed;
+};
+
+module.exports = {
+  calculateSalesTotals,
+  closeStaleSessions
+};
@@ -0,0 +1,151 @@
+const Notification = require('../models/Notification');
+const DeviceToken = require('../models/DeviceToken');
+const { getProvider } = require('./pushProviders');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// How long a claimed notification is hidden from other workers while it is sent
+const LEASE_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+/**
+ * Mark a device token as unusable so it is not tried again
+ * @param {Object} device - DeviceToken document
+ * @param {String} reason - Provider error
+ */
+const invalidateToken = async (device, reason) => {
+  device.isActive = false;
+  device.invalidatedAt = new Date();
+  device.invalidReason = reason;
+  await device.save();
+  logger.info(`Device token ${device._id} of user ${device.user} invalidated: ${reason}`);
+};
+
+/**
+ * Push a stored notification to all active devices of its recipient.
+ * Transient failures are rescheduled with exponential backoff until
+ * config.push.maxAttempts is reached.
+ * @param {String} notificationId - Notification ID
+ * @returns {Promise<Object|null>} - Updated notification, or null if it was not due or already claimed
+ */
+const deliverNotification = async (notificationId) => {
+  const now = new Date();
+
+  // Claim the notification so that the worker and an immediate push never send it twice
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, 'push.status': 'Pending', 'push.nextAttemptAt': { $lte: now } },
+    { $set: { 'push.nextAttemptAt': new Date(now.getTime() + LEASE_MS) }, $inc: { 'push.attempts': 1 } },
+    { new: true }
+  );
+
+  if (!notification) return null;
+
+  const devices = await DeviceToken.find({ user: notification.recipient, isActive: true });
+
+  if (devices.length === 0) {
+    notification.push.status = 'Skipped';
+    notification.push.lastError = 'No registered devices';
+    return notification.save();
+  }
+
+  const provider = getProvider();
+  let delivered = 0;
+  let lastError = null;
+  let retryable = false;
+
+  for (const device of devices) {
+    try {
+      await provider.send({
+        token: device.token,
+        title: notification.title,
+        body: notification.message,
+        data: {
+          ...notification.data,
+          notificationId: notification._id.toString(),
+          type: notification.type,
+          relatedId: notification.relatedId ? notification.relatedId.toString() : '',
+          onModel: notification.onModel || ''
+        }
+      });
+      delivered++;
+    } catch (error) {
+      lastError = error.message;
+      if (error.permanent) {
+        await invalidateToken(device, error.message);
+      } else {
+        retryable = true;
+      }
+    }
+  }
+
+  if (delivered > 0) {
+    notification.push.status = 'Sent';
+    notification.push.sentAt = new Date();
+    notification.push.lastError = lastError || undefined;
+  } else if (retryable && notification.push.attempts < config.push.maxAttempts) {
+    const delayMs = config.push.retryDelaySeconds * 1000 * 2 ** (notification.push.attempts - 1);
+    notification.push.nextAttemptAt = new Date(Date.now() + delayMs);
+    notification.push.lastError = lastError;
+  } else {
+    notification.push.status = 'Failed';
+    notification.push.lastError = lastError;
+    logger.warn(`Push for notification ${notification._id} failed after ${notification.push.attempts} attempt(s): ${lastError}`);
+  }
+
+  return notification.save();
+};
+
+/**
+ * Deliver every notification whose push is due
+ * @returns {Promise<Number>} - Number of notifications processed
+ */
+const processPendingPushes = async () => {
+  const due = await Notification.find({
+    'push.status': 'Pending',
+    'push.nextAttemptAt': { $lte: new Date() }
+  })
+    .sort({ 'push.nextAttemptAt': 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  let processed = 0;
+  for (const { _id } of due) {
+    try {
+      if (await deliverNotification(_id)) processed++;
+    } catch (error) {
+      logger.error(`Push delivery for notification ${_id} failed: ${error.message}`);
+    }
+  }
+
+  return processed;
+};
+
+/**
+ * Start the background push delivery worker
+ * @returns {Object} - Interval handle
+ */
+const startPushWorker = () => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick while the previous batch is still sending
+    if (running) return;
+    running = true;
+    try {
+      await processPendingPushes();
+    } catch (error) {
+      logger.error(`Push worker error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  logger.info(`Push worker started (provider: ${getProvider().name}, every ${config.push.workerIntervalSeconds}s)`);
+  return setInterval(tick, config.push.workerIntervalSeconds * 1000);
+};
+
+module.exports = {
+  deliverNotification,
+  processPendingPushes,
+  startPushWorker
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('./logger');
+
+/*
+ * A push provider exposes `send({ token, title, body, data })`.
+ * It resolves when the message was accepted and rejects otherwise. Errors
+ * with `permanent: true` mean the token will never work again (uninstalled
+ * app, malformed token) and should be invalidated; any other error is
+ * treated as transient and retried.
+ */
+
+const pushError = (message, permanent = false) => {
+  const error = new Error(message);
+  error.permanent = permanent;
+  return error;
+};
+
+// FCM error codes that mean the registration token is dead
+const FCM_PERMANENT_ERRORS = ['NotRegistered', 'InvalidRegistration', 'MismatchSenderId'];
+
+const fcmProvider = {
+  name: 'fcm',
+  send: async ({ token, title, body, data }) => {
+    if (!config.push.fcmServerKey) {
+      throw pushError('FCM_SERVER_KEY is not configured');
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        config.push.fcmUrl,
+        {
+          to: token,
+          priority: 'high',
+          notification: { title, body },
+          // FCM data payload values must be strings
+          data: Object.fromEntries(
+            Object.entries(data || {}).map(([key, value]) => [key, value == null ? '' : String(value)])
+          )
+        },
+        {
+          headers: { Authorization: `key=${config.push.fcmServerKey}` },
+          timeout: 10000
+        }
+      );
+    } catch (error) {
+      // 4xx other than rate limiting will not succeed on retry either, but it is a
+      // problem with our request rather than the token, so keep the token
+      throw pushError(`FCM request failed: ${error.response ? error.response.status : error.message}`);
+    }
+
+    const result = response.data && response.data.results && response.data.results[0];
+    if (result && result.error) {
+      throw pushError(`FCM error: ${result.error}`, FCM_PERMANENT_ERRORS.includes(result.error));
+    }
+  }
+};
+
+// Local stand-ins. Tokens starting with "invalid" fail permanently so that
+// token invalidation can be exercised without a real device.
+const rejectInvalidToken = (token) => {
+  if (token.startsWith('invalid')) {
+    throw pushError('NotRegistered', true);
+  }
+};
+
+const fileProvider = {
+  name: 'file',
+  send: async (message) => {
+    rejectInvalidToken(message.token);
+    const filePath = path.resolve(config.push.filePath);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+  }
+};
+
+const consoleProvider = {
+  name: 'console',
+  send: async ({ token, title, body }) => {
+    rejectInvalidToken(token);
+    logger.info(`[push] ${token.slice(0, 12)}...: ${title} - ${body}`);
+  }
+};
+
+const providers = {
+  fcm: fcmProvider,
+  file: fileProvider,
+  console: consoleProvider
+};
+
+/**
+ * Get the configured push provider
+ * @returns {Object} - Provider with a send method
+ */
+const getProvider = () => {
+  const provider = providers[config.push.provider];
+  if (!provider) {
+    logger.warn(`Unknown push provider "${config.push.provider}", falling back to console`);
+    return consoleProvider;
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  pushError
+};
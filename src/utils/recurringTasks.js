@@ -0,0 +1,129 @@
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const { nextCronDate } = require('./cron');
+const { notificationEvents, EVENTS } = require('./notifications');
+const logger = require('./logger');
+
+/**
+ * Express a template's recurrence as a cron expression
+ * @param {Object} recurrence - { frequency, daysOfWeek, dayOfMonth, time }
+ * @returns {String}
+ */
+const recurrenceToCron = ({ frequency, daysOfWeek, dayOfMonth, time }) => {
+  const [hours, minutes] = (time || '09:00').split(':').map(Number);
+  if (frequency === 'weekly') return `${minutes} ${hours} * * ${[...daysOfWeek].sort().join(',')}`;
+  if (frequency === 'monthly') return `${minutes} ${hours} ${dayOfMonth} * *`;
+  return `${minutes} ${hours} * * *`;
+};
+
+/**
+ * Next time a template should create a task
+ * @param {Object} template - TaskTemplate (recurrence, startDate, endDate)
+ * @param {Date} [after] - Defaults to now
+ * @returns {Date|null} - null when the template has no occurrences left
+ */
+const nextOccurrence = (template, after = new Date()) => {
+  let from = new Date(after);
+  // An occurrence exactly at the start date counts
+  if (template.startDate && new Date(template.startDate) > from) {
+    from = new Date(new Date(template.startDate).getTime() - 60 * 1000);
+  }
+
+  const next = nextCronDate(recurrenceToCron(template.recurrence), from);
+  if (template.endDate && next > new Date(template.endDate)) return null;
+  return next;
+};
+
+/**
+ * Create the task for one occurrence of a template. The template's fields
+ * are copied, so later edits to the template leave the task as it was.
+ * @param {Object} template - TaskTemplate document
+ * @param {Date} occurrenceDate - Occurrence being created
+ * @returns {Promise<Object|null>} - Created task, or null if it already exists
+ */
+const spawnTask = async (template, occurrenceDate) => {
+  const taskData = {
+    title: template.title,
+    description: template.description,
+    status: 'Pending',
+    staffRole: template.staffRole,
+    assignedTo: template.assignedTo,
+    createdBy: template.createdBy,
+    assignedDate: occurrenceDate,
+    template: template._id,
+    occurrenceDate
+  };
+
+  if (template.distributorId) taskData.distributorId = template.distributorId;
+  if (template.brand) taskData.brand = template.brand;
+  if (template.variant) taskData.variant = template.variant;
+  if (template.size) taskData.size = template.size;
+  if (template.quantity) taskData.quantity = template.quantity;
+  if (template.items && template.items.length > 0) {
+    taskData.items = template.items.map(item => ({
+      brand: item.brand,
+      variant: item.variant,
+      size: item.size || 'N/A',
+      quantity: item.quantity
+    }));
+  }
+  if (template.checklist && template.checklist.length > 0) {
+    taskData.checklist = template.checklist.map(item => ({
+      label: item.label,
+      required: item.required
+    }));
+  }
+  if (template.deadlineHours) {
+    taskData.deadline = new Date(occurrenceDate.getTime() + template.deadlineHours * 60 * 60 * 1000);
+  }
+
+  try {
+    const task = await Task.create(taskData);
+    notificationEvents.emit(EVENTS.TASK_ASSIGNED, { task, actorId: template.createdBy });
+    return task;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Create tasks for every template whose next occurrence has come. When
+ * several occurrences were missed (e.g. the server was down) only the latest
+ * one is created, so staff do not receive a backlog of stale tasks.
+ * @returns {Promise<Number>} - Tasks created
+ */
+const spawnDueTasks = async () => {
+  const now = new Date();
+  const templates = await TaskTemplate.find({ isPaused: false, nextRunAt: { $lte: now } });
+
+  let created = 0;
+  for (const template of templates) {
+    try {
+      let occurrence = template.nextRunAt;
+      let following = nextOccurrence(template, occurrence);
+      while (following && following <= now) {
+        occurrence = following;
+        following = nextOccurrence(template, occurrence);
+      }
+
+      // Move the template on first, only if no one else already has
+      const claimed = await TaskTemplate.updateOne(
+        { _id: template._id, nextRunAt: template.nextRunAt, isPaused: false },
+        { $set: { nextRunAt: following, lastSpawnedAt: now }, $inc: { spawnCount: 1 } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      if (await spawnTask(template, occurrence)) created++;
+    } catch (error) {
+      logger.error(`Failed to create task from template ${template._id}: ${error.message}`);
+    }
+  }
+
+  return created;
+};
+
+module.exports = {
+  nextOccurrence,
+  spawnDueTasks
+};
@@ -0,0 +1,239 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const { nextCronDate } = require('./cron');
+const { auditStorage } = require('./audit');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// Identifies this process in job locks and run history
+const INSTANCE_ID = config.scheduler.instanceId || `${os.hostname()}:${process.pid}`;
+
+// Jobs defined in code: name -> { name, cron, description, handler, maxAttempts, retryDelaySeconds, lockSeconds }
+const definitions = new Map();
+
+/**
+ * Define a job. The handler receives { job, run } and may return a summary
+ * that is stored on the run.
+ * @param {String} name - Unique job name, used in the admin endpoints
+ * @param {Object} options - { cron, description, handler, maxAttempts, retryDelaySeconds, lockSeconds }
+ * @throws {Error} - When the cron expression is invalid
+ */
+const defineJob = (name, options) => {
+  nextCronDate(options.cron);
+  definitions.set(name, {
+    maxAttempts: 3,
+    retryDelaySeconds: 60,
+    // A run taking longer than this may be started again by another instance
+    lockSeconds: 10 * 60,
+    ...options,
+    name
+  });
+};
+
+const isDefined = (name) => definitions.has(name);
+
+/**
+ * Store the job definitions. Pause state and history are kept; a new job, or
+ * one whose schedule changed, gets its next run time from the cron expression.
+ */
+const syncDefinitions = async () => {
+  for (const definition of definitions.values()) {
+    const existing = await ScheduledJob.findOne({ name: definition.name }).select('cronExpression');
+    const update = {
+      description: definition.description,
+      cronExpression: definition.cron,
+      maxAttempts: definition.maxAttempts,
+      retryDelaySeconds: definition.retryDelaySeconds
+    };
+    if (!existing || existing.cronExpression !== definition.cron) {
+      update.nextRunAt = nextCronDate(definition.cron);
+      update.failedAttempts = 0;
+    }
+
+    try {
+      await ScheduledJob.updateOne({ name: definition.name }, { $set: update }, { upsert: true });
+    } catch (error) {
+      // Another instance inserted the job at the same time
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+/**
+ * Lock a job for this instance
+ * @param {String} name - Job name
+ * @param {Object} filter - Extra conditions the job must meet
+ * @returns {Promise<Object|null>} - Locked job, or null if it is locked elsewhere or does not match
+ */
+const claimJob = async (name, filter = {}) => {
+  const now = new Date();
+  return ScheduledJob.findOneAndUpdate(
+    {
+      name,
+      ...filter,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + definitions.get(name).lockSeconds * 1000)
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Run a locked job's handler, record the outcome and release the lock.
+ * A failed scheduled run is retried with exponential backoff until
+ * maxAttempts; after that the job waits for its next cron time. Manual
+ * runs are never retried and do not move the schedule.
+ * @param {Object} job - Locked ScheduledJob document
+ * @param {Object} run - JobRun document
+ */
+const executeRun = async (job, run) => {
+  const definition = definitions.get(job.name);
+  let result;
+  let failure = null;
+
+  try {
+    result = await definition.handler({ job, run });
+  } catch (error) {
+    failure = error;
+  }
+
+  const finishedAt = new Date();
+  await JobRun.updateOne({ _id: run._id }, {
+    $set: {
+      status: failure ? 'Failed' : 'Succeeded',
+      finishedAt,
+      durationMs: finishedAt - run.startedAt,
+      result,
+      error: failure ? failure.message : undefined
+    }
+  });
+
+  const update = {
+    lockedBy: null,
+    lockedUntil: null,
+    lastRunAt: run.startedAt,
+    lastStatus: failure ? 'Failed' : 'Succeeded',
+    lastError: failure ? failure.message : null
+  };
+
+  if (run.trigger !== 'Manual') {
+    if (failure && run.attempt < job.maxAttempts) {
+      update.failedAttempts = run.attempt;
+      update.nextRunAt = new Date(finishedAt.getTime() + job.retryDelaySeconds * 1000 * Math.pow(2, run.attempt - 1));
+    } else {
+      update.failedAttempts = 0;
+      update.nextRunAt = nextCronDate(job.cronExpression, finishedAt);
+    }
+  }
+
+  await ScheduledJob.updateOne({ _id: job._id, lockedBy: INSTANCE_ID }, { $set: update });
+
+  if (failure) {
+    logger.error(`Job ${job.name} failed (attempt ${run.attempt}): ${failure.message}`);
+  } else {
+    logger.info(`Job ${job.name} finished in ${finishedAt - run.startedAt}ms`);
+  }
+};
+
+/**
+ * Start every due, unpaused job that this instance can lock
+ * @returns {Promise<Number>} - Number of jobs started
+ */
+const runDueJobs = async () => {
+  const now = new Date();
+  const due = await ScheduledJob.find({
+    name: { $in: [...definitions.keys()] },
+    isPaused: false,
+    nextRunAt: { $lte: now }
+  }).select('name');
+
+  let started = 0;
+  for (const { name } of due) {
+    const job = await claimJob(name, { isPaused: false, nextRunAt: { $lte: now } });
+    if (!job) continue;
+
+    const run = await JobRun.create({
+      job: name,
+      trigger: job.failedAttempts > 0 ? 'Retry' : 'Schedule',
+      attempt: job.failedAttempts + 1,
+      instance: INSTANCE_ID
+    });
+
+    started++;
+    executeRun(job, run).catch(error => logger.error(`Job ${name} could not be completed: ${error.message}`));
+  }
+
+  return started;
+};
+
+/**
+ * Run a job now, outside its schedule. The handler runs in the background.
+ * @param {String} name - Job name
+ * @param {String} userId - Admin who triggered the run
+ * @returns {Promise<Object|null>} - The started JobRun, or null if the job is already running
+ */
+const triggerJob = async (name, userId) => {
+  const job = await claimJob(name);
+  if (!job) return null;
+
+  const run = await JobRun.create({
+    job: name,
+    trigger: 'Manual',
+    instance: INSTANCE_ID,
+    triggeredBy: userId
+  });
+
+  // The run records who triggered it; the job's own writes are not
+  // attributed to the admin's request in the audit trail
+  auditStorage.exit(() => {
+    executeRun(job, run).catch(error => logger.error(`Job ${name} could not be completed: ${error.message}`));
+  });
+
+  return run;
+};
+
+/**
+ * Register job definitions in the database and start polling for due jobs
+ * @returns {Object|null} - Interval handle, or null when disabled
+ */
+const startScheduler = () => {
+  if (!config.scheduler.enabled) {
+    logger.info('Job scheduler disabled');
+    return null;
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      logger.error(`Job scheduler error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  syncDefinitions()
+    .then(tick)
+    .catch(error => logger.error(`Failed to register scheduled jobs: ${error.message}`));
+
+  logger.info(`Job scheduler started on ${INSTANCE_ID} (${definitions.size} jobs, polling every ${config.scheduler.pollSeconds}s)`);
+  return setInterval(tick, config.scheduler.pollSeconds * 1000);
+};
+
+module.exports = {
+  defineJob,
+  isDefined,
+  runDueJobs,
+  triggerJob,
+  startScheduler
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const DeviceToken = require('../models/DeviceToken');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// Rotated-out hashes kept per session for reuse detection
+const PREVIOUS_HASH_LIMIT = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + config.refreshTokenExpirationDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Start a session for a device after login
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device details come from the body or X-Device-* headers)
+ * @returns {Promise<Object>} - { session, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const body = req.body || {};
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    deviceId: body.deviceId || req.get('x-device-id'),
+    deviceName: body.deviceName || req.get('x-device-name'),
+    platform: body.platform || req.get('x-platform'),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Revoke a session and stop push notifications to its device
+ * @param {Object} session - Session document
+ * @param {String} reason - Why the session ended
+ * @returns {Promise<Object>} - Updated session
+ */
+const revokeSession = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+
+  if (session.deviceId) {
+    await DeviceToken.updateMany(
+      { user: session.user, deviceId: session.deviceId, isActive: true },
+      { isActive: false, invalidatedAt: new Date(), invalidReason: `Session ended: ${reason}` }
+    );
+  }
+
+  return session;
+};
+
+/**
+ * Exchange a refresh token for a new one. Presenting a token that was
+ * already rotated out means it leaked, so the whole session is revoked.
+ * @param {String} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { session, refreshToken } on success, { error, code } otherwise
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+      },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -PREVIOUS_HASH_LIMIT } }
+    },
+    { new: true }
+  ).populate('user', '+passwordChangedAt');
+
+  if (session) {
+    const { user } = session;
+
+    // Password changes and deactivation end every existing session
+    if (!user || user.active === false) {
+      await revokeSession(session, 'User inactive');
+      return { error: 'User is no longer active', code: 'SESSION_REVOKED' };
+    }
+    if (user.passwordChangedAt && user.passwordChangedAt > session.createdAt) {
+      await revokeSession(session, 'Password changed');
+      return { error: 'Password was changed. Please log in again.', code: 'PASSWORD_CHANGED' };
+    }
+
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await Session.findOne({ previousTokenHashes: hash, revokedAt: null });
+  if (reused) {
+    logger.warn(`Refresh token reuse detected for session ${reused._id} of user ${reused.user}; session revoked`);
+    await revokeSession(reused, 'Refresh token reuse detected');
+    return { error: 'Refresh token has already been used. Please log in again.', code: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  return { error: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' };
+};
+
+/**
+ * Find the active session a refresh token belongs to
+ * @param {String} refreshToken - Refresh token
+ * @returns {Promise<Object|null>}
+ */
+const findSessionByRefreshToken = (refreshToken) =>
+  Session.findOne({ tokenHash: hashToken(refreshToken), revokedAt: null });
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  findSessionByRefreshToken
+};
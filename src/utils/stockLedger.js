@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const StockMovement = require('../models/StockMovement');
+const { resolveItems } = require('./catalog');
+const logger = require('./logger');
+
+/**
+ * Resolve an id from a value that may be a populated document
+ * @param {Object|String} value - ObjectId, id string or populated document
+ * @returns {Object|String}
+ */
+const resolveId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Post movements for a source document once; repeated calls for the same
+ * source and movement type are ignored so a retried dispatch cannot double count.
+ * Each entry is keyed by its line index and the key is unique, so concurrent
+ * calls cannot both post: the second one's inserts fail as duplicates.
+ * @param {Object} source - { sourceModel, sourceId, movementType }
+ * @param {Array} entries - Movement entries to create, one per source line
+ * @returns {Promise<Array>} - Created movements (empty if already posted)
+ */
+const postOnce = async ({ sourceModel, sourceId, movementType }, entries) => {
+  const valid = entries
+    .map((entry, lineIndex) => ({ ...entry, sourceModel, sourceId, movementType, lineIndex }))
+    .filter(entry => entry.brand && entry.quantity > 0);
+  if (valid.length === 0) return [];
+
+  const alreadyPosted = await StockMovement.exists({ sourceModel, sourceId, movementType });
+  if (alreadyPosted) {
+    logger.warn(`Stock movements for ${sourceModel} ${sourceId} (${movementType}) already posted`);
+    return [];
+  }
+
+  try {
+    return await StockMovement.insertMany(valid, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    // Mongoose copies the driver's write errors, which keeps the code on `err`
+    if (writeErrors.length === 0 || writeErrors.some(writeError => (writeError.err || writeError).code !== 11000)) {
+      throw error;
+    }
+    logger.warn(`Stock movements for ${sourceModel} ${sourceId} (${movementType}) posted concurrently; duplicates skipped`);
+    return error.insertedDocs || [];
+  }
+};
+
+/**
+ * Post the inward movements for a dispatched order.
+ * Ledger errors are logged rather than thrown because the dispatch itself has
+ * already been saved by the time this runs.
+ * @param {Object} order - Dispatched order document
+ * @param {String} userId - User who dispatched the order
+ * @returns {Promise<Array>}
+ */
+exports.postOrderDispatch = async (order, userId) => {
+  try {
+    const distributorId = resolveId(order.distributorId);
+
+    // Order lines carry a single product name; post them under the catalog's
+    // brand/variant/size so they join the other stock and order figures
+    const resolved = await resolveItems(order.items, { brand: 'productName', variant: null, size: null });
+
+    return await postOnce(
+      { sourceModel: 'Order', sourceId: order._id, movementType: 'Order Dispatch' },
+      resolved.map(({ item, match }) => ({
+        distributorId,
+        brand: match ? match.brandName : item.productName,
+        variant: match && match.variant ? match.variant : '',
+        size: match && match.size ? match.size : '',
+        unit: item.unit,
+        direction: 'In',
+        quantity: item.quantity,
+        createdBy: userId
+      }))
+    );
+  } catch (error) {
+    logger.error(`Failed to post stock movements for order ${order._id}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Post the inward movements for a dispatched sales inquiry
+ * @param {Object} salesInquiry - Dispatched sales inquiry document
+ * @param {String} userId - User who dispatched the inquiry
+ * @returns {Promise<Array>}
+ */
+exports.postSalesInquiryDispatch = async (salesInquiry, userId) => {
+  try {
+    const distributorId = resolveId(salesInquiry.distributorId);
+
+    return await postOnce(
+      { sourceModel: 'SalesInquiry', sourceId: salesInquiry._id, movementType: 'Sales Inquiry Dispatch' },
+      salesInquiry.products.map(product => ({
+        distributorId,
+        brand: product.brand,
+        variant: product.variant,
+        size: product.size,
+        direction: 'In',
+        quantity: product.quantity,
+        referenceNumber: salesInquiry.trackingNumber,
+        movementDate: salesInquiry.dispatchDate || new Date(),
+        createdBy: userId
+      }))
+    );
+  } catch (error) {
+    logger.error(`Failed to post stock movements for sales inquiry ${salesInquiry._id}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Post the movements for a damage claim replacement: the damaged pieces are
+ * written off and the same number of replacement pieces are received
+ * @param {Object} damageClaim - Damage claim with replacement details
+ * @param {String} userId - User who processed the replacement
+ * @returns {Promise<Array>}
+ */
+exports.postDamageReplacement = async (damageClaim, userId) => {
+  try {
+    const pieces = damageClaim.approvedPieces ||
+      (damageClaim.status === 'Approved' ? damageClaim.pieces : 0);
+    const replacement = damageClaim.replacementDetails || {};
+
+    const entry = {
+      distributorId: resolveId(damageClaim.distributorId),
+      brand: damageClaim.brand,
+      variant: damageClaim.variant,
+      size: damageClaim.size,
+      quantity: pieces,
+      referenceNumber: replacement.referenceNumber || damageClaim.trackingId,
+      movementDate: replacement.dispatchDate || new Date(),
+      createdBy: userId
+    };
+
+    const writeOff = await postOnce(
+      { sourceModel: 'DamageClaim', sourceId: damageClaim._id, movementType: 'Damage Write-off' },
+      [{ ...entry, direction: 'Out', notes: `Damaged stock written off (${damageClaim.damageType})` }]
+    );
+    const replaced = await postOnce(
+      { sourceModel: 'DamageClaim', sourceId: damageClaim._id, movementType: 'Damage Replacement' },
+      [{ ...entry, direction: 'In', notes: `Replacement for claim ${damageClaim.trackingId}` }]
+    );
+
+    return [...writeOff, ...replaced];
+  } catch (error) {
+    logger.error(`Failed to post stock movements for damage claim ${damageClaim._id}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Aggregate current stock balances from the ledger
+ * @param {Object} filter - Optional { distributorId, brand, variant, size, asOf }
+ * @returns {Promise<Array>} - Balances grouped by distributor × brand/variant/size
+ */
+exports.getBalances = async (filter = {}) => {
+  const match = {};
+
+  if (filter.distributorId) {
+    match.distributorId = new mongoose.Types.ObjectId(filter.distributorId.toString());
+  }
+  if (filter.brand) match.brand = filter.brand;
+  if (filter.variant) match.variant = filter.variant;
+  if (filter.size) match.size = filter.size;
+  if (filter.asOf) match.movementDate = { $lte: new Date(filter.asOf) };
+
+  return StockMovement.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          distributorId: '$distributorId',
+          brand: '$brand',
+          variant: '$variant',
+          size: '$size'
+        },
+        totalIn: { $sum: { $cond: [{ $eq: ['$direction', 'In'] }, '$quantity', 0] } },
+        totalOut: { $sum: { $cond: [{ $eq: ['$direction', 'Out'] }, '$quantity', 0] } },
+        lastMovementDate: { $max: '$movementDate' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'distributors',
+        localField: '_id.distributorId',
+        foreignField: '_id',
+        as: 'distributor'
+      }
+    },
+    { $unwind: { path: '$distributor', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        distributorId: '$_id.distributorId',
+        distributorName: '$distributor.name',
+        brand: '$_id.brand',
+        variant: '$_id.variant',
+        size: '$_id.size',
+        totalIn: 1,
+        totalOut: 1,
+        balance: { $subtract: ['$totalIn', '$totalOut'] },
+        lastMovementDate: 1
+      }
+    },
+    { $sort: { distributorName: 1, brand: 1, variant: 1, size: 1 } }
+  ]);
+};
@@ -147,6 +147,23 @@ const options = {
               format: 'date-time',
               description: 'Date when the claim was approved or rejected'
             },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  action: { type: 'string', example: 'approve' },
+                  fromStatus: { type: 'string' },
+                  toStatus: { type: 'string' },
+                  actor: { type: 'string' },
+                  actorRole: { type: 'string' },
+                  comment: { type: 'string' },
+                  approvedPieces: { type: 'number' },
+                  createdAt: { type: 'string', format: 'date-time' }
+                }
+              },
+              description: 'Workflow steps, from submission onwards'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
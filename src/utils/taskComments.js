@@ -0,0 +1,38 @@
+const TaskComment = require('../models/TaskComment');
+const logger = require('./logger');
+
+const SYSTEM_MESSAGES = {
+  'Status Changed': ({ from, to }) => `Status changed from ${from} to ${to}`,
+  'Punch In': () => 'Punched in',
+  'Punch Out': () => 'Punched out',
+  'Reviewed': ({ action }) => `Completion ${action.toLowerCase()}`
+};
+
+/**
+ * Add a system entry to a task's comment thread. Failures are logged and
+ * never fail the action being recorded.
+ * @param {Object} task - Task document
+ * @param {String} event - 'Status Changed', 'Punch In', 'Punch Out' or 'Reviewed'
+ * @param {Object} options - { actorId, data, comment }
+ * @returns {Promise<Object|null>} - Created entry, or null if it could not be saved
+ */
+const recordTaskEvent = async (task, event, { actorId, data = {}, comment } = {}) => {
+  try {
+    const message = SYSTEM_MESSAGES[event](data);
+    return await TaskComment.create({
+      task: task._id,
+      type: 'System',
+      author: actorId,
+      event,
+      body: comment ? `${message}: ${comment}` : message,
+      data
+    });
+  } catch (error) {
+    logger.error(`Failed to record ${event} on task ${task._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  recordTaskEvent
+};
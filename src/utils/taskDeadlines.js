@@ -0,0 +1,100 @@
+const Task = require('../models/Task');
+const { notificationEvents, EVENTS } = require('./notifications');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Remind assignees of open tasks whose deadline is within one of the
+ * configured offsets. A task that enters several offsets at once (e.g. it was
+ * created an hour before its deadline) gets a single reminder.
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} - Reminders sent
+ */
+const sendReminders = async (now) => {
+  const offsets = config.tasks.reminderOffsetsMinutes;
+  if (offsets.length === 0) return 0;
+
+  const tasks = await Task.find({
+    status: { $ne: 'Completed' },
+    assignedTo: { $ne: null },
+    deadline: { $gt: now, $lte: new Date(now.getTime() + Math.max(...offsets) * MINUTE_MS) }
+  }).select('title deadline assignedTo createdBy remindersSent');
+
+  let sent = 0;
+  for (const task of tasks) {
+    const minutesLeft = (task.deadline - now) / MINUTE_MS;
+    const due = offsets.filter(offset => minutesLeft <= offset && !task.remindersSent.includes(offset));
+    if (due.length === 0) continue;
+
+    // Record the offsets first so another instance does not send the same reminder
+    const result = await Task.updateOne(
+      { _id: task._id, remindersSent: { $nin: due } },
+      { $addToSet: { remindersSent: { $each: due } } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    sent++;
+    notificationEvents.emit(EVENTS.TASK_DEADLINE_REMINDER, { task, minutesLeft: Math.round(minutesLeft) });
+  }
+
+  return sent;
+};
+
+/**
+ * Escalate open tasks past their deadline to the task creator, once per deadline
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} - Tasks escalated
+ */
+const escalateOverdueTasks = async (now) => {
+  const tasks = await Task.find({
+    status: { $ne: 'Completed' },
+    deadline: { $lte: now },
+    escalatedAt: null
+  }).select('_id');
+
+  let escalated = 0;
+  for (const { _id } of tasks) {
+    const task = await Task.findOneAndUpdate(
+      { _id, escalatedAt: null, status: { $ne: 'Completed' } },
+      { $set: { escalatedAt: now } },
+      { new: true }
+    ).populate('assignedTo', 'name');
+    if (!task) continue;
+
+    escalated++;
+    logger.info(`Task ${task._id} is overdue; escalated to creator ${task.createdBy}`);
+    notificationEvents.emit(EVENTS.TASK_OVERDUE, { task });
+  }
+
+  return escalated;
+};
+
+/**
+ * Send due deadline reminders and escalate overdue tasks
+ * @returns {Promise<Object>} - { reminders, escalated }
+ */
+const processTaskDeadlines = async () => {
+  const now = new Date();
+  const reminders = await sendReminders(now);
+  const escalated = await escalateOverdueTasks(now);
+  return { reminders, escalated };
+};
+
+/**
+ * Query conditions for overdue (or not overdue) tasks
+ * @param {Boolean} overdue - true for overdue tasks, false for the rest
+ * @returns {Object} - MongoDB query
+ */
+const overdueQuery = (overdue) => {
+  const now = new Date();
+  return overdue
+    ? { status: { $ne: 'Completed' }, deadline: { $lt: now } }
+    : { $or: [{ status: 'Completed' }, { deadline: null }, { deadline: { $gte: now } }] };
+};
+
+module.exports = {
+  processTaskDeadlines,
+  overdueQuery
+};